@@ -196,6 +196,16 @@ export default defineConfig(
     extends: [tseslint.configs.disableTypeChecked],
     files: ['test/fixture/**/*'],
   },
+  {
+    files: ['test/fixture/commonjs/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+      sourceType: 'commonjs',
+    },
+    rules: {
+      '@typescript-eslint/no-require-imports': 'off',
+    },
+  },
   {
     ignores: [
       'docs',
@@ -0,0 +1,261 @@
+/**
+ * Pollution bisection for `--bisect`
+ *
+ * A test file which passes on its own but fails after other files have run in
+ * the same process is being polluted by one (or a few) of them. Bisection
+ * reruns the failing file after ever smaller subsets of the files preceding it,
+ * all in one locked-down process, until removing any remaining file makes the
+ * failure go away.
+ */
+
+import { relative, resolve } from 'node:path';
+import { type TestsStream } from 'node:test';
+import { type TestEvent } from 'node:test/reporters';
+import { type LockdownOptions } from 'ses';
+
+import {
+  DEFAULT_LEAK_TARGETS,
+  LEAK_DIAGNOSTIC,
+  type LeakDetectionOptions,
+} from './leaks.js';
+import { runTestsWithLoaderHooks } from './loader-hooks-integration.js';
+import { type NodeTestOptions } from './node-test-flags.js';
+
+const { ceil } = Math;
+
+/**
+ * Options for {@link bisectPollution}
+ */
+interface BisectOptions {
+  /** Flags for the child processes, as given after `--` */
+  execArgv?: string[] | undefined;
+  /** Test files, in the order of the run in which the failing file fails */
+  files: string[];
+  /** Objects checked for the leaks of each culprit */
+  leakTargets?: string[] | undefined;
+  /** SES lockdown options */
+  lockdownOptions?: LockdownOptions | undefined;
+  /** Which tests to run, and their timeout, from `node --test` flags */
+  nodeTestOptions?: NodeTestOptions | undefined;
+  /** URLs of modules to import before `lockdown()` */
+  preLockdown?: string[] | undefined;
+  /** URLs of modules to import after `lockdown()` */
+  setup?: string[] | undefined;
+  /** Seed for shuffling the tests in each test file, if they are shuffled */
+  shuffleSeed?: number | undefined;
+  /** Pattern matching test files */
+  testFilePattern?: RegExp | undefined;
+  /** Enable verbose output */
+  verbose: boolean;
+}
+
+/**
+ * What bisection found
+ */
+interface BisectResult {
+  /** The files which make the failing file fail, in run order */
+  culprits: string[];
+  /** Leak diagnostics of each culprit, run on its own */
+  leaks: Map<string, string[]>;
+  /**
+   * Why nothing could be bisected: the failing file fails on its own, or does
+   * not fail after the preceding files
+   */
+  reason?: 'fails-alone' | 'passes';
+}
+
+/**
+ * Find a minimal set of files which make another file fail when run before it
+ *
+ * Halves the suspects while one half alone still causes the failure, then drops
+ * each remaining file which turns out not to be needed. The result is minimal
+ * in that removing any one of its files makes the failure go away.
+ *
+ * @function
+ * @param suspects Files which, run before the failing file, make it fail
+ * @param fails Whether the failing file fails after the given files
+ */
+export const findCulprits = async (
+  suspects: readonly string[],
+  fails: (files: string[]) => Promise<boolean>,
+): Promise<string[]> => {
+  let culprits = [...suspects];
+  while (culprits.length > 1) {
+    const middle = ceil(culprits.length / 2);
+    const first = culprits.slice(0, middle);
+    const second = culprits.slice(middle);
+    if (await fails(first)) {
+      culprits = first;
+    } else if (await fails(second)) {
+      culprits = second;
+    } else {
+      // It takes files from both halves
+      break;
+    }
+  }
+  if (culprits.length > 1) {
+    for (const file of [...culprits]) {
+      const rest = culprits.filter((culprit) => culprit !== file);
+      if (await fails(rest)) {
+        culprits = rest;
+      }
+    }
+  }
+  return culprits;
+};
+
+/**
+ * Drain a run's events, collecting the files with failing tests and the leak
+ * diagnostics
+ *
+ * @function
+ */
+const collectResults = async (
+  stream: TestsStream,
+): Promise<{ diagnostics: string[]; failedFiles: Set<string> }> => {
+  const diagnostics: string[] = [];
+  const failedFiles = new Set<string>();
+  for await (const event of stream as AsyncIterable<TestEvent>) {
+    if (event.type === 'test:fail' && event.data.file) {
+      failedFiles.add(resolve(event.data.file));
+    } else if (event.type === 'test:diagnostic') {
+      diagnostics.push(event.data.message);
+    }
+  }
+  return { diagnostics, failedFiles };
+};
+
+/**
+ * Find which of the files preceding a failing test file make it fail
+ *
+ * Each candidate subset runs, followed by the failing file, in a single child
+ * process with the SES wrapper (lockdown only), as a shared-process run would.
+ * Each culprit then runs once more on its own with leak detection, so the
+ * globals it leaves behind can be reported.
+ *
+ * @function
+ * @param failing The test file which fails in the full run
+ * @param options Bisection options
+ */
+export const bisectPollution = async (
+  failing: string,
+  {
+    execArgv,
+    files,
+    leakTargets = [...DEFAULT_LEAK_TARGETS],
+    lockdownOptions,
+    nodeTestOptions,
+    preLockdown,
+    setup,
+    shuffleSeed,
+    testFilePattern,
+    verbose,
+  }: BisectOptions,
+): Promise<BisectResult> => {
+  const failingPath = resolve(failing);
+  // Only files which run before the failing one can pollute it
+  const index = files.findIndex((file) => resolve(file) === failingPath);
+  const suspects = index === -1 ? files : files.slice(0, index);
+  const name = (file: string) => relative(process.cwd(), resolve(file));
+
+  let runs = 0;
+  const fails = async (preceding: string[]): Promise<boolean> => {
+    runs += 1;
+    const { failedFiles } = await collectResults(
+      await runTestsWithLoaderHooks({
+        enableSourceMaps: true,
+        execArgv,
+        files: [...preceding, failing],
+        lockdownOptions,
+        nodeTestOptions,
+        preLockdown,
+        setup,
+        shuffleSeed,
+        testFilePattern,
+        testIsolation: 'none',
+        verbose,
+      }),
+    );
+    const failed = failedFiles.has(failingPath);
+    console.log(
+      `[cenobite] Run ${runs}: ${name(failing)} ${failed ? 'fails' : 'passes'} after ${preceding.length} file(s)`,
+    );
+    return failed;
+  };
+
+  console.log(
+    `[cenobite] Bisecting ${suspects.length} file(s) preceding ${name(failing)}`,
+  );
+  if (await fails([])) {
+    return { culprits: [], leaks: new Map(), reason: 'fails-alone' };
+  }
+  if (!suspects.length || !(await fails(suspects))) {
+    return { culprits: [], leaks: new Map(), reason: 'passes' };
+  }
+
+  const culprits = await findCulprits(suspects, fails);
+
+  const leakDetection: LeakDetectionOptions = {
+    fail: false,
+    targets: leakTargets,
+  };
+  const leaks = new Map<string, string[]>();
+  for (const culprit of culprits) {
+    const { diagnostics } = await collectResults(
+      await runTestsWithLoaderHooks({
+        enableSourceMaps: true,
+        execArgv,
+        files: [culprit],
+        leakDetection,
+        lockdownOptions,
+        nodeTestOptions,
+        preLockdown,
+        setup,
+        testFilePattern,
+        verbose,
+      }),
+    );
+    leaks.set(
+      culprit,
+      diagnostics
+        .filter((message) => message.includes(LEAK_DIAGNOSTIC))
+        .map((message) => message.split(LEAK_DIAGNOSTIC)[1] as string),
+    );
+  }
+
+  return { culprits, leaks };
+};
+
+/**
+ * Describe the result of a bisection for the console
+ *
+ * @function
+ * @param failing The test file which was bisected
+ * @param result As returned by {@link bisectPollution}
+ */
+export const formatBisectResult = (
+  failing: string,
+  { culprits, leaks, reason }: BisectResult,
+): string => {
+  const name = (file: string) => relative(process.cwd(), resolve(file));
+  if (reason === 'fails-alone') {
+    return `[cenobite] ${name(failing)} fails on its own; nothing to bisect`;
+  }
+  if (reason === 'passes') {
+    return `[cenobite] ${name(failing)} does not fail after the files preceding it; nothing to bisect`;
+  }
+  const lines = [
+    `[cenobite] ${name(failing)} fails after:`,
+    ...culprits.map((culprit) => `  ${name(culprit)}`),
+  ];
+  for (const culprit of culprits) {
+    const culpritLeaks = leaks.get(culprit) ?? [];
+    lines.push(
+      culpritLeaks.length
+        ? `[cenobite] ${name(culprit)} leaked global state:`
+        : `[cenobite] ${name(culprit)} leaked no global state that was checked`,
+      ...culpritLeaks.map((leak) => `  ${leak}`),
+    );
+  }
+  return lines.join('\n');
+};
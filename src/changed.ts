@@ -0,0 +1,225 @@
+/**
+ * Change-based test selection for `--changed`
+ *
+ * Each test file's module graph is mapped the way it would be loaded into
+ * Compartments—its modules, those of its dependencies, and the `package.json`
+ * of each package—without evaluating any of it. Only the test files whose
+ * graphs include a changed file are run. A change which can alter how packages
+ * resolve, such as to a `package.json` or a lockfile, runs every test file.
+ */
+
+// compartment-mapper loads the graph into Compartments, without evaluating it
+import 'ses';
+import { type CompartmentMapDescriptor } from '@endo/compartment-mapper';
+import { defaultParserForLanguage } from '@endo/compartment-mapper/archive-parsers.js';
+import { captureFromMap } from '@endo/compartment-mapper/capture-lite.js';
+import { mapNodeModules } from '@endo/compartment-mapper/node-modules.js';
+import { execFile } from 'node:child_process';
+import { readFile } from 'node:fs/promises';
+import { basename, relative, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { promisify } from 'node:util';
+
+import { stripTypes, typeScriptLanguages } from './typescript.js';
+import { findAffectedFiles } from './watch.js';
+
+const { freeze } = Object;
+
+/**
+ * Ref a bare `--changed` compares the working tree with
+ */
+export const DEFAULT_CHANGED_REF = 'HEAD';
+
+/**
+ * The `--changed` value which reads the changed files from stdin
+ */
+const STDIN = '-';
+
+/**
+ * Files whose changes can alter how any package resolves
+ */
+const MANIFESTS: ReadonlySet<string> = new Set([
+  'bun.lock',
+  'bun.lockb',
+  'npm-shrinkwrap.json',
+  'package-lock.json',
+  'package.json',
+  'pnpm-lock.yaml',
+  'yarn.lock',
+]);
+
+/**
+ * Which test files to run for a set of changes
+ */
+interface ChangedSelection {
+  /** Why every test file runs, if the changes cannot be narrowed down */
+  fallback?: string;
+  /** Test files to run, in order */
+  files: string[];
+}
+
+/**
+ * Options for {@link listChangedFiles}
+ */
+interface ListChangedOptions {
+  /** Directory git runs in, and relative paths are resolved against */
+  cwd?: string | undefined;
+  /** Where a list of files comes from with `-` */
+  input?: AsyncIterable<Buffer | string> | undefined;
+}
+
+/**
+ * Options for {@link selectChangedTests}
+ */
+interface SelectChangedOptions {
+  /** Configuration file, whose changes affect every test file */
+  configFile?: string | undefined;
+}
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Run git, turning its failure into an error naming the command
+ *
+ * @function
+ */
+const git = async (args: string[], cwd: string): Promise<string> => {
+  try {
+    const { stdout } = await execFileAsync('git', args, { cwd });
+    return stdout;
+  } catch (error: unknown) {
+    const message =
+      (error as { stderr?: string }).stderr?.trim() ||
+      (error instanceof Error ? error.message : String(error));
+    throw new Error(`git ${args.join(' ')} failed: ${message}`, {
+      cause: error,
+    });
+  }
+};
+
+/**
+ * Split a list of files, one per line, into absolute paths
+ *
+ * @function
+ */
+const toPaths = (list: string, base: string): string[] =>
+  list
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => resolve(base, line));
+
+/**
+ * List the files which changed since a git ref, or which are listed on stdin
+ *
+ * @function
+ * @param ref A ref for `git diff --name-only`, which compares it with the
+ *   working tree, or `-` to read a list of files, one per line
+ * @param options Where to run git, and what to read a list from
+ * @returns Absolute paths of the changed files
+ * @throws If git fails, e.g. outside a repository or for an unknown ref
+ */
+export const listChangedFiles = async (
+  ref: string,
+  { cwd = process.cwd(), input = process.stdin }: ListChangedOptions = {},
+): Promise<string[]> => {
+  if (ref === STDIN) {
+    let list = '';
+    for await (const chunk of input) {
+      list += String(chunk);
+    }
+    return toPaths(list, cwd);
+  }
+  // git lists paths relative to the top of the work tree
+  const top = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+  return toPaths(await git(['diff', '--name-only', ref, '--'], cwd), top);
+};
+
+/**
+ * Map a test file's module graph as compartment-mapper would load it into
+ * Compartments, without evaluating any of it
+ *
+ * Modules which are only imported dynamically are not part of the graph.
+ *
+ * @function
+ * @param testFile Path of the test file
+ * @returns Its compartment map, and the absolute paths of the files read,
+ *   including the test file
+ */
+export const mapModuleGraph = async (
+  testFile: string,
+): Promise<{
+  compartmentMap: CompartmentMapDescriptor;
+  dependencies: Set<string>;
+}> => {
+  const path = resolve(testFile);
+  const dependencies = new Set([path]);
+  const read = async (location: string) => {
+    const dependency = fileURLToPath(location);
+    dependencies.add(dependency);
+    return stripTypes(location, await readFile(dependency));
+  };
+  const compartmentMap = await mapNodeModules(
+    read,
+    pathToFileURL(path).href,
+    typeScriptLanguages,
+  );
+  await captureFromMap(read, compartmentMap, {
+    // Builtins are never read, so any module record stands in for them
+    importHook: async () =>
+      freeze({ execute: () => {}, exports: [], imports: [] }),
+    parserForLanguage: defaultParserForLanguage,
+  });
+  return { compartmentMap, dependencies };
+};
+
+/**
+ * Map the files a test file's Compartments would be loaded from, without
+ * evaluating any of them
+ *
+ * @function
+ * @param testFile Path of the test file
+ * @returns Absolute paths of the files read, including the test file
+ */
+export const mapDependencies = async (testFile: string): Promise<Set<string>> =>
+  (await mapModuleGraph(testFile)).dependencies;
+
+/**
+ * Select the test files affected by changed files
+ *
+ * @function
+ * @param files Test files, in order
+ * @param changed Absolute paths of the changed files
+ * @param options Files whose changes affect every test file
+ * @returns The test files to run, and why all of them run, if they do
+ */
+export const selectChangedTests = async (
+  files: readonly string[],
+  changed: readonly string[],
+  { configFile }: SelectChangedOptions = {},
+): Promise<ChangedSelection> => {
+  const manifest = changed.find(
+    (path) => MANIFESTS.has(basename(path)) || path === configFile,
+  );
+  if (manifest) {
+    return {
+      fallback: `${relative(process.cwd(), manifest)} changed, which can change how every test file loads`,
+      files: [...files],
+    };
+  }
+  const dependencies = new Map<string, Set<string>>();
+  for (const file of files) {
+    try {
+      dependencies.set(resolve(file), await mapDependencies(file));
+    } catch (error: unknown) {
+      const message = error instanceof Error ? error.message : String(error);
+      return {
+        fallback: `the module graph of ${file} could not be mapped: ${message}`,
+        files: [...files],
+      };
+    }
+  }
+  return {
+    files: findAffectedFiles(files, dependencies, new Set(changed)),
+  };
+};
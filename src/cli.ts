@@ -1,52 +1,210 @@
 #!/usr/bin/env node
 
 import 'ses';
-import { importLocation } from '@endo/compartment-mapper';
+import { type CompartmentMapDescriptor } from '@endo/compartment-mapper';
+import { loadFromMap } from '@endo/compartment-mapper/import-lite.js';
+import { defaultParserForLanguage } from '@endo/compartment-mapper/import-parsers.js';
+import { mapNodeModules } from '@endo/compartment-mapper/node-modules.js';
 import { readFile } from 'node:fs/promises';
+import { isBuiltin } from 'node:module';
 import { resolve } from 'node:path';
+import { type TestsStream } from 'node:test';
 import { fileURLToPath, pathToFileURL } from 'node:url';
-import { parseArgs } from 'node:util';
+import { parseArgs, type ParseArgsOptionsConfig } from 'node:util';
+import { type LockdownOptions } from 'ses';
 
-const { assign, freeze, keys } = Object;
-const { Date: originalDate } = globalThis;
+import { DEFAULT_CHANGED_REF } from './changed.js';
+import {
+  clock,
+  createFakeTime,
+  DEFAULT_FAKE_TIME,
+  type FakeTimeOptions,
+  parseTime,
+} from './clock.js';
+import { loadConfig } from './config.js';
+import {
+  checkCoverageThresholds,
+  type CoverageSession,
+  type CoverageThresholds,
+  DEFAULT_COVERAGE_DIR,
+  formatCoverageTable,
+  nameSource,
+  startCoverage,
+  writeCoverageReports,
+} from './coverage.js';
+import { expandTestFiles } from './discover.js';
+import { createEndowments } from './endowments.js';
+import {
+  attenuateProcess,
+  createBuiltinAttenuator,
+  type HostAccessOptions,
+  substituteBuiltins,
+} from './host-access.js';
+import {
+  createIsolationRecorder,
+  type IsolationRecorder,
+  writeIsolationReport,
+} from './isolation-report.js';
+import { DEFAULT_LEAK_TARGETS } from './leaks.js';
+import {
+  LOCKDOWN_FLAGS,
+  parseLockdownFlags,
+  resolveLockdownOptions,
+} from './lockdown.js';
+import { createModuleMocks, provideEntryModule } from './mock.js';
+import {
+  NODE_TEST_FLAGS,
+  parseNodeTestFlags,
+  parsePassthrough,
+  relaunch,
+  shardFiles,
+  toProcessFlags,
+} from './node-test-flags.js';
+import {
+  createPolicyRecorder,
+  DEFAULT_POLICY_FILE,
+  diffPolicy,
+  formatPolicyDiff,
+  type PolicyRecorder,
+  readPolicyIfExists,
+  writePolicy,
+} from './policy-recorder.js';
+import {
+  type CapabilityPolicy,
+  loadPolicy,
+  POLICY_DENIAL,
+  policyParserForLanguage,
+} from './policy.js';
+import {
+  createRandom,
+  flushShuffled,
+  generateSeed,
+  isRandomizeMode,
+  RANDOMIZE_MODES,
+  shuffle,
+  startShuffling,
+} from './random.js';
+import {
+  loadReporters,
+  pairReporters,
+  report,
+  reportsIsolation,
+  resolveDestination,
+  resolveReporter,
+} from './reporters.js';
+import { resolveModuleSpecifier } from './setup.js';
+import { stripTypes, typeScriptLanguages } from './typescript.js';
+import { createVirtualFs } from './virtual-fs.js';
+
+export { type Clock, clock } from './clock.js';
+export { type CenobiteConfig } from './config.js';
+export { mock, type MockFn } from './mock.js';
+
+const { assign, entries, freeze, fromEntries, keys } = Object;
+const { isNaN } = Number;
+const { stringify } = JSON;
 
 export interface TestRunOptions {
+  /**
+   * Collects the paths of the files read to load the test file's Compartments:
+   * its modules, their dependencies and the `package.json` of each package
+   */
+  dependencies?: Set<string>;
+  /**
+   * Endow the test file's Compartments with a fake clock and a seeded
+   * `Math.random()`
+   */
+  fakeTime?: FakeTimeOptions;
   globals?: Record<string, unknown>;
+  /** Filesystem roots and builtins the test file's Compartments may use */
+  hostAccess?: HostAccessOptions;
+  /** Host globals to endow besides the defaults, by name */
+  hostGlobals?: string[];
+  /** Records what the test file's Compartments are given, to report it */
+  isolation?: IsolationRecorder;
   modules?: Record<string, unknown>;
+  /** Capability policy for the test file's dependencies */
+  policy?: CapabilityPolicy;
+  /** Records the capabilities the test file's dependencies use */
+  recorder?: PolicyRecorder;
+  /** Seed for shuffling the tests the test file declares, if they are */
+  shuffleSeed?: number;
+  /** Leave reporting a failure to the caller */
+  silent?: boolean;
   verbose?: boolean;
+  /**
+   * Give the test file's Compartments an in-memory `fs` of their own,
+   * optionally seeded with a copy of a directory
+   */
+  virtualFs?: { seed?: string | undefined };
 }
 
 /**
- * Import hook for Node.js built-ins and external modules
+ * Create the import hook for Node.js built-ins
+ *
+ * Anything else the host would import, such as a `data:` or `file:` URL, is
+ * refused: it would be evaluated by the host, with the host's own `globalThis`,
+ * `process` and unrestricted builtins. Packages are loaded into Compartments
+ * from the compartment map instead.
  *
  * @function
+ * @param options.attenuate Refuses or wraps each built-in's namespace
+ * @param options.onBuiltin Called with each built-in granted
+ * @param options.onDenied Called with the error refusing a built-in
  */
-const importHook = async (specifier: string) => {
-  const ns = (await import(specifier)) as unknown;
-  return freeze({
-    execute: (moduleExports: Record<string, unknown>) => {
-      moduleExports.default = ns;
-      assign(moduleExports, ns);
-    },
-    exports: !!ns && typeof ns === 'object' ? keys(ns) : [],
-    imports: [],
-  });
-};
+const createImportHook =
+  ({
+    attenuate,
+    onBuiltin,
+    onDenied,
+  }: {
+    attenuate?: ((specifier: string, namespace: object) => object) | undefined;
+    onBuiltin?: ((specifier: string) => void) | undefined;
+    onDenied?: ((error: unknown) => void) | undefined;
+  }) =>
+  async (specifier: string) => {
+    if (!isBuiltin(specifier)) {
+      // compartment-mapper reports it as a module it cannot find
+      return undefined;
+    }
+    const imported = (await import(specifier)) as unknown;
+    let ns = imported;
+    if (attenuate) {
+      try {
+        ns = attenuate(specifier, imported as object);
+      } catch (error: unknown) {
+        onDenied?.(error);
+        throw error;
+      }
+    }
+    onBuiltin?.(specifier);
+    return freeze({
+      execute: (moduleExports: Record<string, unknown>) => {
+        moduleExports.default = ns;
+        assign(moduleExports, ns);
+      },
+      exports: !!ns && typeof ns === 'object' ? keys(ns) : [],
+      imports: [],
+    });
+  };
 
 /**
- * Read function for compartment mapper
+ * Read function for compartment mapper, which strips the types from TypeScript
+ * and names each module after its location, for stack traces and coverage
  *
  * @function
  */
 const read = async (location: string) => {
+  let bytes: Uint8Array;
   try {
-    return await readFile(fileURLToPath(location));
+    bytes = await readFile(fileURLToPath(location));
   } catch (error: unknown) {
     const message = error instanceof Error ? error.message : String(error);
     throw new Error(`Failed to read '${location}': ${message}`, {
       cause: error,
     });
   }
+  return nameSource(location, stripTypes(location, bytes));
 };
 
 /**
@@ -54,40 +212,246 @@ const read = async (location: string) => {
  * scripts
  *
  * @function
+ * @param lockdownOptions Overrides for the default lockdown options
  */
-export const initializeSES = (): void => {
+export const initializeSES = (lockdownOptions: LockdownOptions = {}): void => {
   lockdown({
     consoleTaming: 'unsafe',
     errorTaming: 'unsafe',
     stackFiltering: 'verbose',
+    ...lockdownOptions,
   });
 };
 
+/**
+ * `parseArgs` options for the flags overriding individual lockdown options
+ */
+const lockdownFlagOptions: ParseArgsOptionsConfig = fromEntries(
+  keys(LOCKDOWN_FLAGS).map((flag) => [flag, { type: 'string' }]),
+);
+
+/**
+ * Help text for the flags overriding individual lockdown options
+ */
+const lockdownFlagsHelp = entries(LOCKDOWN_FLAGS)
+  .map(([flag, { values }]) => {
+    const usage = `--${flag} <value>`;
+    return usage.length < 29
+      ? `  ${usage.padEnd(29)}${values.join(', ')}`
+      : `  ${usage}\n${' '.repeat(31)}${values.join(', ')}`;
+  })
+  .join('\n');
+
+/**
+ * Split the values of a repeatable, comma-separated flag
+ *
+ * @function
+ */
+const splitList = (values: string[] | undefined): string[] | undefined =>
+  values?.flatMap((value) => value.split(',').filter(Boolean));
+
 /**
  * Main CLI function Exported for use by the bin entry point
  *
  * @function
  */
 export const main = async () => {
+  // Arguments after `--` are for node:test, and Node itself
+  const args = process.argv.slice(2);
+  const separator = args.indexOf('--');
+  const passthrough = parsePassthrough(
+    separator === -1 ? [] : args.slice(separator + 1),
+  );
   const { positionals, values } = parseArgs({
     allowPositionals: true,
-    args: process.argv.slice(2),
+    // `parseArgs` has no optional values, so give a bare flag its default
+    args: (separator === -1 ? args : args.slice(0, separator)).map((arg) => {
+      switch (arg) {
+        case '--changed':
+          return `--changed=${DEFAULT_CHANGED_REF}`;
+        case '--fake-time':
+          return `--fake-time=${DEFAULT_FAKE_TIME}`;
+        case '--generate-policy':
+          return `--generate-policy=${DEFAULT_POLICY_FILE}`;
+        case '--randomize':
+          return '--randomize=files';
+        case '--virtual-fs':
+          return '--virtual-fs=';
+        default:
+          return arg;
+      }
+    }),
     options: {
+      'allow-fs-read': {
+        description:
+          "Directories fs may read in test files' Compartments, comma-separated (with --isolate)",
+        multiple: true,
+        type: 'string',
+      },
+      'allow-fs-write': {
+        description:
+          "Directories fs may write in test files' Compartments, comma-separated (with --isolate)",
+        multiple: true,
+        type: 'string',
+      },
+      bisect: {
+        description:
+          'Find which of the files preceding this failing test file make it fail',
+        type: 'string',
+      },
+      changed: {
+        description:
+          'Only run the test files whose module graphs include files changed since this git ref, or listed on stdin with "-"',
+        type: 'string',
+      },
+      config: {
+        description: 'Path to a configuration file',
+        short: 'c',
+        type: 'string',
+      },
+      coverage: {
+        description:
+          "Collect coverage of the code run in test files' Compartments (with --isolate)",
+        type: 'boolean',
+      },
+      'coverage-branches': {
+        description: 'Fail if less than this percentage of branches is covered',
+        type: 'string',
+      },
+      'coverage-dir': {
+        description: 'Directory to write coverage reports to',
+        type: 'string',
+      },
+      'coverage-functions': {
+        description:
+          'Fail if less than this percentage of functions is covered',
+        type: 'string',
+      },
+      'coverage-lines': {
+        description: 'Fail if less than this percentage of lines is covered',
+        type: 'string',
+      },
+      'deny-builtin': {
+        description:
+          "Builtins test files' Compartments may not import, comma-separated; fetch() is a global, not a builtin, and still reaches the network (with --isolate)",
+        multiple: true,
+        type: 'string',
+      },
+      'detect-leaks': {
+        description:
+          'Report globals, environment variables and host object properties each test file leaks',
+        type: 'boolean',
+      },
+      exclude: {
+        description:
+          'Glob of files not to run when expanding globs and directories (repeatable)',
+        multiple: true,
+        type: 'string',
+      },
+      'fail-on-leaks': {
+        description: 'Fail test files which leak global state',
+        type: 'boolean',
+      },
+      'fake-time': {
+        description:
+          "Give each test file's Compartments a fake clock starting at this time, fake timers and a seeded Math.random (with --isolate)",
+        type: 'string',
+      },
+      'generate-policy': {
+        description:
+          'Record the capabilities dependencies use and write them as a policy',
+        type: 'string',
+      },
+      globals: {
+        description:
+          "Host globals to endow to each test file's Compartments besides the defaults, comma-separated; they are not hardened, and shared by every test file (with --isolate)",
+        multiple: true,
+        type: 'string',
+      },
       help: {
         description: 'Show help',
         short: 'h',
         type: 'boolean',
       },
+      ignore: {
+        description: 'Glob of files not to run (alias for --exclude)',
+        multiple: true,
+        type: 'string',
+      },
       isolate: {
-        description: 'Use compartment isolation (experimental)',
+        description:
+          'Run all test files in this process, each in its own Compartment (experimental)',
+        type: 'boolean',
+      },
+      'isolation-report': {
+        description:
+          'Write what each test file was given, and how it was isolated, as JSON to this file',
+        type: 'string',
+      },
+      json: {
+        description: 'Print the report of cenobite doctor as JSON',
         type: 'boolean',
       },
+      'leak-target': {
+        description:
+          'Object to check for leaks, as a path from globalThis (repeatable)',
+        multiple: true,
+        type: 'string',
+      },
+      'lockdown-profile': {
+        description: 'Lockdown profile (strict, dev, compat)',
+        type: 'string',
+      },
+      ...lockdownFlagOptions,
+      ...NODE_TEST_FLAGS,
+      policy: {
+        description:
+          "Capability policy file for the test files' dependencies (with --isolate)",
+        type: 'string',
+      },
+      'pre-lockdown': {
+        description:
+          'Module to import before lockdown, to install shims and polyfills (repeatable)',
+        multiple: true,
+        type: 'string',
+      },
+      randomize: {
+        description:
+          'Shuffle the order of test files ("files"), or also of the tests in each ("tests")',
+        type: 'string',
+      },
       reporter: {
-        description: 'Test reporter (spec, tap, dot, junit)',
+        description:
+          'Test reporter: spec, tap, dot, junit, lcov or a module (repeatable)',
+        multiple: true,
+        type: 'string',
+      },
+      'reporter-destination': {
+        description:
+          'Where the reporter at the same position writes: stdout, stderr or a file (repeatable)',
+        multiple: true,
+        type: 'string',
+      },
+      seed: {
+        description:
+          "Seed for --randomize and --fake-time's Math.random, to reproduce a run",
+        type: 'string',
+      },
+      setup: {
+        description:
+          "Module to import after lockdown, to register fixtures and hooks; with --isolate, its exports are endowed to test files' Compartments, not hardened and shared by every test file (repeatable)",
+        multiple: true,
         type: 'string',
       },
       'test-reporter': {
         description: 'Test reporter (alias for --reporter)',
+        multiple: true,
+        type: 'string',
+      },
+      'test-reporter-destination': {
+        description:
+          'Where the reporter writes (alias for --reporter-destination)',
+        multiple: true,
         type: 'string',
       },
       verbose: {
@@ -95,80 +459,718 @@ export const main = async () => {
         short: 'v',
         type: 'boolean',
       },
+      'virtual-fs': {
+        description:
+          "Give each test file's Compartments an in-memory fs, optionally seeded with a copy of this directory (with --isolate)",
+        type: 'string',
+      },
+      watch: {
+        description:
+          'Keep running, and rerun the test files loaded from each file which changes (with --isolate)',
+        short: 'w',
+        type: 'boolean',
+      },
     },
   });
 
-  if (values.help || positionals.length === 0) {
+  if (values.help) {
     console.log(`
 Cenobite - SES Compartment Test Runner
 
-Usage: cenobite [options] <test-file>
+Usage: cenobite [options] [files, directories or globs...] [-- node flags]
+       cenobite doctor [options] [files, directories or globs...]
+
+Commands:
+  doctor                       Load each test file's modules under lockdown,
+                               without running any tests, and explain each
+                               failure: the package at fault, the kind of
+                               incompatibility and how to fix it (--json for
+                               JSON); exits non-zero if any file fails
 
 Options:
   -h, --help                   Show this help message
+  -c, --config <path>          Use this configuration file instead of searching
+                               for cenobite.config.{js,mjs,json} or a "cenobite"
+                               field in package.json
   -v, --verbose                Enable verbose output
-  --reporter <type>            Test reporter (spec, tap, dot, junit)
-  --test-reporter <type>       Test reporter (alias for --reporter)
-  --isolate                    Use compartment isolation (experimental)
+  --reporter <name>            Test reporter: spec, tap, dot, junit, lcov, or a
+                               module (a path or package) exporting one
+                               (repeatable)
+  --reporter-destination <to>  Where the reporter at the same position writes:
+                               stdout, stderr or a file (repeatable; needed
+                               for each reporter if there are several)
+  --test-reporter <name>       Alias for --reporter
+  --test-reporter-destination <to>
+                               Alias for --reporter-destination
+  --exclude <glob>             Leave out files matching this glob (relative to
+                               the working directory) when expanding globs and
+                               directories (repeatable)
+  --ignore <glob>              Alias for --exclude
+  --isolate                    Run all test files in this process, each in its
+                               own Compartment (experimental)
+  -w, --watch                  Keep running, and rerun the test files whose
+                               modules or packages change, in fresh
+                               Compartments (requires --isolate)
+  --globals <names>            Endow these host globals (comma-separated, e.g.
+                               Buffer,process) to each test file's Compartments
+                               besides the defaults (requires --isolate); they
+                               are not hardened, so every test file shares them,
+                               and what one changes, the next sees
+  --allow-fs-read <dirs>       Only let fs read within these directories
+                               (comma-separated) in each test file's
+                               Compartments (requires --isolate)
+  --allow-fs-write <dirs>      Only let fs write within these directories
+                               (comma-separated), which it may also read
+                               (requires --isolate)
+  --deny-builtin <names>       Refuse imports of these builtins (comma-
+                               separated, e.g. child_process,net) in each test
+                               file's Compartments (requires --isolate); fetch()
+                               is a global, not a builtin, and still reaches
+                               the network
+  --virtual-fs[=<dir>]         Give each test file's Compartments a fresh
+                               in-memory fs, seeded with a copy of <dir> at the
+                               same path (requires --isolate)
+  --policy <path>              Capability policy file limiting the builtins,
+                               globals and packages each dependency may use
+                               (requires --isolate)
+  --coverage                   Collect coverage of the test files and the modules
+                               they load, in their Compartments, and write it
+                               to the coverage directory as lcov.info and
+                               coverage-summary.json (requires --isolate)
+  --coverage-dir <dir>         Directory to write coverage to (default:
+                               ${DEFAULT_COVERAGE_DIR})
+  --coverage-lines <pct>       Fail if less than this percentage of lines is
+                               covered (likewise --coverage-branches and
+                               --coverage-functions)
+  --generate-policy[=<path>]   Run with --isolate, recording the builtins,
+                               globals and packages each dependency uses, and
+                               write them as a policy (default:
+                               ${DEFAULT_POLICY_FILE}); reports capabilities
+                               the existing policy does not grant
+  --detect-leaks               Report properties each test file adds, changes
+                               or deletes on globalThis, process.env and any
+                               --leak-target (not with --isolate)
+  --fail-on-leaks              Like --detect-leaks, but fail leaking files
+  --leak-target <path>         Check this object for leaks instead of the
+                               defaults, e.g. process.env (repeatable)
+  --randomize[=files|tests]    Shuffle the order of test files, or with "tests"
+                               also of the tests in each; the seed is printed
+                               after the run
+  --fake-time[=<iso>]          Give each test file's Compartments a Date which
+                               reads a fake clock (default: ${DEFAULT_FAKE_TIME}),
+                               fake timers and a seeded Math.random; tests
+                               advance it with \`clock\` from cenobite
+                               (requires --isolate)
+  --seed <n>                   Seed for --randomize and for --fake-time's
+                               Math.random; alone, implies --randomize
+  --changed[=<ref>]            Only run the test files whose module graphs
+                               include files changed since <ref> (default:
+                               ${DEFAULT_CHANGED_REF}), per git diff, or listed
+                               on stdin with --changed=-; runs every test file
+                               if a package.json or lockfile changed
+  --bisect <file>              Rerun <file> after subsets of the test files
+                               preceding it, in one process, to find those
+                               which make it fail (not with --isolate)
+  --lockdown-profile <name>    Lockdown profile: strict, dev (default) or compat
+  --pre-lockdown <module>      Import this module (a path or package) after ses
+                               but before lockdown, to install shims and
+                               polyfills (repeatable)
+  --setup <module>             Import this module (a path or package) after
+                               lockdown, to register fixtures and hooks; with
+                               --isolate, its named exports are endowed to each
+                               test file's Compartments, not hardened, so every
+                               test file shares them (repeatable)
+  --isolation-report <path>    Write how each test file was isolated, and the
+                               packages, builtins and globals it was given, as
+                               JSON (as the cenobite reporter shows it; not
+                               with --watch)
+${lockdownFlagsHelp}
+
+node:test options (as for node --test):
+  --test-name-pattern <re>     Only run tests whose names match (repeatable)
+  --test-skip-pattern <re>     Skip tests whose names match (repeatable)
+  --test-only                  Only run tests marked with \`only\`
+  --test-timeout <ms>          Fail tests which take longer than this
+  --test-concurrency <n>       Run this many test files at once (not with
+                               --isolate)
+  --test-shard <i>/<n>         Only run the i-th of n shards of the test files
+  --test-update-snapshots      Write snapshots rather than compare them
+  --experimental-test-coverage
+                               Collect code coverage (not with --isolate; use
+                               --coverage)
 
 Examples:
+  cenobite
   cenobite test.js
+  cenobite 'test/**/*.test.js' --exclude 'test/fixtures/**'
   cenobite --verbose test.js
   cenobite --reporter tap test.js
   cenobite --test-reporter junit test.js
+  cenobite --reporter spec --reporter-destination stdout --reporter junit --reporter-destination junit.xml test.js
+  cenobite --reporter ./test/reporter.js test.js
+  cenobite --isolate --reporter cenobite test/*.test.js
+  cenobite --isolate --isolation-report=isolation.json test/*.test.js
   cenobite --isolate test.js
+  cenobite --isolate --watch test/*.test.js
+  cenobite --isolate --globals=Buffer,process test.js
+  cenobite --isolate --allow-fs-read=test/fixtures --allow-fs-write=tmp test.js
+  cenobite --isolate --deny-builtin=child_process,net,worker_threads test.js
+  cenobite --isolate --virtual-fs=test/fixtures test.js
+  cenobite --isolate --policy policy.json test.js
+  cenobite --isolate --coverage --coverage-lines=90 test/*.test.js
+  cenobite --generate-policy=policy.json test.js
+  cenobite --detect-leaks --leak-target globalThis --leak-target process test.js
+  cenobite --bisect test/b.test.js test/*.test.js
+  cenobite --changed=origin/main test/*.test.js
+  cenobite --randomize=tests --seed=1234 test/*.test.js
+  cenobite --isolate --fake-time=2024-01-01T00:00:00Z --seed=1234 test.js
+  cenobite --lockdown-profile strict --error-taming unsafe test.js
+  cenobite doctor --lockdown-profile strict test/*.test.js
+  cenobite doctor --json test/*.test.js > doctor.json
+  cenobite --pre-lockdown ./test/shims.js --setup ./test/setup.js test.js
+  cenobite --test-name-pattern='^parses' test/*.test.js
+  cenobite --isolate test.js -- --test-only --inspect-brk
+
+Globs (including **) are expanded by cenobite, and directories are searched
+for the files node --test would find; without any, the working directory is.
+node:test flags after -- are handled as above; any others are given to Node in
+the process running the tests.
 
-Each test file runs with SES protection. With --isolate, tests run in compartments
-within the same process for maximum isolation.
+Each test file runs with SES protection in its own process. With --isolate, all
+test files run in a single locked-down process, each in its own Compartment.
 `);
-    process.exit(values.help ? 0 : 1);
+    process.exit(0);
   }
 
-  // Use loader hooks approach for Node.js test runner integration
-  const { runTestsWithLoaderHooks } = await import(
-    './loader-hooks-integration.js'
+  // `cenobite doctor` diagnoses the test files rather than running them
+  const doctor = positionals[0] === 'doctor';
+  if (values.json && !doctor) {
+    throw new Error('--json only applies to cenobite doctor');
+  }
+
+  const config = await loadConfig({ configPath: values.config });
+  // Paths given on the command line are relative to the working directory
+  const cwd = process.cwd();
+
+  // CLI flags take precedence over the configuration file
+  // Default to 'spec' reporter, or 'tap' in CI environments (like node:test)
+  const reporterFlags = [
+    ...(values.reporter ?? []),
+    ...(values['test-reporter'] ?? []),
+  ];
+  const destinationFlags = [
+    ...(values['reporter-destination'] ?? []),
+    ...(values['test-reporter-destination'] ?? []),
+  ];
+  const reporterTargets = pairReporters(
+    reporterFlags.length
+      ? reporterFlags.map((reporter) => resolveReporter(reporter, cwd))
+      : [config.reporter ?? (process.env.CI ? 'tap' : 'spec')].flat(),
+    destinationFlags.length
+      ? destinationFlags.map((destination) =>
+          resolveDestination(destination, cwd),
+        )
+      : // The configured destinations are those of the configured reporters
+        [(!reporterFlags.length && config.reporterDestination) || []].flat(),
   );
 
-  const options: {
-    enableSourceMaps: boolean;
-    files: string[];
-    reporter?: string;
-    useCompartmentMapper?: boolean;
-    verbose: boolean;
-  } = {
-    enableSourceMaps: true,
-    files: positionals,
-    useCompartmentMapper: values.isolate ?? false,
-    verbose: values.verbose ?? false,
+  const fakeTimeValue =
+    values['fake-time'] ??
+    (config.fakeTime === true
+      ? DEFAULT_FAKE_TIME
+      : config.fakeTime || undefined);
+  const fakeTime =
+    fakeTimeValue === undefined ? undefined : parseTime(fakeTimeValue);
+  if (fakeTime !== undefined && isNaN(fakeTime)) {
+    throw new Error(
+      `Invalid value for --fake-time: ${fakeTimeValue} (expected an ISO 8601 date)`,
+    );
+  }
+
+  // A seed alone shuffles the test files, unless it is for fake time
+  const randomize =
+    values.randomize ??
+    (config.randomize === true ? 'files' : config.randomize || undefined) ??
+    ((values.seed !== undefined || config.seed !== undefined) &&
+    fakeTime === undefined
+      ? 'files'
+      : undefined);
+  if (randomize !== undefined && !isRandomizeMode(randomize)) {
+    throw new Error(
+      `Invalid value for --randomize: ${randomize} (expected one of: ${RANDOMIZE_MODES.join(', ')})`,
+    );
+  }
+  if (values.seed !== undefined && !/^\d+$/.test(values.seed)) {
+    throw new Error(
+      `Invalid value for --seed: ${values.seed} (expected a non-negative integer)`,
+    );
+  }
+  const seed =
+    randomize || fakeTime !== undefined
+      ? values.seed !== undefined
+        ? Number(values.seed)
+        : (config.seed ?? generateSeed())
+      : undefined;
+  const nodeTestOptions = parseNodeTestFlags(values, passthrough.values);
+
+  // Expand globs and directories the same way on any shell, then shard them
+  // before they are shuffled, so every shard sees the same files
+  const { testFilePattern } = config;
+  const exclude = [...(values.exclude ?? []), ...(values.ignore ?? [])];
+  const found = shardFiles(
+    await expandTestFiles(doctor ? positionals.slice(1) : positionals, {
+      exclude: exclude.length ? exclude : config.exclude,
+      pattern: testFilePattern,
+    }),
+    nodeTestOptions.shard,
+  );
+  let files = seed === undefined ? found : shuffle(found, createRandom(seed));
+  const shuffleSeed = randomize === 'tests' ? seed : undefined;
+  const reportSeed = () => {
+    if (seed === undefined) {
+      return;
+    }
+    const flags = [
+      randomize && `--randomize=${randomize}`,
+      fakeTimeValue !== undefined && `--fake-time=${fakeTimeValue}`,
+      `--seed=${seed}`,
+    ]
+      .filter(Boolean)
+      .join(' ');
+    // On stderr, so it never ends up in a reporter's output on stdout
+    console.error(
+      randomize
+        ? `[cenobite] Randomized with seed ${seed}; reproduce the order with ${flags}`
+        : `[cenobite] Seeded Math.random with ${seed}; reproduce it with ${flags}`,
+    );
+  };
+
+  const verbose = values.verbose ?? config.verbose ?? false;
+  const { globals, modules } = config;
+
+  // Profile, then configured options, then individual flags
+  const lockdownOptions = resolveLockdownOptions({
+    options: config.lockdownOptions,
+    overrides: parseLockdownFlags(values),
+    profile: values['lockdown-profile'] ?? config.lockdownProfile,
+  });
+
+  const preLockdown =
+    values['pre-lockdown']?.map((specifier) =>
+      resolveModuleSpecifier(specifier, cwd),
+    ) ?? config.preLockdown;
+  const setup =
+    values.setup?.map((specifier) => resolveModuleSpecifier(specifier, cwd)) ??
+    config.setup;
+
+  if (verbose && config.filepath) {
+    console.log(`[cenobite] Using configuration from ${config.filepath}`);
+  }
+
+  // Generating a policy records rather than enforces, and requires isolation
+  const generatePolicy = values['generate-policy'];
+  const recorder = generatePolicy ? createPolicyRecorder() : undefined;
+  const isolate = !!recorder || (values.isolate ?? config.isolate ?? false);
+  const policy = values.policy
+    ? await loadPolicy(resolve(values.policy))
+    : config.policy;
+
+  if (doctor) {
+    const { formatDoctorReport, runDoctor } = await import('./doctor.js');
+    const report = await runDoctor({
+      files,
+      globals,
+      hostGlobals: splitList(values.globals) ?? config.hostGlobals,
+      lockdownOptions,
+      modules,
+      policy,
+      preLockdown,
+    });
+    console.log(
+      values.json ? stringify(report, null, 2) : formatDoctorReport(report),
+    );
+    if (report.diagnoses.length) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  if (policy && !isolate) {
+    throw new Error(
+      'A capability policy is only enforced with --isolate; pass --isolate or remove the policy',
+    );
+  }
+
+  const hostGlobals = splitList(values.globals) ?? config.hostGlobals;
+  if (hostGlobals && !isolate) {
+    throw new Error(
+      "Host globals are only endowed to test files' Compartments with --isolate; pass --isolate or remove --globals",
+    );
+  }
+
+  const allowFsRead =
+    splitList(values['allow-fs-read'])?.map((dir) => resolve(dir)) ??
+    config.allowFsRead;
+  const allowFsWrite =
+    splitList(values['allow-fs-write'])?.map((dir) => resolve(dir)) ??
+    config.allowFsWrite;
+  const denyBuiltins = splitList(values['deny-builtin']) ?? config.denyBuiltins;
+  for (const name of denyBuiltins ?? []) {
+    if (!isBuiltin(name)) {
+      throw new Error(
+        `Invalid value for --deny-builtin: ${name} (expected a builtin module)`,
+      );
+    }
+  }
+  const hostAccess =
+    allowFsRead || allowFsWrite || denyBuiltins
+      ? { allowFsRead, allowFsWrite, denyBuiltins }
+      : undefined;
+  if (hostAccess && !isolate) {
+    throw new Error(
+      "Filesystem and builtin restrictions are enforced in test files' Compartments with --isolate; pass --isolate or remove them",
+    );
+  }
+
+  const virtualFsValue =
+    values['virtual-fs'] ??
+    (config.virtualFs === true ? '' : config.virtualFs || undefined);
+  const virtualFs =
+    virtualFsValue === undefined
+      ? undefined
+      : { seed: virtualFsValue ? resolve(virtualFsValue) : undefined };
+  if (virtualFs && !isolate) {
+    throw new Error(
+      "A virtual filesystem is only given to test files' Compartments with --isolate; pass --isolate or remove --virtual-fs",
+    );
+  }
+  if (virtualFs && (allowFsRead || allowFsWrite)) {
+    throw new Error(
+      '--virtual-fs replaces fs entirely, so --allow-fs-read and --allow-fs-write do not apply to it',
+    );
+  }
+
+  if (fakeTime !== undefined && !isolate) {
+    throw new Error(
+      'Fake time only applies to test files run with --isolate, whose Compartments are given their own Date, Math and timers',
+    );
+  }
+
+  const watch = values.watch ?? false;
+  if (watch && !isolate) {
+    throw new Error(
+      'Watch mode reruns test files in fresh Compartments of a single process; pass --isolate or remove --watch',
+    );
+  }
+  if (watch && recorder) {
+    throw new Error(
+      'A policy is generated from a single run, so --generate-policy cannot be combined with --watch',
+    );
+  }
+
+  const isolationReport =
+    values['isolation-report'] === undefined
+      ? config.isolationReport
+      : resolve(values['isolation-report']);
+  const reportIsolation =
+    isolationReport !== undefined || reportsIsolation(reporterTargets);
+  if (reportIsolation && watch) {
+    throw new Error(
+      'The isolation report covers a single run, so it cannot be combined with --watch',
+    );
+  }
+
+  const coverage = values.coverage ?? config.coverage ?? false;
+  if (coverage && !isolate) {
+    throw new Error(
+      "--coverage collects coverage from test files' Compartments with --isolate; pass --isolate, or use --experimental-test-coverage without it",
+    );
+  }
+  if (coverage && watch) {
+    throw new Error(
+      'Coverage is reported for a single run, so --coverage cannot be combined with --watch',
+    );
+  }
+  const coverageDir =
+    values['coverage-dir'] ?? config.coverageDir ?? DEFAULT_COVERAGE_DIR;
+  const coverageThresholds: CoverageThresholds = {
+    ...config.coverageThresholds,
   };
+  for (const metric of ['branches', 'functions', 'lines'] as const) {
+    const value = values[`coverage-${metric}`];
+    if (value === undefined) {
+      continue;
+    }
+    const threshold = Number(value);
+    if (!value.trim() || isNaN(threshold) || threshold < 0 || threshold > 100) {
+      throw new Error(
+        `Invalid value for --coverage-${metric}: ${value} (expected a percentage from 0 to 100)`,
+      );
+    }
+    coverageThresholds[metric] = threshold;
+  }
+
+  const failOnLeaks = values['fail-on-leaks'] ?? config.failOnLeaks ?? false;
+  const leakDetection =
+    failOnLeaks || (values['detect-leaks'] ?? config.detectLeaks)
+      ? {
+          fail: failOnLeaks,
+          targets: values['leak-target'] ??
+            config.leakTargets ?? [...DEFAULT_LEAK_TARGETS],
+        }
+      : undefined;
+  if (leakDetection && isolate) {
+    throw new Error(
+      'Leak detection only applies to test files run without --isolate',
+    );
+  }
+
+  // Files run in a single process, one after another
+  const inOneProcess = isolate ? '--isolate' : values.bisect && '--bisect';
+  if (inOneProcess && nodeTestOptions.concurrency !== undefined) {
+    throw new Error(
+      `--test-concurrency sets how many test files run at once, each in a process of its own, so it cannot be combined with ${inOneProcess}`,
+    );
+  }
+  if (inOneProcess && nodeTestOptions.coverage) {
+    throw new Error(
+      isolate
+        ? 'Node only collects coverage from test files it evaluates itself, not from their Compartments; use --coverage instead of --experimental-test-coverage'
+        : 'Coverage cannot be combined with --bisect, which reports the culprits rather than any test results',
+    );
+  }
+
+  if (isolate) {
+    // node:test only reads these from the flags of the process it runs in
+    const flags = [
+      ...toProcessFlags(nodeTestOptions, 'none'),
+      ...passthrough.flags,
+    ];
+    if (!flags.every((flag) => process.execArgv.includes(flag))) {
+      if (verbose) {
+        console.log(`[cenobite] Relaunching with ${flags.join(' ')}`);
+      }
+      process.exitCode = await relaunch(flags);
+      return;
+    }
+  }
+
+  const changedRef = values.changed;
+  if (changedRef !== undefined) {
+    if (values.bisect || watch) {
+      throw new Error(
+        `--changed selects the test files to run once, so it cannot be combined with --${watch ? 'watch' : 'bisect'}`,
+      );
+    }
+    const { listChangedFiles, selectChangedTests } =
+      await import('./changed.js');
+    const changed = await listChangedFiles(changedRef);
+    const selection = await selectChangedTests(files, changed, {
+      configFile: config.filepath,
+    });
+    if (selection.fallback) {
+      console.log(
+        `[cenobite] Running every test file, since ${selection.fallback}`,
+      );
+    } else if (selection.files.length) {
+      console.log(
+        `[cenobite] Running ${selection.files.length} of ${files.length} test file(s), affected by ${changed.length} changed file(s)`,
+      );
+    } else {
+      console.log(
+        `[cenobite] No test files are affected by ${changed.length} changed file(s)`,
+      );
+      return;
+    }
+    files = selection.files;
+  }
 
-  // Set default reporter to mimic node:test behavior
-  if (values.reporter || values['test-reporter']) {
-    options.reporter = (values.reporter || values['test-reporter'])!;
+  if (values.bisect) {
+    if (isolate) {
+      throw new Error(
+        'Bisection finds pollution between test files run without --isolate',
+      );
+    }
+    const { bisectPollution, formatBisectResult } = await import('./bisect.js');
+    const result = await bisectPollution(values.bisect, {
+      execArgv: passthrough.flags,
+      files,
+      leakTargets: values['leak-target'] ?? config.leakTargets,
+      lockdownOptions,
+      nodeTestOptions,
+      preLockdown,
+      setup,
+      shuffleSeed,
+      testFilePattern,
+      verbose,
+    });
+    console.log(formatBisectResult(values.bisect, result));
+    reportSeed();
+    if (result.reason) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+
+  const isolation = reportIsolation
+    ? createIsolationRecorder(files, {
+        detectLeaks: !!leakDetection,
+        mode: isolate ? 'compartment' : 'ses-wrapper',
+      })
+    : undefined;
+  const reporters = await loadReporters(reporterTargets, isolation);
+  let testStream: TestsStream;
+  let coverageSession: CoverageSession | undefined;
+  if (isolate) {
+    // Lock down once and run every file in a Compartment of this process
+    const { runTestsInProcess } = await import('./runner.js');
+    const runFiles = async (
+      filesToRun: string[],
+      dependencies?: Map<string, Set<string>>,
+    ) =>
+      runTestsInProcess({
+        dependencies,
+        ...(fakeTime !== undefined && {
+          fakeTime: { seed: seed as number, time: fakeTime },
+        }),
+        files: filesToRun,
+        globals,
+        hostAccess,
+        hostGlobals,
+        isolation,
+        // The recorder attributes each use of a global by its stack trace,
+        // which safe error taming hides
+        lockdownOptions: recorder
+          ? { ...lockdownOptions, errorTaming: 'unsafe' }
+          : lockdownOptions,
+        modules,
+        nodeTestOptions,
+        preLockdown,
+        ...(recorder ? { recorder } : { policy }),
+        setup,
+        shuffleSeed,
+        testFilePattern,
+        verbose,
+        virtualFs,
+      });
+    if (watch) {
+      const { watchTests } = await import('./watch.js');
+      await watchTests({
+        files,
+        runFiles: async (filesToRun, dependencies) => {
+          await report(await runFiles(filesToRun, dependencies), reporters);
+          reportSeed();
+        },
+        verbose,
+      });
+      return;
+    }
+    coverageSession = coverage ? await startCoverage() : undefined;
+    testStream = await runFiles(files);
   } else {
-    // Default to 'spec' reporter, or 'tap' in CI environments (like node:test)
-    options.reporter = process.env.CI ? 'tap' : 'spec';
+    if (isolation) {
+      // The SES wrapper loads the graph with Node's own loader, so map it as
+      // compartment-mapper would to find the packages it loads
+      const { mapModuleGraph } = await import('./changed.js');
+      for (const file of files) {
+        try {
+          const { compartmentMap, dependencies } = await mapModuleGraph(file);
+          isolation.recordGraph(
+            file,
+            compartmentMap,
+            [...dependencies].map((path) => pathToFileURL(path).href),
+          );
+        } catch (error: unknown) {
+          // Its packages go unreported, and the file fails as it runs
+          if (verbose) {
+            const message =
+              error instanceof Error ? error.message : String(error);
+            console.log(`[cenobite] Could not map ${file}: ${message}`);
+          }
+        }
+      }
+    }
+    // Use loader hooks approach for Node.js test runner integration
+    const { runTestsWithLoaderHooks } =
+      await import('./loader-hooks-integration.js');
+    testStream = await runTestsWithLoaderHooks({
+      enableSourceMaps: true,
+      execArgv: passthrough.flags,
+      files,
+      leakDetection,
+      lockdownOptions,
+      nodeTestOptions,
+      preLockdown,
+      setup,
+      shuffleSeed,
+      testFilePattern,
+      verbose,
+    });
   }
 
-  const testStream = await runTestsWithLoaderHooks(options);
+  if (isolation) {
+    testStream.on('test:diagnostic', ({ message }) => {
+      isolation.observeDiagnostic(message);
+    });
+  }
 
-  // Wait for completion
-  return new Promise<void>((resolve, reject) => {
-    testStream.on('test:summary', (data) => {
-      const failed =
+  let failed = 0;
+  testStream.on('test:summary', (data) => {
+    // Each file reports its own summary; only the last one covers the run.
+    // Like node --test, count cancelled tests (e.g. timed out) as failures
+    if (data.file === undefined) {
+      failed =
         data.counts.tests -
         data.counts.passed -
         data.counts.skipped -
-        data.counts.cancelled -
         data.counts.todo;
-      if (failed > 0) {
-        process.exitCode = 1;
-      }
-      resolve();
-    });
-
-    testStream.on('error', reject);
+    }
   });
+
+  // Render the events and wait for completion
+  await report(testStream, reporters);
+
+  reportSeed();
+
+  if (isolation && isolationReport !== undefined) {
+    await writeIsolationReport(isolation.toReport(), isolationReport);
+    console.log(`[cenobite] Wrote isolation report to ${isolationReport}`);
+  }
+
+  if (coverageSession) {
+    const covered = await coverageSession.stop();
+    console.log(formatCoverageTable(covered));
+    const reports = await writeCoverageReports(covered, coverageDir);
+    console.log(`[cenobite] Wrote coverage to ${reports.join(', ')}`);
+    for (const message of checkCoverageThresholds(
+      covered,
+      coverageThresholds,
+    )) {
+      console.error(`[cenobite] ${message}`);
+      process.exitCode = 1;
+    }
+  }
+
+  if (recorder && generatePolicy) {
+    const policyPath = resolve(generatePolicy);
+    // Compare against the policy in use, or else the one being replaced
+    const existing = policy ?? (await readPolicyIfExists(policyPath));
+    const recorded = recorder.toPolicy();
+    await writePolicy(policyPath, recorded);
+    console.log(`[cenobite] Wrote policy to ${policyPath}`);
+    if (existing) {
+      console.log(
+        formatPolicyDiff(
+          diffPolicy(recorded, existing),
+          values.policy ?? config.filepath ?? policyPath,
+        ),
+      );
+    }
+  }
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
 };
 
 /**
@@ -181,7 +1183,21 @@ export const runTestFile = async (
   testFilePath: string,
   options: TestRunOptions = {},
 ): Promise<unknown> => {
-  const { globals = {}, modules = {}, verbose = false } = options;
+  const {
+    dependencies,
+    fakeTime,
+    globals = {},
+    hostAccess,
+    hostGlobals,
+    isolation,
+    modules = {},
+    policy,
+    recorder,
+    shuffleSeed,
+    silent = false,
+    verbose = false,
+    virtualFs,
+  } = options;
 
   // Resolve the test file path to absolute URL
   const absolutePath = resolve(testFilePath);
@@ -191,23 +1207,119 @@ export const runTestFile = async (
     console.log(`Running test file: ${testFileUrl}`);
   }
 
+  // Note each file read, so that a change to any of them can rerun the file,
+  // and so that the packages it loads can be reported
+  const locations = isolation && new Set<string>();
+  const readNoted =
+    dependencies || locations
+      ? async (location: string) => {
+          dependencies?.add(fileURLToPath(location));
+          locations?.add(location);
+          return read(location);
+        }
+      : read;
+
+  let compartmentMap: CompartmentMapDescriptor | undefined;
   try {
-    // Use importLocation to load and execute the test file with full compartmentalization
-    const result = await importLocation(read, testFileUrl, {
-      // Global objects available to all compartments
-      globals: {
-        console: harden(console),
-        Date: harden(originalDate),
-        globalThis,
-        ...globals,
-      },
+    // The test file's own clock, if its time is fake
+    const fake = fakeTime && createFakeTime(fakeTime);
+    const volume = virtualFs && createVirtualFs(virtualFs.seed);
+    const restrict = hostAccess && createBuiltinAttenuator(hostAccess);
+    // Builtins loaded past the import hook, such as by `createRequire()`, get
+    // the volume too
+    const attenuate = volume
+      ? substituteBuiltins(
+          { fs: volume.fs, 'fs/promises': volume.promises },
+          restrict,
+        )
+      : restrict;
+
+    // Global objects available to all compartments; never the host's own
+    // `globalThis`, unless it is allowed by name
+    const endowments = {
+      ...createEndowments(hostGlobals),
+      ...fake?.endowments,
+      ...globals,
+    };
+    // The host's own `process` gets builtins past the import hook
+    if (attenuate && endowments.process === process) {
+      endowments.process = attenuateProcess(process, attenuate);
+    }
+    isolation?.recordGlobals(absolutePath, keys(endowments));
 
-      // Hook for handling external/built-in module imports
-      importHook,
+    // Each test file gets a compartment map of its own, so that modules can be
+    // substituted in its Compartments without affecting any other file's
+    compartmentMap = await mapNodeModules(readNoted, testFileUrl, {
+      ...typeScriptLanguages,
+      policy,
+    });
+    const substitutions: Record<string, unknown> = { ...modules };
+    if (shuffleSeed !== undefined) {
+      substitutions['node:test'] ??= await import('./shuffled-test.js');
+    }
+    if (volume) {
+      substitutions.fs ??= volume.fs;
+      substitutions['node:fs'] ??= volume.fs;
+      substitutions['fs/promises'] ??= volume.promises;
+      substitutions['node:fs/promises'] ??= volume.promises;
+    }
+    const mock = createModuleMocks(compartmentMap, substitutions);
+    // `import { clock, mock } from 'cenobite'` gets a clock and mock() bound to
+    // this file, and nothing else of the runner; its dependencies cannot
+    // import it at all
+    const EntryCompartment = provideEntryModule(
+      compartmentMap,
+      substitutions,
+      'cenobite',
+      harden({ clock: fake ? fake.clock : clock, mock }),
+    );
 
-      modules,
+    // Deny each package whatever the policy does not grant it, or else note
+    // what each package uses, to generate a policy
+    const application = await loadFromMap(readNoted, compartmentMap, {
+      parserForLanguage: policy
+        ? policyParserForLanguage
+        : (recorder?.parserForLanguage ?? defaultParserForLanguage),
     });
 
+    // The test file's `describe()`/`test()` calls are queued, then registered
+    // shuffled once it has been evaluated
+    const shuffled = shuffleSeed !== undefined;
+    if (shuffled) {
+      startShuffling(shuffleSeed);
+    }
+
+    const result = await application
+      .import({
+        Compartment: EntryCompartment,
+        globals: recorder ? recorder.recordGlobals(endowments) : endowments,
+
+        // Hook for handling external/built-in module imports
+        importHook: createImportHook({
+          attenuate,
+          onBuiltin:
+            isolation &&
+            ((specifier) => {
+              isolation.recordBuiltin(absolutePath, specifier);
+            }),
+          onDenied:
+            isolation &&
+            ((error) => {
+              isolation.recordDenial(
+                absolutePath,
+                error instanceof Error ? error.message : String(error),
+              );
+            }),
+        }),
+
+        modules: substitutions,
+      })
+      .finally(() => {
+        if (shuffled) {
+          flushShuffled();
+        }
+      });
+
     if (verbose) {
       console.log('Test execution completed successfully');
       console.log(
@@ -219,11 +1331,22 @@ export const runTestFile = async (
     return result;
   } catch (error: unknown) {
     const message = error instanceof Error ? error.message : String(error);
+    if (isolation && POLICY_DENIAL.test(message)) {
+      isolation.recordDenial(absolutePath, message);
+    }
+    if (silent) {
+      throw error;
+    }
     console.error(`Test execution failed: ${message}`);
     if (verbose && error instanceof Error && error.cause) {
       console.error('Caused by:', error.cause);
     }
     throw error;
+  } finally {
+    // Whatever of the graph was loaded, even if loading failed
+    if (compartmentMap && locations) {
+      isolation?.recordGraph(absolutePath, compartmentMap, locations);
+    }
   }
 };
 
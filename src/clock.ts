@@ -0,0 +1,248 @@
+/**
+ * Deterministic time and randomness for `--fake-time`
+ *
+ * Each test file run with `--isolate` and `--fake-time` gets a fake clock of
+ * its own. Its Compartments are endowed with a `Date` which reads that clock, a
+ * `Math` whose `random()` is seeded, and timers which only fire when the test
+ * advances the clock. The host's `Date`, `Math` and timers—and so `node:test`'s
+ * own timeouts—are untouched.
+ */
+
+import { createRandom } from './random.js';
+
+const { create, defineProperties, getOwnPropertyDescriptors, getPrototypeOf } =
+  Object;
+const { isNaN } = Number;
+const { construct } = Reflect;
+const { Date: OriginalDate, Math: originalMath } = globalThis;
+
+/**
+ * Time a bare `--fake-time` starts the clock at
+ */
+export const DEFAULT_FAKE_TIME = '1970-01-01T00:00:00.000Z';
+
+/**
+ * Most timers {@link Clock.runAll} fires before concluding they never stop
+ */
+const RUN_ALL_LIMIT = 1000;
+
+/**
+ * Controls the fake time of a test file's Compartments
+ */
+export interface Clock {
+  /** Current fake time, in milliseconds since the epoch */
+  now: () => number;
+  /** Number of timers which have yet to fire */
+  pending: () => number;
+  /**
+   * Fire every pending timer, advancing the clock to each, including timers
+   * they schedule; throws if timers keep being scheduled
+   */
+  runAll: () => void;
+  /** Set the current time without firing any timers */
+  setTime: (time: Date | number | string) => void;
+  /** Advance the clock, firing each timer which falls due, in order */
+  tick: (ms: number) => void;
+}
+
+/**
+ * Options for {@link createFakeTime}
+ */
+export interface FakeTimeOptions {
+  /** Seed for `Math.random()` */
+  seed: number;
+  /** Time the clock starts at, in milliseconds since the epoch */
+  time: number;
+}
+
+/**
+ * A timer scheduled with the fake `setTimeout()` or `setInterval()`
+ */
+interface Timer {
+  args: unknown[];
+  at: number;
+  callback: (...args: unknown[]) => unknown;
+  /** Delay between runs, for an interval */
+  interval?: number;
+}
+
+/**
+ * Parse a time given to `--fake-time` or {@link Clock.setTime}
+ *
+ * @function
+ * @returns Milliseconds since the epoch, or `NaN` if it is not a valid time
+ */
+export const parseTime = (time: Date | number | string): number =>
+  typeof time === 'number' ? time : new OriginalDate(time).getTime();
+
+/**
+ * Throw for a {@link Clock} method called outside of a fake time run
+ *
+ * @function
+ */
+const unavailable = (): never => {
+  throw new Error(
+    "clock only works in test files run with --isolate and --fake-time, where it controls the time of the test file's own Compartments",
+  );
+};
+
+/**
+ * `clock` as exported by the package, for test files without fake time
+ *
+ * Test files run with `--isolate` and `--fake-time` import `cenobite` from the
+ * runner instead, and get the clock of their own Compartments.
+ */
+export const clock: Clock = {
+  now: unavailable,
+  pending: unavailable,
+  runAll: unavailable,
+  setTime: unavailable,
+  tick: unavailable,
+};
+
+/**
+ * Create a fake clock, and the endowments which follow it
+ *
+ * @function
+ * @param options Where the clock starts, and the seed for `Math.random()`
+ * @returns The clock, and `Date`, `Math` and timers for the Compartments
+ */
+export const createFakeTime = ({
+  seed,
+  time,
+}: FakeTimeOptions): {
+  clock: Clock;
+  endowments: Record<string, unknown>;
+} => {
+  let current = time;
+  let nextId = 1;
+  const timers = new Map<number, Timer>();
+
+  /**
+   * The timer which fires next, if it is due by the given time; ties fire in
+   * the order they were scheduled
+   */
+  const nextDue = (until: number): [number, Timer] | undefined => {
+    let next: [number, Timer] | undefined;
+    for (const entry of timers) {
+      if (entry[1].at <= until && (!next || entry[1].at < next[1].at)) {
+        next = entry;
+      }
+    }
+    return next;
+  };
+
+  const fire = ([id, timer]: [number, Timer]): void => {
+    current = timer.at;
+    if (timer.interval === undefined) {
+      timers.delete(id);
+    } else {
+      timer.at += timer.interval;
+    }
+    timer.callback(...timer.args);
+  };
+
+  const schedule = (
+    callback: unknown,
+    delay: unknown,
+    args: unknown[],
+    repeat: boolean,
+  ): number => {
+    if (typeof callback !== 'function') {
+      throw new TypeError('The "callback" argument must be a function');
+    }
+    // Like Node, treat a missing or invalid delay as 1ms
+    const ms = Number(delay) >= 1 ? Number(delay) : 1;
+    const id = nextId++;
+    timers.set(id, {
+      args,
+      at: current + ms,
+      callback: callback as Timer['callback'],
+      ...(repeat && { interval: ms }),
+    });
+    return id;
+  };
+
+  const clear = (id: unknown): void => {
+    timers.delete(id as number);
+  };
+
+  const fakeClock: Clock = {
+    now: () => current,
+    pending: () => timers.size,
+    runAll: () => {
+      for (let fired = 0; fired < RUN_ALL_LIMIT; fired++) {
+        const next = nextDue(Infinity);
+        if (!next) {
+          return;
+        }
+        fire(next);
+      }
+      throw new Error(
+        `clock.runAll() gave up after ${RUN_ALL_LIMIT} timers; an interval, or a timer which schedules another, never stops`,
+      );
+    },
+    setTime: (value) => {
+      const ms = parseTime(value);
+      if (isNaN(ms)) {
+        throw new TypeError(
+          `Invalid time for clock.setTime(): ${String(value)}`,
+        );
+      }
+      current = ms;
+    },
+    tick: (ms) => {
+      if (!(ms >= 0)) {
+        throw new RangeError(
+          `clock.tick() expects a non-negative number of milliseconds, not ${ms}`,
+        );
+      }
+      const until = current + ms;
+      for (let next = nextDue(until); next; next = nextDue(until)) {
+        fire(next);
+      }
+      current = until;
+    },
+  };
+
+  // Shares `Date.prototype`, so its dates are ordinary dates
+  const FakeDate = function (this: unknown, ...args: unknown[]) {
+    if (!new.target) {
+      return new OriginalDate(current).toString();
+    }
+    return construct(
+      OriginalDate,
+      args.length ? args : [current],
+      new.target as typeof OriginalDate,
+    ) as Date;
+  } as unknown as DateConstructor;
+  defineProperties(FakeDate, {
+    now: { value: () => current },
+    parse: { value: OriginalDate.parse },
+    prototype: { value: OriginalDate.prototype },
+    UTC: { value: OriginalDate.UTC },
+  });
+
+  const FakeMath = create(getPrototypeOf(originalMath) as object, {
+    ...getOwnPropertyDescriptors(originalMath),
+    random: { value: createRandom(seed) },
+  }) as Math;
+
+  return {
+    clock: harden(fakeClock),
+    endowments: {
+      clearInterval: harden(clear),
+      clearTimeout: harden(clear),
+      Date: harden(FakeDate),
+      Math: harden(FakeMath),
+      setInterval: harden(
+        (callback: unknown, delay?: unknown, ...args: unknown[]) =>
+          schedule(callback, delay, args, true),
+      ),
+      setTimeout: harden(
+        (callback: unknown, delay?: unknown, ...args: unknown[]) =>
+          schedule(callback, delay, args, false),
+      ),
+    },
+  };
+};
@@ -0,0 +1,526 @@
+/**
+ * Configuration file support for cenobite
+ *
+ * Configuration is discovered by walking up from the working directory until a
+ * directory contains one of {@link CONFIG_FILES} or a `package.json` with a
+ * `"cenobite"` field.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { basename, dirname, isAbsolute, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { type LockdownOptions } from 'ses';
+
+import { parseTime } from './clock.js';
+import { type CoverageThresholds } from './coverage.js';
+import { isLockdownProfile, type LockdownProfile } from './lockdown.js';
+import { type CapabilityPolicy, loadPolicy, resolvePolicy } from './policy.js';
+import { isRandomizeMode, type RandomizeMode } from './random.js';
+import { resolveDestination, resolveReporter } from './reporters.js';
+import { resolveModuleSpecifier } from './setup.js';
+
+const { entries, fromEntries } = Object;
+const { parse } = JSON;
+const { isArray } = Array;
+const { isInteger, isNaN } = Number;
+
+/**
+ * Options which may be set in a configuration file
+ */
+export interface CenobiteConfig {
+  /**
+   * Directories `fs` may read in each test file's Compartments (`isolate`
+   * only), relative to the configuration file
+   */
+  allowFsRead?: string[];
+  /**
+   * Directories `fs` may write (and read) in each test file's Compartments
+   * (`isolate` only), relative to the configuration file
+   */
+  allowFsWrite?: string[];
+  /**
+   * Collect coverage of the code run in test files' Compartments (`isolate`
+   * only)
+   */
+  coverage?: boolean;
+  /**
+   * Directory to write coverage reports to, relative to the configuration file
+   */
+  coverageDir?: string;
+  /**
+   * Minimum percentages of lines, branches and functions covered, below which
+   * the run fails
+   */
+  coverageThresholds?: CoverageThresholds;
+  /**
+   * Builtins each test file's Compartments may not import (`isolate` only)
+   */
+  denyBuiltins?: string[];
+  /** Report global state each test file leaks (not with `isolate`) */
+  detectLeaks?: boolean;
+  /**
+   * Globs of files not to run when expanding globs and directories, relative to
+   * the working directory
+   */
+  exclude?: string[];
+  /** Fail test files which leak global state; implies `detectLeaks` */
+  failOnLeaks?: boolean;
+  /**
+   * Give each test file's Compartments a fake clock starting at this time (an
+   * ISO 8601 date; `true` for the epoch), fake timers and a seeded
+   * `Math.random()` (`isolate` only)
+   */
+  fakeTime?: boolean | string;
+  /** Extra endowments for each test file's Compartment (`isolate` only) */
+  globals?: Record<string, unknown>;
+  /**
+   * Host globals endowed to each test file's Compartments besides the defaults,
+   * by name (`isolate` only)
+   */
+  hostGlobals?: string[];
+  /** Run all test files in one process, each in its own Compartment */
+  isolate?: boolean;
+  /**
+   * File to write the isolation report of each run to, as JSON, relative to the
+   * configuration file
+   */
+  isolationReport?: string;
+  /**
+   * Objects checked for leaks, as paths from `globalThis`; replaces the default
+   * of `globalThis` and `process.env`
+   */
+  leakTargets?: string[];
+  /** SES lockdown options; these override the lockdown profile's */
+  lockdownOptions?: LockdownOptions;
+  /** Lockdown profile */
+  lockdownProfile?: LockdownProfile;
+  /**
+   * Module substitutions for each test file's Compartment (`isolate` only),
+   * keyed by specifier. A string value is a path (relative to the configuration
+   * file) to a module whose namespace is used instead.
+   */
+  modules?: Record<string, unknown>;
+  /**
+   * Capability policy for the test files' dependencies (`isolate` only). A
+   * string is a path (relative to the configuration file) to a policy file.
+   */
+  policy?: CapabilityPolicy | string;
+  /**
+   * Modules imported before `lockdown()`, to install shims and polyfills; paths
+   * relative to the configuration file, or packages
+   */
+  preLockdown?: string[];
+  /**
+   * Shuffle the order of test files (`true` or `"files"`), or also of the tests
+   * in each (`"tests"`)
+   */
+  randomize?: boolean | RandomizeMode;
+  /**
+   * Test reporter, or reporters: the names of built-in ones, or modules (paths
+   * relative to the configuration file, or packages)
+   */
+  reporter?: string | string[];
+  /**
+   * Where each reporter writes, in the same order: `stdout`, `stderr` or a file
+   * (relative to the configuration file); needed for each reporter if there are
+   * several
+   */
+  reporterDestination?: string | string[];
+  /**
+   * Seed for `randomize` and for `fakeTime`'s `Math.random()`, to reproduce a
+   * run; without `fakeTime`, implies `randomize`
+   */
+  seed?: number;
+  /**
+   * Modules imported after `lockdown()`, to register fixtures and hooks; paths
+   * relative to the configuration file, or packages. With `isolate`, their
+   * named exports are endowed to each test file's Compartments.
+   */
+  setup?: string[];
+  /**
+   * Pattern matching the test files found in directories (and with no files
+   * given, the working directory), and wrapped by the loader hooks; a string is
+   * treated as a `RegExp` source
+   */
+  testFilePattern?: RegExp | string;
+  /** Enable verbose output */
+  verbose?: boolean;
+  /**
+   * Give each test file's Compartments an in-memory `fs` (`isolate` only); a
+   * string is a directory (relative to the configuration file) to seed it with
+   */
+  virtualFs?: boolean | string;
+}
+
+/**
+ * A configuration after loading, with everything resolved
+ */
+interface ResolvedConfig extends Omit<
+  CenobiteConfig,
+  'policy' | 'testFilePattern'
+> {
+  /** Path to the file the configuration came from, if any */
+  filepath?: string;
+  policy?: CapabilityPolicy;
+  testFilePattern?: RegExp;
+}
+
+/**
+ * Names of configuration files, in order of precedence
+ */
+const CONFIG_FILES = [
+  'cenobite.config.js',
+  'cenobite.config.mjs',
+  'cenobite.config.json',
+] as const;
+
+/**
+ * Read a file, returning `undefined` if it does not exist
+ *
+ * @function
+ */
+const readIfExists = async (filepath: string): Promise<string | undefined> => {
+  try {
+    return await readFile(filepath, 'utf8');
+  } catch (error: unknown) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return undefined;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Load the raw configuration object from a configuration file
+ *
+ * @function
+ */
+const loadConfigFile = async (filepath: string): Promise<unknown> => {
+  if (basename(filepath) === 'package.json') {
+    const { cenobite = {} } = parse(await readFile(filepath, 'utf8')) as {
+      cenobite?: unknown;
+    };
+    return cenobite;
+  }
+  if (filepath.endsWith('.json')) {
+    return parse(await readFile(filepath, 'utf8')) as unknown;
+  }
+  const { default: config } = (await import(pathToFileURL(filepath).href)) as {
+    default?: unknown;
+  };
+  return config;
+};
+
+/**
+ * Find the nearest configuration, starting at `cwd`
+ *
+ * @function
+ * @returns The raw configuration and where it came from, or `undefined`
+ */
+const findConfig = async (
+  cwd: string,
+): Promise<undefined | { config: unknown; filepath: string }> => {
+  let dir = resolve(cwd);
+  for (;;) {
+    for (const name of CONFIG_FILES) {
+      const filepath = join(dir, name);
+      if ((await readIfExists(filepath)) !== undefined) {
+        return { config: await loadConfigFile(filepath), filepath };
+      }
+    }
+
+    const pkgPath = join(dir, 'package.json');
+    const pkgSource = await readIfExists(pkgPath);
+    if (pkgSource !== undefined) {
+      const { cenobite } = parse(pkgSource) as { cenobite?: unknown };
+      if (cenobite !== undefined) {
+        return { config: cenobite, filepath: pkgPath };
+      }
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return undefined;
+    }
+    dir = parent;
+  }
+};
+
+/**
+ * Check that a raw configuration has the expected shape and resolve it
+ *
+ * @function
+ */
+const resolveConfig = async (
+  config: unknown,
+  filepath: string,
+): Promise<ResolvedConfig> => {
+  const fail = (message: string): never => {
+    throw new Error(
+      `Invalid cenobite configuration in ${filepath}: ${message}`,
+    );
+  };
+
+  if (!config || typeof config !== 'object' || isArray(config)) {
+    return fail('expected an object');
+  }
+
+  const {
+    allowFsRead,
+    allowFsWrite,
+    coverage,
+    coverageDir,
+    coverageThresholds,
+    denyBuiltins,
+    detectLeaks,
+    exclude,
+    failOnLeaks,
+    fakeTime,
+    globals,
+    hostGlobals,
+    isolate,
+    isolationReport,
+    leakTargets,
+    lockdownOptions,
+    lockdownProfile,
+    modules,
+    policy,
+    preLockdown,
+    randomize,
+    reporter,
+    reporterDestination,
+    seed,
+    setup,
+    testFilePattern,
+    verbose,
+    virtualFs,
+  } = config as CenobiteConfig;
+
+  for (const [key, value] of entries({
+    coverage,
+    detectLeaks,
+    failOnLeaks,
+    isolate,
+    verbose,
+  })) {
+    if (value !== undefined && typeof value !== 'boolean') {
+      fail(`"${key}" must be a boolean`);
+    }
+  }
+  for (const [key, value] of entries({
+    allowFsRead,
+    allowFsWrite,
+    denyBuiltins,
+    exclude,
+    hostGlobals,
+    leakTargets,
+    preLockdown,
+    setup,
+  })) {
+    if (
+      value !== undefined &&
+      (!isArray(value) || !value.every((item) => typeof item === 'string'))
+    ) {
+      fail(`"${key}" must be an array of strings`);
+    }
+  }
+  if (
+    fakeTime !== undefined &&
+    typeof fakeTime !== 'boolean' &&
+    (typeof fakeTime !== 'string' || isNaN(parseTime(fakeTime)))
+  ) {
+    fail('"fakeTime" must be a boolean or an ISO 8601 date');
+  }
+  if (
+    randomize !== undefined &&
+    typeof randomize !== 'boolean' &&
+    !isRandomizeMode(randomize)
+  ) {
+    fail('"randomize" must be a boolean, "files" or "tests"');
+  }
+  if (seed !== undefined && (!isInteger(seed) || seed < 0)) {
+    fail('"seed" must be a non-negative integer');
+  }
+  if (
+    virtualFs !== undefined &&
+    typeof virtualFs !== 'boolean' &&
+    typeof virtualFs !== 'string'
+  ) {
+    fail('"virtualFs" must be a boolean or a string');
+  }
+  for (const [key, value] of entries({ reporter, reporterDestination })) {
+    if (
+      value !== undefined &&
+      typeof value !== 'string' &&
+      (!isArray(value) || !value.every((item) => typeof item === 'string'))
+    ) {
+      fail(`"${key}" must be a string or an array of strings`);
+    }
+  }
+  for (const [key, value] of entries({ coverageDir, isolationReport })) {
+    if (value !== undefined && typeof value !== 'string') {
+      fail(`"${key}" must be a string`);
+    }
+  }
+  if (
+    coverageThresholds !== undefined &&
+    (!coverageThresholds ||
+      typeof coverageThresholds !== 'object' ||
+      isArray(coverageThresholds) ||
+      !entries(coverageThresholds).every(
+        ([key, value]) =>
+          ['branches', 'functions', 'lines'].includes(key) &&
+          typeof value === 'number' &&
+          value >= 0 &&
+          value <= 100,
+      ))
+  ) {
+    fail(
+      '"coverageThresholds" must map any of branches, functions and lines to a percentage',
+    );
+  }
+  if (lockdownProfile !== undefined && !isLockdownProfile(lockdownProfile)) {
+    fail('"lockdownProfile" must be one of: strict, dev, compat');
+  }
+  for (const [key, value] of entries({ globals, lockdownOptions, modules })) {
+    if (
+      value !== undefined &&
+      (!value || typeof value !== 'object' || isArray(value))
+    ) {
+      fail(`"${key}" must be an object`);
+    }
+  }
+
+  let pattern: RegExp | undefined;
+  if (typeof testFilePattern === 'string') {
+    try {
+      pattern = new RegExp(testFilePattern);
+    } catch (error: unknown) {
+      const message = error instanceof Error ? error.message : String(error);
+      fail(`"testFilePattern" is not a valid RegExp: ${message}`);
+    }
+  } else if (testFilePattern instanceof RegExp) {
+    pattern = testFilePattern;
+  } else if (testFilePattern !== undefined) {
+    fail('"testFilePattern" must be a string or RegExp');
+  }
+
+  // A policy given as a path is loaded relative to the config
+  let resolvedPolicy: CapabilityPolicy | undefined;
+  if (typeof policy === 'string') {
+    resolvedPolicy = await loadPolicy(
+      isAbsolute(policy) ? policy : resolve(dirname(filepath), policy),
+    );
+  } else if (policy !== undefined) {
+    resolvedPolicy = resolvePolicy(policy, filepath);
+  }
+
+  // Module substitutions given as paths are loaded relative to the config
+  const resolvedModules =
+    modules &&
+    fromEntries(
+      await Promise.all(
+        entries(modules).map(
+          async ([specifier, value]): Promise<[string, unknown]> => {
+            if (typeof value !== 'string') {
+              return [specifier, value];
+            }
+            const modulePath = isAbsolute(value)
+              ? value
+              : resolve(dirname(filepath), value);
+            return [
+              specifier,
+              (await import(pathToFileURL(modulePath).href)) as unknown,
+            ];
+          },
+        ),
+      ),
+    );
+
+  // Modules given as paths are relative to the config
+  const resolveModules = (specifiers: string[]) =>
+    specifiers.map((specifier) =>
+      resolveModuleSpecifier(specifier, dirname(filepath)),
+    );
+
+  // Directories are relative to the config
+  const resolveDirs = (dirs: string[]) =>
+    dirs.map((dir) =>
+      isAbsolute(dir) ? dir : resolve(dirname(filepath), dir),
+    );
+
+  return {
+    filepath,
+    ...(allowFsRead && { allowFsRead: resolveDirs(allowFsRead) }),
+    ...(allowFsWrite && { allowFsWrite: resolveDirs(allowFsWrite) }),
+    ...(coverage !== undefined && { coverage }),
+    ...(coverageDir !== undefined && {
+      coverageDir: resolveDirs([coverageDir])[0],
+    }),
+    ...(coverageThresholds && { coverageThresholds }),
+    ...(denyBuiltins && { denyBuiltins }),
+    ...(detectLeaks !== undefined && { detectLeaks }),
+    ...(exclude && { exclude }),
+    ...(failOnLeaks !== undefined && { failOnLeaks }),
+    ...(fakeTime !== undefined && { fakeTime }),
+    ...(globals && { globals }),
+    ...(hostGlobals && { hostGlobals }),
+    ...(isolate !== undefined && { isolate }),
+    ...(isolationReport !== undefined && {
+      isolationReport: resolveDirs([isolationReport])[0],
+    }),
+    ...(leakTargets && { leakTargets }),
+    ...(lockdownOptions && { lockdownOptions }),
+    ...(lockdownProfile && { lockdownProfile }),
+    ...(resolvedModules && { modules: resolvedModules }),
+    ...(resolvedPolicy && { policy: resolvedPolicy }),
+    ...(preLockdown && { preLockdown: resolveModules(preLockdown) }),
+    ...(randomize !== undefined && { randomize }),
+    ...(reporter !== undefined && {
+      reporter:
+        typeof reporter === 'string'
+          ? resolveReporter(reporter, dirname(filepath))
+          : reporter.map((name) => resolveReporter(name, dirname(filepath))),
+    }),
+    ...(reporterDestination !== undefined && {
+      reporterDestination:
+        typeof reporterDestination === 'string'
+          ? resolveDestination(reporterDestination, dirname(filepath))
+          : reporterDestination.map((destination) =>
+              resolveDestination(destination, dirname(filepath)),
+            ),
+    }),
+    ...(seed !== undefined && { seed }),
+    ...(setup && { setup: resolveModules(setup) }),
+    ...(pattern && { testFilePattern: pattern }),
+    ...(verbose !== undefined && { verbose }),
+    ...(virtualFs !== undefined && {
+      virtualFs:
+        typeof virtualFs === 'string' ? resolveDirs([virtualFs])[0] : virtualFs,
+    }),
+  };
+};
+
+/**
+ * Load the cenobite configuration
+ *
+ * @function
+ * @param options.configPath Explicit path to a configuration file; skips
+ *   discovery
+ * @param options.cwd Where to start looking for a configuration
+ * @returns The resolved configuration; empty if none was found
+ */
+export const loadConfig = async ({
+  configPath,
+  cwd = process.cwd(),
+}: {
+  configPath?: string | undefined;
+  cwd?: string;
+} = {}): Promise<ResolvedConfig> => {
+  if (configPath) {
+    const filepath = resolve(cwd, configPath);
+    return resolveConfig(await loadConfigFile(filepath), filepath);
+  }
+  const found = await findConfig(cwd);
+  return found ? resolveConfig(found.config, found.filepath) : {};
+};
@@ -0,0 +1,554 @@
+/**
+ * Code coverage of test files run in Compartments
+ *
+ * With `--isolate`, modules are evaluated by SES rather than loaded by Node, so
+ * `--experimental-test-coverage` cannot attribute their code to their files.
+ * Every module compartment-mapper evaluates is named by a `//# sourceURL`
+ * comment, though—ESM by `@endo/module-source`, CommonJS by
+ * {@link nameSource}—so V8's coverage of the scripts named after a file is
+ * collected through the inspector. An evaluated module keeps each line where it
+ * was in its file, so each line, function and branch maps back to it by line.
+ * The Compartments of each test file evaluate modules anew, so the coverage of
+ * every copy of a module is merged.
+ *
+ * Lines, functions and branches are counted the way `node:test` counts them.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { type Debugger, type Profiler, Session } from 'node:inspector/promises';
+import { isAbsolute, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const { entries, fromEntries } = Object;
+const { max, round } = Math;
+const { stringify } = JSON;
+
+/**
+ * Where `--coverage` writes its reports if not given a directory
+ */
+export const DEFAULT_COVERAGE_DIR = 'coverage';
+
+/**
+ * Extensions of the modules named by {@link nameSource}
+ */
+const SCRIPT_EXTENSION = /\.[cm]?[jt]s$/;
+
+/**
+ * Prefix of the identifiers in the code `@endo/module-source` adds to ESM,
+ * which modules themselves cannot use
+ */
+const GENERATED_PREFIX = '$h\u034F_';
+
+/**
+ * Kinds of coverage with a threshold, with their names in messages
+ */
+const METRICS = {
+  branches: 'Branch',
+  functions: 'Function',
+  lines: 'Line',
+} as const;
+
+/**
+ * Collects V8's coverage of the modules evaluated in Compartments
+ */
+export interface CoverageSession {
+  /**
+   * Stop collecting coverage
+   *
+   * @returns The coverage of each file below the working directory, outside
+   *   `node_modules`, by path
+   */
+  stop: () => Promise<Map<string, FileCoverage>>;
+}
+
+/**
+ * Minimum percentages of lines, branches and functions covered
+ */
+export interface CoverageThresholds {
+  branches?: number | undefined;
+  functions?: number | undefined;
+  lines?: number | undefined;
+}
+
+/**
+ * Coverage of one file, merged across every copy of it evaluated
+ */
+export interface FileCoverage {
+  /** Blocks of code, by their place in the evaluated source */
+  branches: Map<string, { count: number; line: number }>;
+  /** Functions, by their place in the evaluated source */
+  functions: Map<string, { count: number; line: number; name: string }>;
+  /** Number of times each line ran, by line number */
+  lines: Map<number, number>;
+}
+
+/**
+ * How many of a kind of code ran, as `json-summary` reports it
+ */
+interface CoverageCount {
+  covered: number;
+  pct: number;
+  skipped: number;
+  total: number;
+}
+
+/**
+ * Coverage totals of a file, or of all files
+ */
+interface CoverageSummary {
+  branches: CoverageCount;
+  functions: CoverageCount;
+  lines: CoverageCount;
+  statements: CoverageCount;
+}
+
+/**
+ * Name a module by its location with a `//# sourceURL` comment
+ *
+ * Compartments evaluate CommonJS without naming it, so V8 would attribute its
+ * code (in stack traces and coverage) to an anonymous script. The comment is
+ * added on lines of its own after the source, so every line stays in place.
+ *
+ * @function
+ * @param location URL of the module
+ * @param bytes The module's source
+ */
+export const nameSource = (location: string, bytes: Uint8Array): Uint8Array =>
+  SCRIPT_EXTENSION.test(new URL(location).pathname)
+    ? Buffer.concat([bytes, Buffer.from(`\n//# sourceURL=${location}\n`)])
+    : bytes;
+
+/**
+ * Map V8's coverage of an evaluated module to the lines of its file
+ *
+ * The functions wrapping the module—those of SES and compartment-mapper, which
+ * end after the module's last line—are not the file's, so only their lines
+ * count; nor are those `@endo/module-source` adds to bind imports.
+ *
+ * @function
+ * @param functions V8's coverage of the functions in the evaluated source
+ * @param scriptSource The evaluated source
+ * @param source The file's source
+ */
+export const mapScriptCoverage = (
+  functions: readonly Profiler.FunctionCoverage[],
+  scriptSource: string,
+  source: string,
+): FileCoverage => {
+  const sourceLines = source.trimEnd().split('\n');
+  const lastLine = sourceLines.length;
+  const lineStarts = [0];
+  for (const { index } of scriptSource.matchAll(/\n/g)) {
+    lineStarts.push(index + 1);
+  }
+  const lineOf = (offset: number): number => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if ((lineStarts[mid] as number) <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low + 1;
+  };
+
+  // Each line's code, without its indentation and trailing whitespace; lines
+  // blank in the file are not counted, even if code was added to them
+  const code = lineStarts.slice(0, lastLine).map((start, index) => {
+    const text = scriptSource.slice(
+      start,
+      (lineStarts[index + 1] ?? scriptSource.length + 1) - 1,
+    );
+    const indent = text.length - text.trimStart().length;
+    return text.trim() && sourceLines[index]?.trim()
+      ? { end: start + text.trimEnd().length, start: start + indent }
+      : undefined;
+  });
+
+  const coverage: FileCoverage = {
+    branches: new Map(),
+    functions: new Map(),
+    lines: new Map(),
+  };
+  let anonymous = 0;
+  for (const { functionName, isBlockCoverage, ranges } of functions) {
+    // Like node:test, a line is counted by the innermost range spanning it
+    for (const { count, endOffset, startOffset } of ranges) {
+      for (let line = lineOf(startOffset); line <= lastLine; line++) {
+        const span = code[line - 1];
+        if (span && span.start >= endOffset) {
+          break;
+        }
+        if (span && startOffset <= span.start && span.end <= endOffset) {
+          coverage.lines.set(line, count);
+        }
+      }
+    }
+
+    const [own] = ranges;
+    if (
+      !own ||
+      lineOf(own.endOffset) > lastLine ||
+      scriptSource.startsWith(GENERATED_PREFIX, own.startOffset)
+    ) {
+      continue;
+    }
+    const key = `${own.startOffset}:${own.endOffset}`;
+    coverage.functions.set(key, {
+      count: max(...ranges.map(({ count }) => count)),
+      line: lineOf(own.startOffset),
+      name: functionName || `(anonymous_${anonymous++})`,
+    });
+    if (isBlockCoverage) {
+      for (const { count, endOffset, startOffset } of ranges) {
+        coverage.branches.set(`${startOffset}:${endOffset}`, {
+          count,
+          line: lineOf(startOffset),
+        });
+      }
+    }
+  }
+  return coverage;
+};
+
+/**
+ * Add the coverage of one copy of a file to that of the others
+ *
+ * @function
+ */
+const mergeCoverage = (
+  target: FileCoverage | undefined,
+  source: FileCoverage,
+): FileCoverage => {
+  if (!target) {
+    return source;
+  }
+  for (const [line, count] of source.lines) {
+    target.lines.set(line, (target.lines.get(line) ?? 0) + count);
+  }
+  for (const kind of ['branches', 'functions'] as const) {
+    const counted: Map<string, { count: number }> = target[kind];
+    for (const [key, item] of source[kind]) {
+      const existing = counted.get(key);
+      if (existing) {
+        existing.count += item.count;
+      } else {
+        counted.set(key, item);
+      }
+    }
+  }
+  return target;
+};
+
+/**
+ * Start collecting the coverage of modules evaluated in Compartments
+ *
+ * `debugger` statements are ignored while it does, since pausing this thread
+ * would hang it.
+ *
+ * @function
+ * @param cwd Only files below this directory are covered
+ */
+export const startCoverage = async (
+  cwd = process.cwd(),
+): Promise<CoverageSession> => {
+  const session = new Session();
+  session.connect();
+  // Scripts named by a `sourceURL` comment, rather than by Node's loaders
+  const named = new Set<string>();
+  session.on(
+    'Debugger.scriptParsed',
+    ({ params }: { params: Debugger.ScriptParsedEventDataType }) => {
+      if (params.hasSourceURL && params.url.startsWith('file:')) {
+        named.add(params.scriptId);
+      }
+    },
+  );
+  await session.post('Debugger.enable');
+  await session.post('Debugger.setSkipAllPauses', { skip: true });
+  await session.post('Profiler.enable');
+  await session.post('Profiler.startPreciseCoverage', {
+    callCount: true,
+    detailed: true,
+  });
+
+  return {
+    stop: async () => {
+      const { result } = await session.post('Profiler.takePreciseCoverage');
+      const sources = new Map<string, Promise<string | undefined>>();
+      const coverage = new Map<string, FileCoverage>();
+      for (const { functions, scriptId, url } of result) {
+        if (!named.has(scriptId)) {
+          continue;
+        }
+        const path = fileURLToPath(url);
+        const relativePath = relative(cwd, path);
+        if (
+          relativePath.startsWith('..') ||
+          isAbsolute(relativePath) ||
+          relativePath.split(sep).includes('node_modules')
+        ) {
+          continue;
+        }
+        if (!sources.has(path)) {
+          sources.set(
+            path,
+            readFile(path, 'utf8').catch(() => undefined),
+          );
+        }
+        const source = await sources.get(path);
+        if (source === undefined) {
+          continue;
+        }
+        const { scriptSource } = await session.post(
+          'Debugger.getScriptSource',
+          { scriptId },
+        );
+        coverage.set(
+          path,
+          mergeCoverage(
+            coverage.get(path),
+            mapScriptCoverage(functions, scriptSource, source),
+          ),
+        );
+      }
+      await session.post('Profiler.stopPreciseCoverage');
+      await session.post('Profiler.disable');
+      await session.post('Debugger.disable');
+      session.disconnect();
+      return new Map([...coverage].sort(([a], [b]) => (a < b ? -1 : 1)));
+    },
+  };
+};
+
+/**
+ * Count how much of a kind of code ran
+ *
+ * @function
+ */
+const count = (counts: Iterable<number>): CoverageCount => {
+  let total = 0;
+  let covered = 0;
+  for (const value of counts) {
+    total++;
+    if (value > 0) {
+      covered++;
+    }
+  }
+  return {
+    covered,
+    // As in istanbul, nothing to cover is fully covered
+    pct: total ? round((covered / total) * 10000) / 100 : 100,
+    skipped: 0,
+    total,
+  };
+};
+
+/**
+ * Count how much of the code of each file, and of all of them, ran
+ *
+ * @function
+ * @returns The totals, keyed by `total` and by path, as istanbul's
+ *   `json-summary` reporter writes them
+ */
+export const summarizeCoverage = (
+  coverage: ReadonlyMap<string, FileCoverage>,
+): Record<string, CoverageSummary> => {
+  const summarize = (files: FileCoverage[]): CoverageSummary => {
+    const lines = count(files.flatMap((file) => [...file.lines.values()]));
+    return {
+      branches: count(
+        files.flatMap((file) =>
+          [...file.branches.values()].map(({ count }) => count),
+        ),
+      ),
+      functions: count(
+        files.flatMap((file) =>
+          [...file.functions.values()].map(({ count }) => count),
+        ),
+      ),
+      lines,
+      // Statements are not told apart from the lines they are on
+      statements: lines,
+    };
+  };
+  return {
+    total: summarize([...coverage.values()]),
+    ...fromEntries(
+      [...coverage].map(([path, file]) => [path, summarize([file])]),
+    ),
+  };
+};
+
+/**
+ * Format coverage as an lcov tracefile
+ *
+ * @function
+ */
+export const formatLcov = (
+  coverage: ReadonlyMap<string, FileCoverage>,
+): string =>
+  [...coverage]
+    .map(([path, { branches, functions, lines }]) => {
+      const records = ['TN:', `SF:${path}`];
+      for (const { line, name } of functions.values()) {
+        records.push(`FN:${line},${name}`);
+      }
+      for (const { count, name } of functions.values()) {
+        records.push(`FNDA:${count},${name}`);
+      }
+      const functionCounts = count(
+        [...functions.values()].map(({ count }) => count),
+      );
+      records.push(
+        `FNF:${functionCounts.total}`,
+        `FNH:${functionCounts.covered}`,
+      );
+      [...branches.values()].forEach(({ count, line }, index) => {
+        records.push(`BRDA:${line},${index},0,${count}`);
+      });
+      const branchCounts = count(
+        [...branches.values()].map(({ count }) => count),
+      );
+      records.push(`BRF:${branchCounts.total}`, `BRH:${branchCounts.covered}`);
+      const sorted = [...lines].sort(([a], [b]) => a - b);
+      for (const [line, count] of sorted) {
+        records.push(`DA:${line},${count}`);
+      }
+      const lineCounts = count(lines.values());
+      records.push(
+        `LH:${lineCounts.covered}`,
+        `LF:${lineCounts.total}`,
+        'end_of_record',
+      );
+      return `${records.join('\n')}\n`;
+    })
+    .join('');
+
+/**
+ * Collapse line numbers into ranges, e.g. `3-5 9`
+ *
+ * @function
+ */
+const formatLineRanges = (lines: number[]): string => {
+  const ranges: string[] = [];
+  for (let index = 0; index < lines.length;) {
+    const start = lines[index] as number;
+    let end = start;
+    while (lines[index + 1] === end + 1) {
+      end++;
+      index++;
+    }
+    index++;
+    ranges.push(start === end ? `${start}` : `${start}-${end}`);
+  }
+  return ranges.join(' ');
+};
+
+/**
+ * Format coverage as a table of each file's percentages of lines, branches and
+ * functions covered, and the lines which were not, as `node:test` does
+ *
+ * @function
+ * @param coverage Coverage by path
+ * @param cwd Paths are shown relative to this
+ */
+export const formatCoverageTable = (
+  coverage: ReadonlyMap<string, FileCoverage>,
+  cwd = process.cwd(),
+): string => {
+  const summary = summarizeCoverage(coverage);
+  const rows = [
+    ['file', 'line %', 'branch %', 'funcs %', 'uncovered lines'],
+    ...[...coverage].map(([path, { lines }]) => {
+      const {
+        branches,
+        functions,
+        lines: lineCounts,
+      } = summary[path] as CoverageSummary;
+      const uncovered = [...lines]
+        .filter(([, count]) => count === 0)
+        .map(([line]) => line)
+        .sort((a, b) => a - b);
+      return [
+        relative(cwd, path),
+        lineCounts.pct.toFixed(2),
+        branches.pct.toFixed(2),
+        functions.pct.toFixed(2),
+        formatLineRanges(uncovered),
+      ];
+    }),
+  ];
+  const { branches, functions, lines } = summary.total as CoverageSummary;
+  rows.push([
+    'all files',
+    lines.pct.toFixed(2),
+    branches.pct.toFixed(2),
+    functions.pct.toFixed(2),
+    '',
+  ]);
+  const widths = [0, 1, 2, 3].map((column) =>
+    max(...rows.map((row) => (row[column] as string).length)),
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, column) => {
+          const width = widths[column];
+          if (width === undefined) {
+            return cell;
+          }
+          return column ? cell.padStart(width) : cell.padEnd(width);
+        })
+        .join(' | ')
+        .trimEnd(),
+    )
+    .join('\n');
+};
+
+/**
+ * Check the coverage of all files against the thresholds
+ *
+ * @function
+ * @returns A message for each threshold not met
+ */
+export const checkCoverageThresholds = (
+  coverage: ReadonlyMap<string, FileCoverage>,
+  thresholds: CoverageThresholds,
+): string[] => {
+  const total = summarizeCoverage(coverage).total as CoverageSummary;
+  return entries(METRICS).flatMap(([metric, name]) => {
+    const threshold = thresholds[metric as keyof typeof METRICS];
+    const { pct } = total[metric as keyof typeof METRICS];
+    return threshold !== undefined && pct < threshold
+      ? [
+          `${name} coverage of ${pct.toFixed(2)}% is below the threshold of ${threshold}%`,
+        ]
+      : [];
+  });
+};
+
+/**
+ * Write `lcov.info` and `coverage-summary.json` to a directory
+ *
+ * @function
+ * @returns Paths of the files written
+ */
+export const writeCoverageReports = async (
+  coverage: ReadonlyMap<string, FileCoverage>,
+  dir: string,
+): Promise<string[]> => {
+  const directory = resolve(dir);
+  await mkdir(directory, { recursive: true });
+  const lcovPath = join(directory, 'lcov.info');
+  const summaryPath = join(directory, 'coverage-summary.json');
+  await writeFile(lcovPath, formatLcov(coverage));
+  await writeFile(
+    summaryPath,
+    `${stringify(summarizeCoverage(coverage), null, 2)}\n`,
+  );
+  return [lcovPath, summaryPath];
+};
@@ -0,0 +1,189 @@
+/**
+ * Test file discovery
+ *
+ * Cenobite expands its positionals itself, the same way on every shell: globs
+ * (including `**`) are matched against the files below their static part,
+ * directories are searched for test files, and with no positionals at all, the
+ * working directory is. Searches pick the files matching the test file pattern,
+ * by default the files `node --test` would find. The files found are then given
+ * to the loader hooks, so the files cenobite runs and the files the hooks wrap
+ * always agree.
+ */
+
+import { realpathSync } from 'node:fs';
+import { readdir, stat } from 'node:fs/promises';
+import {
+  isAbsolute,
+  join,
+  matchesGlob,
+  relative,
+  resolve,
+  sep,
+} from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Files `node --test` finds by default: `*.test.*`, `*-test.*`, `*_test.*`,
+ * `test-*.*`, `test.*`, and any file in a `test` directory, whether JavaScript
+ * (`.js`, `.mjs`, `.cjs`) or TypeScript (`.ts`, `.mts`, `.cts`); and `.jsx`,
+ * which a loader like `tsx` can compile
+ */
+export const DEFAULT_TEST_FILE_PATTERN =
+  /(?:^|[/\\])(?:[^/\\]*[._-]test|test-[^/\\]*|test)\.(?:[cm]?[jt]s|jsx)$|(?:^|[/\\])test[/\\].*\.(?:[cm]?[jt]s|jsx)$/;
+
+/**
+ * Options for {@link expandTestFiles}
+ */
+interface ExpandOptions {
+  /** Directory positionals are relative to, and searched without any */
+  cwd?: string | undefined;
+  /** Globs of files not to run, unless they are named explicitly */
+  exclude?: readonly string[] | undefined;
+  /** Pattern matching test files when searching a directory */
+  pattern?: RegExp | undefined;
+}
+
+/**
+ * Whether a positional is a glob rather than a path
+ *
+ * @function
+ */
+const isGlob = (arg: string): boolean => /[*?[\]{}]/.test(arg);
+
+/**
+ * The directory below which a glob can match: its segments before the first one
+ * with a wildcard
+ *
+ * @function
+ */
+const globBase = (glob: string): string => {
+  const segments = glob.split(/[/\\]/);
+  const magic = segments.findIndex(isGlob);
+  return segments.slice(0, magic).join(sep) || (isAbsolute(glob) ? sep : '.');
+};
+
+/**
+ * List the files below a directory, in order, skipping `node_modules` and
+ * hidden directories
+ *
+ * @function
+ */
+const walk = async (dir: string): Promise<string[]> => {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  const files: string[] = [];
+  for (const entry of entries.sort((a, b) =>
+    a.name < b.name ? -1 : a.name > b.name ? 1 : 0,
+  )) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        files.push(...(await walk(path)));
+      }
+    } else if (entry.isFile()) {
+      files.push(path);
+    }
+  }
+  return files;
+};
+
+/**
+ * Whether a path is a directory
+ *
+ * @function
+ */
+const isDirectory = async (path: string): Promise<boolean> => {
+  try {
+    return (await stat(path)).isDirectory();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Expand positionals into the test files to run
+ *
+ * Globs and directories expand to the files they match, relative to the working
+ * directory and in order; other positionals are kept as they are. Files
+ * matching an excluded glob are left out, unless they are named explicitly.
+ *
+ * @function
+ * @param args Paths, directories and globs; none searches the working directory
+ * @param options The working directory, excluded globs and test file pattern
+ * @returns The test files, without duplicates
+ * @throws If no test files are found
+ */
+export const expandTestFiles = async (
+  args: readonly string[],
+  {
+    cwd = process.cwd(),
+    exclude = [],
+    pattern = DEFAULT_TEST_FILE_PATTERN,
+  }: ExpandOptions = {},
+): Promise<string[]> => {
+  const toRelative = (path: string) => relative(cwd, path) || '.';
+  const excluded = (path: string) =>
+    exclude.some((glob) => matchesGlob(toRelative(path), glob));
+  const files = new Set<string>();
+
+  for (const arg of args.length ? args : ['.']) {
+    const path = resolve(cwd, arg);
+    let found: string[];
+    if (isGlob(arg)) {
+      // Matched as written, so an absolute glob matches absolute paths
+      const glob = isAbsolute(arg) ? arg : arg.replace(/^\.[/\\]/, '');
+      found = (await walk(resolve(cwd, globBase(glob)))).filter((file) =>
+        matchesGlob(isAbsolute(glob) ? file : toRelative(file), glob),
+      );
+    } else if (await isDirectory(path)) {
+      found = (await walk(path)).filter((file) =>
+        pattern.test(toRelative(file)),
+      );
+    } else {
+      files.add(arg);
+      continue;
+    }
+    for (const file of found) {
+      if (!excluded(file)) {
+        files.add(toRelative(file));
+      }
+    }
+  }
+
+  if (!files.size) {
+    throw new Error(
+      args.length
+        ? `No test files found matching ${args.join(' ')}`
+        : `No test files found in ${cwd} (expected names like *.test.js, or files in a test directory)`,
+    );
+  }
+  return [...files];
+};
+
+/**
+ * The URLs the loader hooks know test files by
+ *
+ * Node loads a file reached through a symlink from its real path (unless run
+ * with `--preserve-symlinks`), so each file is known by both.
+ *
+ * @function
+ * @param files The test files, relative to the working directory
+ */
+export const toTestFileUrls = (files: readonly string[]): string[] => [
+  ...new Set(
+    files.flatMap((file) => {
+      const path = resolve(file);
+      let real = path;
+      try {
+        real = realpathSync(path);
+      } catch {
+        // A missing file is reported as it is run
+      }
+      return [path, real].map((location) => pathToFileURL(location).href);
+    }),
+  ),
+];
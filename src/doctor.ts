@@ -0,0 +1,410 @@
+/**
+ * `cenobite doctor`: find what breaks under lockdown, and how to fix it
+ *
+ * Each test file's module graph is loaded into Compartments and evaluated, as
+ * with `--isolate`, but with an inert `node:test`, so no tests run. A failure
+ * is attributed to the package whose code threw it, by its stack trace, and
+ * matched against the ways code commonly breaks under SES, each with the change
+ * which fixes it.
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, relative, sep } from 'node:path';
+import * as nodeTest from 'node:test';
+import { fileURLToPath } from 'node:url';
+import { type LockdownOptions } from 'ses';
+
+import { initializeSES, runTestFile } from './cli.js';
+import { type CapabilityPolicy, POLICY_DENIAL } from './policy.js';
+import { importPreLockdownModules } from './setup.js';
+
+const { assign } = Object;
+
+/**
+ * Directory of cenobite's own modules, whose stack frames are never the
+ * culprit's
+ */
+const OWN_DIR = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * A stack frame's file and position, with or without a function name
+ */
+const STACK_FRAME =
+  /^\s*at (?:.*? \()?((?:file:\/\/)?\/[^():]+):(\d+):(\d+)\)?$/;
+
+/**
+ * Properties of V8's call sites, which only exist in Compartments with
+ * `errorTaming: 'unsafe-debug'`
+ */
+const CALL_SITE_API =
+  /prepareStackTrace|captureStackTrace|stackTraceLimit|\b(?:get(?:ColumnNumber|EvalOrigin|FileName|FunctionName|LineNumber|MethodName|ScriptNameOrSourceURL|This|TypeName)|is(?:Constructor|Eval|Native|Toplevel))\b/;
+
+/**
+ * A property read of a variable, e.g. `Buffer.from` or `process?.env`
+ */
+const MEMBER_READ = /(?<![\w$.])([A-Za-z_$][\w$]*)\s*\??\.\s*([\w$]+)/g;
+
+/**
+ * A location, as `path:line:column`
+ */
+const LOCATION = /^(.+):(\d+):\d+$/;
+
+/**
+ * Why a test file failed to load under lockdown
+ */
+interface Diagnosis {
+  /** The test file */
+  file: string;
+  /** What to change to fix it, if it is a known incompatibility */
+  fix?: string;
+  /** What kind of incompatibility it is */
+  kind: DiagnosisKind;
+  /** Where the failure was thrown, as `path:line:column` */
+  location?: string;
+  /** The error's message */
+  message: string;
+  /**
+   * The package whose code threw it; if not set, it was thrown by the project's
+   * own code, or by no code at all (e.g. the file could not be parsed)
+   */
+  package?: string;
+}
+
+/**
+ * Ways code breaks under lockdown
+ *
+ * - `error-stack`: V8's stack trace API, which SES tames
+ * - `frozen-intrinsic`: Changing a built-in, which lockdown froze
+ * - `missing-global`: A global which is not endowed
+ * - `override-mistake`: Assigning a property an object inherits from a frozen
+ *   built-in prototype, which fails since the inherited one is read-only
+ * - `policy`: An import or global the capability policy does not grant
+ * - `tamed-intrinsic`: A built-in which SES disables in Compartments
+ * - `unknown`: Anything else
+ */
+type DiagnosisKind =
+  | 'error-stack'
+  | 'frozen-intrinsic'
+  | 'missing-global'
+  | 'override-mistake'
+  | 'policy'
+  | 'tamed-intrinsic'
+  | 'unknown';
+
+/**
+ * Options for {@link runDoctor}
+ */
+interface DoctorOptions {
+  /** Test files to check */
+  files: string[];
+  /** Extra endowments for each test file's Compartment */
+  globals?: Record<string, unknown> | undefined;
+  /** Host globals to endow besides the defaults, by name */
+  hostGlobals?: string[] | undefined;
+  /** SES lockdown options */
+  lockdownOptions?: LockdownOptions | undefined;
+  /** Module substitutions for each test file's Compartment */
+  modules?: Record<string, unknown> | undefined;
+  /** Capability policy for the test files' dependencies */
+  policy?: CapabilityPolicy | undefined;
+  /** URLs of modules to import before `lockdown()` */
+  preLockdown?: string[] | undefined;
+}
+
+/**
+ * What `cenobite doctor` found
+ */
+interface DoctorReport {
+  /** A diagnosis for each test file which failed to load */
+  diagnoses: Diagnosis[];
+  /** The test files checked */
+  files: string[];
+}
+
+/**
+ * Does nothing, in place of the functions of `node:test` which declare tests
+ * and hooks
+ *
+ * @function
+ */
+const ignore = (): void => {};
+
+/**
+ * `test()` and the like, which declare nothing
+ */
+const inertTest = assign(() => {}, {
+  only: ignore,
+  skip: ignore,
+  todo: ignore,
+});
+
+/**
+ * `node:test`, with nothing declared to run
+ */
+const INERT_NODE_TEST = {
+  ...nodeTest,
+  after: ignore,
+  afterEach: ignore,
+  before: ignore,
+  beforeEach: ignore,
+  default: inertTest,
+  describe: inertTest,
+  it: inertTest,
+  suite: inertTest,
+  test: inertTest,
+};
+
+/**
+ * Find the package whose code threw an error, from its stack trace
+ *
+ * The first frame outside SES, compartment-mapper and cenobite is the
+ * culprit's.
+ *
+ * @function
+ */
+const findCulprit = (
+  stack: string,
+): { location?: string; package?: string } => {
+  for (const line of stack.split('\n')) {
+    const [, file, lineNumber, column] = STACK_FRAME.exec(line) ?? [];
+    if (!file) {
+      continue;
+    }
+    const path = file.startsWith('file:') ? fileURLToPath(file) : file;
+    const parts = path.split(sep);
+    const index = parts.lastIndexOf('node_modules');
+    const name =
+      index === -1
+        ? undefined
+        : parts[index + 1]?.startsWith('@')
+          ? parts.slice(index + 1, index + 3).join('/')
+          : parts[index + 1];
+    if (
+      path.startsWith(`${OWN_DIR}${sep}`) ||
+      name === 'ses' ||
+      name?.startsWith('@endo/')
+    ) {
+      continue;
+    }
+    return {
+      location: `${path}:${lineNumber}:${column}`,
+      ...(name && { package: name }),
+    };
+  }
+  return {};
+};
+
+/**
+ * Find the host global whose property a line of code read, where reading it
+ * found `undefined`
+ *
+ * In a Compartment, a global which is not endowed reads as `undefined` rather
+ * than throwing a `ReferenceError`, so `Buffer.from()` fails with "Cannot read
+ * properties of undefined (reading 'from')".
+ *
+ * @function
+ * @param location Where it was read, as `path:line:column`
+ * @param property The property read
+ */
+const findUnendowedGlobal = (
+  location: string,
+  property: string,
+): string | undefined => {
+  const [, path = '', lineNumber = '0'] = LOCATION.exec(location) ?? [];
+  let line: string | undefined;
+  try {
+    line = readFileSync(path, 'utf8').split('\n')[Number(lineNumber) - 1];
+  } catch {
+    return undefined;
+  }
+  for (const [, name = '', read] of line?.matchAll(MEMBER_READ) ?? []) {
+    if (read === property && name in globalThis) {
+      return name;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Classify an error thrown while loading a test file, and suggest a fix
+ *
+ * @function
+ * @param error What was thrown
+ * @param options.file The test file
+ * @param options.lockdownOptions The lockdown options it was loaded under
+ */
+export const diagnoseError = (
+  error: unknown,
+  {
+    file,
+    lockdownOptions = {},
+  }: { file: string; lockdownOptions?: LockdownOptions | undefined },
+): Diagnosis => {
+  const message = error instanceof Error ? error.message : String(error);
+  const culprit =
+    error instanceof Error && typeof error.stack === 'string'
+      ? findCulprit(error.stack)
+      : {};
+  const diagnose = (kind: DiagnosisKind, fix?: string): Diagnosis => ({
+    file,
+    ...(fix && { fix }),
+    kind,
+    ...culprit,
+    message,
+  });
+  // SES' defaults, which the lockdown profiles may not set
+  const { errorTaming = 'safe', overrideTaming = 'moderate' } = lockdownOptions;
+
+  if (POLICY_DENIAL.test(message)) {
+    const [, hint] = /; (add it to .*)$/.exec(message) ?? [];
+    return diagnose(
+      'policy',
+      hint
+        ? `Grant it in the capability policy: ${hint}`
+        : 'Grant it in the capability policy (--generate-policy records what each package uses)',
+    );
+  }
+  if (CALL_SITE_API.test(message)) {
+    return diagnose(
+      'error-stack',
+      errorTaming === 'unsafe-debug'
+        ? "The package uses V8's stack trace API in a way SES does not allow even with errorTaming: 'unsafe-debug'; patch it, or use it only in code run without --isolate"
+        : "Set errorTaming to 'unsafe-debug' (--error-taming=unsafe-debug), which leaves V8's stack trace API to Compartments",
+    );
+  }
+  const readOnly = /Cannot assign to read only property '([^']+)'/.exec(
+    message,
+  );
+  if (readOnly && overrideTaming !== 'severe') {
+    return diagnose(
+      'override-mistake',
+      `Set overrideTaming to 'severe' (--override-taming=severe), which lets objects override "${readOnly[1]}" and every other property of the built-in prototypes`,
+    );
+  }
+  if (
+    readOnly ||
+    /Cannot (?:add|define|delete|redefine) property|is not extensible/.test(
+      message,
+    )
+  ) {
+    return diagnose(
+      'frozen-intrinsic',
+      'Lockdown froze the built-ins: import a polyfill of a standard feature with --pre-lockdown, or replace other changes to them with helpers of your own (lockdown removes what SES does not recognize)',
+    );
+  }
+  const tamed = /secure mode (?:Calling )?%Shared(\w+)%\.(\w+)\(\) throws/.exec(
+    message,
+  );
+  if (tamed) {
+    const [, name = '', method = ''] = tamed;
+    return diagnose(
+      'tamed-intrinsic',
+      name === 'Math' && method === 'random'
+        ? "Use --fake-time, which gives each test file a seeded Math.random, or endow the host's with --globals=Math"
+        : `Endow the host's ${name} with --globals=${name}`,
+    );
+  }
+  const notDefined = /^(\S+) is not defined$/.exec(message);
+  const [, property] =
+    /^Cannot read properties of undefined \(reading '([^']+)'\)$/.exec(
+      message,
+    ) ?? [];
+  const name =
+    notDefined && error instanceof ReferenceError
+      ? notDefined[1]
+      : property && culprit.location
+        ? findUnendowedGlobal(culprit.location, property)
+        : undefined;
+  if (name) {
+    return diagnose(
+      'missing-global',
+      name in globalThis
+        ? `Endow the host's ${name} with --globals=${name} (or "hostGlobals" in the configuration)`
+        : `Endow a ${name} of your own with "globals" in the configuration`,
+    );
+  }
+  return diagnose('unknown');
+};
+
+/**
+ * Load each test file's module graph under lockdown, diagnosing those which
+ * fail
+ *
+ * This locks down the process. Stack traces are kept whole, whatever
+ * `errorTaming` and `stackFiltering` say, to find the package at fault. Setup
+ * modules are not imported, since their hooks would start a `node:test` run.
+ *
+ * @function
+ */
+export const runDoctor = async ({
+  files,
+  globals,
+  hostGlobals,
+  lockdownOptions = {},
+  modules,
+  policy,
+  preLockdown = [],
+}: DoctorOptions): Promise<DoctorReport> => {
+  await importPreLockdownModules(preLockdown);
+  initializeSES({
+    ...lockdownOptions,
+    errorTaming:
+      lockdownOptions.errorTaming === 'unsafe-debug'
+        ? 'unsafe-debug'
+        : 'unsafe',
+    stackFiltering: 'verbose',
+  });
+
+  const diagnoses: Diagnosis[] = [];
+  for (const file of files) {
+    try {
+      await runTestFile(file, {
+        ...(globals && { globals }),
+        ...(hostGlobals && { hostGlobals }),
+        modules: { ...modules, 'node:test': INERT_NODE_TEST },
+        ...(policy && { policy }),
+        silent: true,
+      });
+    } catch (error: unknown) {
+      diagnoses.push(diagnoseError(error, { file, lockdownOptions }));
+    }
+  }
+  return { diagnoses, files };
+};
+
+/**
+ * Format a doctor's report for people
+ *
+ * @function
+ * @param report The report
+ * @param cwd Paths are shown relative to this
+ */
+export const formatDoctorReport = (
+  { diagnoses, files }: DoctorReport,
+  cwd = process.cwd(),
+): string => {
+  const name = (path: string) => relative(cwd, path) || path;
+  const lines: string[] = [];
+  for (const {
+    file,
+    fix,
+    kind,
+    location,
+    message,
+    package: culprit,
+  } of diagnoses) {
+    lines.push(`✖ ${name(file)}`, `  ${message}`);
+    if (location) {
+      lines.push(
+        `  thrown by ${culprit ? `package "${culprit}"` : 'your code'} at ${name(location)}`,
+      );
+    }
+    lines.push(`  kind: ${kind}`, `  fix: ${fix ?? 'no known fix'}`);
+  }
+  lines.push(
+    diagnoses.length
+      ? `[cenobite] ${diagnoses.length} of ${files.length} test file(s) failed to load under lockdown`
+      : `[cenobite] All ${files.length} test file(s) loaded under lockdown`,
+  );
+  return lines.join('\n');
+};
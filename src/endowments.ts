@@ -0,0 +1,179 @@
+/**
+ * Globals endowed to the Compartments of test files run with `--isolate`
+ *
+ * Compartments only get the JavaScript intrinsics by default; everything a test
+ * file or its dependencies expect from the host must be endowed. Rather than
+ * the host's `globalThis`, through which any module could read and write host
+ * state, each Compartment gets hardened copies of a curated set of globals, a
+ * `process` with only informational members, and whichever host globals are
+ * allowed by name (`--globals`).
+ */
+
+const {
+  assign,
+  defineProperty,
+  entries,
+  freeze,
+  fromEntries,
+  hasOwn,
+  isFrozen,
+} = Object;
+const { apply } = Reflect;
+const { hasInstance } = Symbol;
+
+type HostClass = new (...args: never[]) => object;
+
+/**
+ * Host globals endowed to every Compartment, besides `process`
+ */
+export const DEFAULT_GLOBALS: readonly string[] = [
+  'AbortController',
+  'AbortSignal',
+  'atob',
+  'btoa',
+  'clearImmediate',
+  'clearInterval',
+  'clearTimeout',
+  'console',
+  'Date',
+  'fetch',
+  'Headers',
+  'queueMicrotask',
+  'Request',
+  'Response',
+  'setImmediate',
+  'setInterval',
+  'setTimeout',
+  'structuredClone',
+  'TextDecoder',
+  'TextEncoder',
+  'URL',
+  'URLSearchParams',
+];
+
+/**
+ * Create a `process` which can describe the host, but not change it
+ *
+ * `env` and `argv` are frozen copies; there is no `exit()`, `chdir()`,
+ * `binding()` or any other member which reaches beyond the Compartment.
+ *
+ * @function
+ */
+const createProcess = (): object => ({
+  arch: process.arch,
+  argv: [...process.argv],
+  cwd: () => process.cwd(),
+  emitWarning: (...args: Parameters<typeof process.emitWarning>) => {
+    process.emitWarning(...args);
+  },
+  env: { ...process.env },
+  hrtime: assign((time?: [number, number]) => process.hrtime(time), {
+    bigint: () => process.hrtime.bigint(),
+  }),
+  nextTick: (callback: (...args: unknown[]) => void, ...args: unknown[]) => {
+    process.nextTick(callback, ...args);
+  },
+  platform: process.platform,
+  version: process.version,
+  versions: { ...process.versions },
+});
+
+/**
+ * Wrap a host function, so that hardening the wrapper leaves the host's own
+ * alone
+ *
+ * @function
+ */
+const wrapFunction = (
+  name: string,
+  fn: (...args: unknown[]) => unknown,
+  thisArg?: unknown,
+): ((...args: unknown[]) => unknown) =>
+  ({ [name]: (...args: unknown[]) => apply(fn, thisArg, args) })[name]!;
+
+/**
+ * Copy a host class for a test file's Compartments
+ *
+ * The copy is a subclass of the host's own, frozen with its prototype, so that
+ * assigning to it or its prototype fails rather than changing the class for the
+ * host and every other test file; the host's class itself stays as it is, for
+ * host code to patch or stub. `instanceof` the copy also accepts instances the
+ * host makes, like a `Response` from `fetch()`.
+ *
+ * @function
+ */
+const copyClass = (name: string, Host: HostClass): HostClass => {
+  const Copy = { [name]: class extends Host {} }[name]!;
+  defineProperty(Copy, hasInstance, {
+    value: (value: unknown) => value instanceof Host,
+  });
+  freeze(Copy.prototype);
+  return freeze(Copy);
+};
+
+/**
+ * Endow a default global without hardening the host's own
+ *
+ * Whatever lockdown has frozen (such as `Date`, and `console` unless its taming
+ * is unsafe) is endowed as it is; constructors, named in upper case, are
+ * copied, functions are wrapped, and an object gets a hardened copy of its
+ * methods.
+ *
+ * @function
+ */
+const endowDefault = (name: string, value: unknown): unknown => {
+  if (isFrozen(value)) {
+    return value;
+  }
+  if (typeof value === 'function') {
+    return /^[A-Z]/.test(name)
+      ? copyClass(name, value as HostClass)
+      : harden(wrapFunction(name, value as (...args: unknown[]) => unknown));
+  }
+  return harden(
+    fromEntries(
+      entries(value as object)
+        .filter(([, member]) => typeof member === 'function')
+        .map(([key, member]) => [
+          key,
+          wrapFunction(key, member as (...args: unknown[]) => unknown, value),
+        ]),
+    ),
+  );
+};
+
+/**
+ * Collect the globals for a test file's Compartments
+ *
+ * The defaults are hardened copies or wrappers of the host's own, and the
+ * attenuated `process` is hardened too. Host globals allowed by name are
+ * endowed as they are, since hardening them would freeze them for the host too;
+ * they are shared by every test file's Compartments, and with the host.
+ * Allowing `process` endows the host's own, and allowing `globalThis` the
+ * host's global object.
+ *
+ * @function
+ * @param hostGlobals Names of further host globals to endow
+ * @throws If the host has no global of one of the names
+ */
+export const createEndowments = (
+  hostGlobals: readonly string[] = [],
+): Record<string, unknown> => {
+  const endowments: Record<string, unknown> = {};
+  for (const name of DEFAULT_GLOBALS) {
+    if (hasOwn(globalThis, name)) {
+      endowments[name] = endowDefault(
+        name,
+        (globalThis as Record<string, unknown>)[name],
+      );
+    }
+  }
+  endowments.process = harden(createProcess());
+  for (const name of hostGlobals) {
+    if (!hasOwn(globalThis, name)) {
+      throw new Error(`There is no host global named "${name}" to endow`);
+    }
+    endowments[name] = (globalThis as Record<string, unknown>)[name];
+  }
+  return endowments;
+};
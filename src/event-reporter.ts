@@ -0,0 +1,103 @@
+/**
+ * Event-forwarding reporter for the spawned test runner
+ *
+ * The child test process (`test-process.js`) composes its run with this
+ * reporter. Instead of rendering anything, it writes each test event to its own
+ * line so the parent process can rebuild a `TestsStream` from them and hand the
+ * real events to whichever reporter the user asked for.
+ */
+
+import { type TestEvent } from 'node:test/reporters';
+
+const { assign, create, entries } = Object;
+const { parse, stringify } = JSON;
+
+/**
+ * Prefix marking a line as a serialized test event
+ *
+ * Anything the child process writes to stdout without this prefix (e.g. debug
+ * output from the loader hooks) is passed through untouched.
+ */
+export const EVENT_PREFIX = '\u0000cenobite:';
+
+/**
+ * Key under which a serialized `Error` stores its properties
+ */
+const ERROR_KEY = '__cenobiteError__';
+
+/**
+ * JSON replacer which keeps `Error`s (and their causes) intact
+ *
+ * `JSON.stringify` would otherwise reduce an `Error` to `{}`, losing the
+ * message, stack and the `failureType`/`code`/`cause` properties that the
+ * built-in reporters rely on.
+ *
+ * @function
+ */
+const replacer = (_key: string, value: unknown): unknown => {
+  if (value instanceof Error) {
+    const { cause, message, name, stack } = value;
+    return {
+      [ERROR_KEY]: { ...value, cause, message, name, stack },
+    };
+  }
+  return value;
+};
+
+/**
+ * JSON reviver which rebuilds the `Error`s serialized by {@link replacer}
+ *
+ * @function
+ */
+const reviver = (_key: string, value: unknown): unknown => {
+  if (!!value && typeof value === 'object' && ERROR_KEY in value) {
+    const { [ERROR_KEY]: props } = value as Record<
+      typeof ERROR_KEY,
+      Record<string, unknown>
+    >;
+    const error = create(Error.prototype) as Error;
+    for (const [key, prop] of entries(props)) {
+      if (prop !== undefined) {
+        assign(error, { [key]: prop });
+      }
+    }
+    return error;
+  }
+  return value;
+};
+
+/**
+ * Serialize a test event as a single prefixed line
+ *
+ * @function
+ */
+const serializeEvent = (event: TestEvent): string =>
+  `${EVENT_PREFIX}${stringify(event, replacer)}\n`;
+
+/**
+ * Parse a line written by this reporter back into a test event
+ *
+ * @function
+ * @returns The event, or `undefined` if the line is not a serialized event
+ */
+export const parseEventLine = (line: string): TestEvent | undefined => {
+  if (!line.startsWith(EVENT_PREFIX)) {
+    return undefined;
+  }
+  return parse(line.slice(EVENT_PREFIX.length), reviver) as TestEvent;
+};
+
+/**
+ * Custom `node:test` reporter which forwards every event to the parent
+ *
+ * @function
+ */
+const eventReporter = async function* (
+  source: AsyncIterable<TestEvent>,
+): AsyncGenerator<string, void> {
+  for await (const event of source) {
+    yield serializeEvent(event);
+  }
+};
+
+export default eventReporter;
@@ -0,0 +1,509 @@
+/**
+ * Filesystem and builtin attenuation for test files run with `--isolate`
+ *
+ * Every builtin a test file's Compartments import comes through their import
+ * hook, which passes it through {@link createBuiltinAttenuator}. Denied builtins
+ * are refused, and `fs` and `fs/promises` are replaced with wrappers whose
+ * path-taking functions reject paths outside the allowed roots. `module` and an
+ * endowed host `process` can load builtins themselves, so they hand them out
+ * attenuated the same way. This is enforced per Compartment rather than by
+ * Node's permission model, so the host (and `node:test`) keep full access.
+ */
+
+import { realpathSync } from 'node:fs';
+import { builtinModules, isBuiltin } from 'node:module';
+import { basename, dirname, join, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { bareBuiltin } from './policy.js';
+
+const { assign, entries, freeze, fromEntries } = Object;
+const { get, getOwnPropertyDescriptor, has, ownKeys } = Reflect;
+
+/**
+ * Options for {@link createBuiltinAttenuator}
+ */
+export interface HostAccessOptions {
+  /**
+   * Directories `fs` may read; if this or `allowFsWrite` is given, `fs` is
+   * restricted to them
+   */
+  allowFsRead?: string[] | undefined;
+  /** Directories `fs` may write (and read) */
+  allowFsWrite?: string[] | undefined;
+  /** Builtins which may not be imported at all, with their subpaths */
+  denyBuiltins?: string[] | undefined;
+}
+
+/**
+ * What a path argument is used for
+ */
+type Access = 'read' | 'write';
+
+/**
+ * Takes each builtin's specifier and namespace, and returns the namespace to
+ * give a Compartment
+ */
+type Attenuator = (specifier: string, namespace: object) => object;
+
+/**
+ * How a function's arguments are checked: the access each path argument needs,
+ * by position, or `open` for a path whose access depends on its flags
+ */
+type PathArgs = 'open' | readonly (Access | undefined)[];
+
+/**
+ * Functions of `fs` (and, without `Sync`, of `fs/promises`) which take paths
+ */
+const PATH_FUNCTIONS: Readonly<Record<string, PathArgs>> = {
+  access: ['read'],
+  appendFile: ['write'],
+  chmod: ['write'],
+  chown: ['write'],
+  copyFile: ['read', 'write'],
+  cp: ['read', 'write'],
+  createReadStream: ['read'],
+  createWriteStream: ['write'],
+  exists: ['read'],
+  lchmod: ['write'],
+  lchown: ['write'],
+  // A hard link to a file can be written through
+  link: ['write', 'write'],
+  lstat: ['read'],
+  lutimes: ['write'],
+  mkdir: ['write'],
+  mkdtemp: ['write'],
+  open: 'open',
+  openAsBlob: ['read'],
+  opendir: ['read'],
+  readdir: ['read'],
+  readFile: ['read'],
+  readlink: ['read'],
+  realpath: ['read'],
+  rename: ['write', 'write'],
+  rm: ['write'],
+  rmdir: ['write'],
+  stat: ['read'],
+  statfs: ['read'],
+  // The target is checked wherever the link is used, as links are resolved
+  symlink: [undefined, 'write'],
+  truncate: ['write'],
+  unlink: ['write'],
+  unwatchFile: ['read'],
+  utimes: ['write'],
+  watch: ['read'],
+  watchFile: ['read'],
+  writeFile: ['write'],
+};
+
+/**
+ * Members of `fs` and `fs/promises` which take no paths, and are passed through
+ */
+const PASSTHROUGH = new Set([
+  'close',
+  'constants',
+  'Dir',
+  'Dirent',
+  'F_OK',
+  'fchmod',
+  'fchown',
+  'fdatasync',
+  'fstat',
+  'fsync',
+  'ftruncate',
+  'futimes',
+  'R_OK',
+  'read',
+  'readv',
+  'Stats',
+  'W_OK',
+  'write',
+  'writev',
+  'X_OK',
+]);
+
+/**
+ * Members of the host's `process` which reach past its builtins, and which an
+ * endowed host `process` hides
+ */
+const PROCESS_BACKDOORS: ReadonlySet<PropertyKey> = new Set([
+  '_linkedBinding',
+  'binding',
+  'dlopen',
+  'mainModule',
+]);
+
+/**
+ * Whether a specifier names a denied builtin, or a subpath of one
+ *
+ * @function
+ */
+const isDenied = (specifier: string, denied: readonly string[]): boolean => {
+  const bare = bareBuiltin(specifier);
+  return denied.some((name) => bare === name || bare.startsWith(`${name}/`));
+};
+
+/**
+ * Resolve a path to where it really points, following symlinks as far as it
+ * exists
+ *
+ * @function
+ */
+const realTarget = (path: string): string => {
+  const rest: string[] = [];
+  for (let current = path; ; current = dirname(current)) {
+    try {
+      return join(realpathSync(current), ...rest.reverse());
+    } catch {
+      if (dirname(current) === current) {
+        return path;
+      }
+      rest.push(basename(current));
+    }
+  }
+};
+
+/**
+ * The path an `fs` argument refers to, if it is a path rather than a file
+ * descriptor or handle
+ *
+ * @function
+ */
+const toPath = (value: unknown): string | undefined => {
+  if (typeof value === 'string') {
+    return resolve(value);
+  }
+  if (value instanceof URL) {
+    return fileURLToPath(value);
+  }
+  if (value instanceof Uint8Array) {
+    return resolve(Buffer.from(value).toString());
+  }
+  return undefined;
+};
+
+/**
+ * Whether `open()`'s flags let it write
+ *
+ * @function
+ */
+const opensForWriting = (flags: unknown): boolean =>
+  typeof flags === 'number'
+    ? (flags & 3) !== 0
+    : typeof flags === 'string' && /[+aw]/.test(flags);
+
+/**
+ * Create the wrappers for `fs` and `fs/promises`
+ *
+ * @function
+ */
+const createFsWrappers = (
+  readRoots: readonly string[],
+  writeRoots: readonly string[],
+): {
+  wrapFs: (ns: Record<string, unknown>) => Record<string, unknown>;
+  wrapPromises: (ns: Record<string, unknown>) => Record<string, unknown>;
+} => {
+  const check = (name: string, access: Access, value: unknown): void => {
+    const path = toPath(value);
+    if (path === undefined) {
+      return;
+    }
+    const target = realTarget(path);
+    const roots = access === 'write' ? writeRoots : readRoots;
+    if (
+      !roots.some(
+        (root) => target === root || target.startsWith(`${root}${sep}`),
+      )
+    ) {
+      throw assign(
+        new Error(
+          `fs.${name}() may not ${access} ${path}, which is outside --allow-fs-${access}`,
+        ),
+        { code: 'ERR_ACCESS_DENIED' },
+      );
+    }
+  };
+
+  const checkArgs = (name: string, pathArgs: PathArgs, args: unknown[]) => {
+    if (pathArgs === 'open') {
+      check(name, 'read', args[0]);
+      if (opensForWriting(args[1])) {
+        check(name, 'write', args[0]);
+      }
+      return;
+    }
+    pathArgs.forEach((access, index) => {
+      if (access) {
+        check(name, access, args[index]);
+      }
+    });
+  };
+
+  const wrapMembers = (
+    ns: Record<string, unknown>,
+    wrap: (
+      name: string,
+      fn: (...args: unknown[]) => unknown,
+      pathArgs: PathArgs,
+    ) => unknown,
+  ): Record<string, unknown> =>
+    fromEntries(
+      entries(ns).flatMap(([key, value]): [string, unknown][] => {
+        const pathArgs = PATH_FUNCTIONS[key.replace(/Sync$/, '')];
+        if (pathArgs && typeof value === 'function') {
+          return [
+            [
+              key,
+              wrap(key, value as (...args: unknown[]) => unknown, pathArgs),
+            ],
+          ];
+        }
+        return PASSTHROUGH.has(key.replace(/Sync$/, '')) ? [[key, value]] : [];
+      }),
+    );
+
+  const wrapSync =
+    (name: string, fn: (...args: unknown[]) => unknown, pathArgs: PathArgs) =>
+    (...args: unknown[]) => {
+      checkArgs(name, pathArgs, args);
+      return fn(...args);
+    };
+
+  const wrapAsync =
+    (name: string, fn: (...args: unknown[]) => unknown, pathArgs: PathArgs) =>
+    async (...args: unknown[]) => {
+      checkArgs(name, pathArgs, args);
+      return fn(...args);
+    };
+
+  // `watch()` returns an async iterator rather than a promise
+  const wrapPromises = (ns: Record<string, unknown>) =>
+    wrapMembers(ns, (name, fn, pathArgs) =>
+      (name === 'watch' ? wrapSync : wrapAsync)(name, fn, pathArgs),
+    );
+
+  const wrapFs = (fs: Record<string, unknown>) => {
+    const wrapped = wrapMembers(fs, wrapSync);
+    for (const name of ['realpath', 'realpathSync']) {
+      const { native } = fs[name] as {
+        native: (...args: unknown[]) => unknown;
+      };
+      assign(wrapped[name] as object, {
+        native: wrapSync(`${name}.native`, native, ['read']),
+      });
+    }
+    // Streams may be constructed directly, too
+    const { ReadStream, WriteStream } = fs as {
+      ReadStream: new (...args: unknown[]) => object;
+      WriteStream: new (...args: unknown[]) => object;
+    };
+    wrapped.ReadStream = class extends ReadStream {
+      constructor(...args: unknown[]) {
+        check('ReadStream', 'read', args[0]);
+        super(...args);
+      }
+    };
+    wrapped.WriteStream = class extends WriteStream {
+      constructor(...args: unknown[]) {
+        check('WriteStream', 'write', args[0]);
+        super(...args);
+      }
+    };
+    wrapped.promises = wrapPromises(fs.promises as Record<string, unknown>);
+    return wrapped;
+  };
+
+  return { wrapFs, wrapPromises };
+};
+
+/**
+ * Load a builtin as a Compartment would import it
+ *
+ * @function
+ * @returns Its exports, or `undefined` if it is not a builtin
+ */
+const loadBuiltin = (attenuate: Attenuator, specifier: string): unknown =>
+  isBuiltin(specifier)
+    ? (
+        attenuate(specifier, {
+          default: process.getBuiltinModule(specifier),
+        }) as { default: unknown }
+      ).default
+    : undefined;
+
+/**
+ * Create a stand-in for `module`, whose `createRequire()` gives `require()`
+ * functions which load builtins as a Compartment would import them
+ *
+ * Anything else `require()` would load runs in the host, with the host's own
+ * builtins, so it is refused; so is the rest of `module`, which reaches the
+ * host's loader.
+ *
+ * @function
+ * @param loadBuiltinAs Loads a builtin, by specifier, for the Compartment
+ */
+const createModuleStandIn = (
+  loadBuiltinAs: (specifier: string) => unknown,
+): object => {
+  const createRequire = () =>
+    freeze((id: string) => {
+      if (!isBuiltin(id)) {
+        throw assign(
+          new Error(
+            `require() only loads builtins in a Compartment, not "${id}"; import it instead`,
+          ),
+          { code: 'ERR_ACCESS_DENIED' },
+        );
+      }
+      return loadBuiltinAs(id);
+    });
+  const standIn = freeze({
+    builtinModules: freeze([...builtinModules]),
+    createRequire,
+    isBuiltin,
+  });
+  // Shaped like the module namespace it replaces
+  return freeze({ ...standIn, default: standIn });
+};
+
+/**
+ * Give a Compartment the host's `process`, getting builtins from it as the
+ * Compartment would import them
+ *
+ * It cannot be changed for the host, so a proxy of it is endowed instead:
+ * `getBuiltinModule()` goes through `attenuate`, and the members which reach
+ * past the builtins are hidden.
+ *
+ * @function
+ * @param host The host's `process`
+ * @param attenuate The Compartment's {@link createBuiltinAttenuator}
+ */
+export const attenuateProcess = (
+  host: NodeJS.Process,
+  attenuate: Attenuator,
+): NodeJS.Process => {
+  const getBuiltinModule = (id: string) => loadBuiltin(attenuate, id);
+  return new Proxy(host, {
+    get: (target, key) =>
+      key === 'getBuiltinModule'
+        ? getBuiltinModule
+        : PROCESS_BACKDOORS.has(key)
+          ? undefined
+          : (get(target, key) as unknown),
+    getOwnPropertyDescriptor: (target, key) => {
+      if (PROCESS_BACKDOORS.has(key)) {
+        return undefined;
+      }
+      const descriptor = getOwnPropertyDescriptor(target, key);
+      return descriptor && key === 'getBuiltinModule'
+        ? { ...descriptor, value: getBuiltinModule }
+        : descriptor;
+    },
+    has: (target, key) => !PROCESS_BACKDOORS.has(key) && has(target, key),
+    ownKeys: (target) =>
+      ownKeys(target).filter((key) => !PROCESS_BACKDOORS.has(key)),
+  });
+};
+
+/**
+ * Give Compartments substitutes for some builtins rather than the host's, such
+ * as `--virtual-fs`'s volume for `fs`
+ *
+ * Builtins are first passed through `attenuate`, if any, so that denied ones
+ * stay denied. `module` is replaced by {@link createModuleStandIn}, so that
+ * `createRequire()` gets the substitutes too.
+ *
+ * @function
+ * @param substitutes Exports to give instead of each builtin's, by bare
+ *   specifier
+ * @param attenuate The Compartments' {@link createBuiltinAttenuator}, if any
+ */
+export const substituteBuiltins = (
+  substitutes: Readonly<Record<string, object>>,
+  attenuate?: Attenuator,
+): Attenuator => {
+  const standIn = createModuleStandIn((id) => loadBuiltin(substitute, id));
+  const substitute: Attenuator = (specifier, namespace) => {
+    const ns = attenuate ? attenuate(specifier, namespace) : namespace;
+    const bare = bareBuiltin(specifier);
+    if (bare === 'module') {
+      return standIn;
+    }
+    const exports = substitutes[bare];
+    // Shaped like the module namespace it replaces
+    return exports ? freeze({ ...exports, default: exports }) : ns;
+  };
+  return substitute;
+};
+
+/**
+ * Create a function which refuses denied builtins and restricts `fs`
+ *
+ * Functions of `fs` which take a path reject paths outside the allowed roots,
+ * following symlinks; those which take a file descriptor are passed through,
+ * and any others are left out. Roots are resolved against the working
+ * directory. `module` is replaced by {@link createModuleStandIn}, so that
+ * `createRequire()` cannot load what an import would be refused.
+ *
+ * @function
+ * @param options What to deny and which directories to allow
+ * @returns A function taking each builtin's specifier and namespace, and
+ *   returning the namespace to give the Compartment
+ * @throws If a builtin to deny is not a builtin
+ */
+export const createBuiltinAttenuator = ({
+  allowFsRead,
+  allowFsWrite,
+  denyBuiltins = [],
+}: HostAccessOptions): Attenuator => {
+  for (const name of denyBuiltins) {
+    if (!isBuiltin(name)) {
+      throw new Error(`Cannot deny "${name}", which is not a builtin`);
+    }
+  }
+  const denied = denyBuiltins.map(bareBuiltin);
+  const restricted = !!(allowFsRead || allowFsWrite);
+  const writeRoots = (allowFsWrite ?? []).map((dir) =>
+    realTarget(resolve(dir)),
+  );
+  const readRoots = [
+    ...(allowFsRead ?? []).map((dir) => realTarget(resolve(dir))),
+    ...writeRoots,
+  ];
+  const { wrapFs, wrapPromises } = createFsWrappers(readRoots, writeRoots);
+  const wrapped = new Map<string, object>();
+
+  const attenuate: Attenuator = (specifier, namespace) => {
+    if (isDenied(specifier, denied)) {
+      throw new Error(`Importing "${specifier}" is denied by --deny-builtin`);
+    }
+    const bare = bareBuiltin(specifier);
+    if (bare === 'module' && (restricted || denied.length)) {
+      let standIn = wrapped.get(bare);
+      if (!standIn) {
+        standIn = createModuleStandIn((id) => loadBuiltin(attenuate, id));
+        wrapped.set(bare, standIn);
+      }
+      return standIn;
+    }
+    if (!restricted || (bare !== 'fs' && bare !== 'fs/promises')) {
+      return namespace;
+    }
+    // Each Compartment importing `fs` gets the same wrapper
+    let ns = wrapped.get(bare);
+    if (!ns) {
+      const { default: module } = namespace as {
+        default: Record<string, unknown>;
+      };
+      const wrapper = freeze(
+        bare === 'fs' ? wrapFs(module) : wrapPromises(module),
+      );
+      // Shaped like the module namespace it replaces
+      ns = freeze({ ...wrapper, default: wrapper });
+      wrapped.set(bare, ns);
+    }
+    return ns;
+  };
+  return attenuate;
+};
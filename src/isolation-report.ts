@@ -0,0 +1,256 @@
+/**
+ * The isolation report, for the `cenobite` reporter and `--isolation-report`
+ *
+ * The report says what Cenobite did to isolate each test file, so that a
+ * security review can audit what the tests can touch. With `--isolate`, each
+ * test file's Compartments note what they are given as they load: the
+ * Compartments its compartment map is linked into, the packages it loads
+ * modules from, the builtins the import hook grants, the globals endowed, and
+ * the imports the policy or `--deny-builtin` refuse. Without it, the SES
+ * wrapper runs each test file in a locked-down process of its own, with the
+ * host's builtins and globals; its graph is mapped as compartment-mapper would
+ * load it, without evaluating it, to find the packages it loads. Leaks are
+ * those leak detection reports.
+ */
+
+import { type CompartmentMapDescriptor } from '@endo/compartment-mapper';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, relative, resolve } from 'node:path';
+
+import { LEAK_DIAGNOSTIC } from './leaks.js';
+
+const { keys } = Object;
+const { stringify } = JSON;
+
+/**
+ * Records what each test file of a run is given
+ */
+export interface IsolationRecorder {
+  /** Note a diagnostic of the run, which may report a leak */
+  observeDiagnostic: (message: string) => void;
+  /** Note a builtin the import hook granted a test file's Compartments */
+  recordBuiltin: (file: string, specifier: string) => void;
+  /** Note an import the policy or `--deny-builtin` refused a test file */
+  recordDenial: (file: string, message: string) => void;
+  /** Note the globals endowed to a test file's Compartments */
+  recordGlobals: (file: string, names: readonly string[]) => void;
+  /**
+   * Note the graph a test file was loaded from: its compartment map, and the
+   * locations of the files read
+   */
+  recordGraph: (
+    file: string,
+    compartmentMap: CompartmentMapDescriptor,
+    locations: Iterable<string>,
+  ) => void;
+  /** Build the report of everything recorded so far */
+  toReport: () => IsolationReport;
+}
+
+/**
+ * What was done to isolate a test file
+ */
+interface FileIsolation {
+  /**
+   * Builtins the import hook granted its Compartments; `null` if it may import
+   * any
+   */
+  builtins: null | string[];
+  /**
+   * Number of Compartments its compartment map was linked into; none for the
+   * SES wrapper
+   */
+  compartments: number;
+  /** Messages of the imports the policy or `--deny-builtin` refused */
+  denials: string[];
+  /** The test file */
+  file: string;
+  /** Globals endowed to its Compartments; `null` if it has the host's own */
+  globals: null | string[];
+  /**
+   * Global state it leaked, as leak detection reports it; `null` if leaks were
+   * not detected
+   */
+  leaks: null | string[];
+  mode: IsolationMode;
+  /** Names of the packages it loaded modules from, besides its own */
+  packages: string[];
+}
+
+/**
+ * How a test file is isolated: in Compartments of a process shared with the
+ * other test files (`--isolate`), or by the SES wrapper, in a process of its
+ * own
+ */
+type IsolationMode = 'compartment' | 'ses-wrapper';
+
+/**
+ * What was done to isolate each test file of a run
+ */
+interface IsolationReport {
+  files: FileIsolation[];
+}
+
+/**
+ * What is recorded of a test file, before it is reported
+ */
+interface Recorded {
+  builtins: Set<string>;
+  compartments: number;
+  denials: string[];
+  globals: string[];
+  leaks: string[];
+  packages: Set<string>;
+}
+
+/**
+ * Create a recorder for a run
+ *
+ * @function
+ * @param files The run's test files, in the order to report them
+ * @param options.detectLeaks Whether the run detects leaks
+ * @param options.mode How the run isolates them
+ */
+export const createIsolationRecorder = (
+  files: readonly string[],
+  { detectLeaks, mode }: { detectLeaks: boolean; mode: IsolationMode },
+): IsolationRecorder => {
+  /** What is recorded of each test file, by absolute path */
+  const recorded = new Map<string, Recorded>(
+    files.map((file) => [
+      resolve(file),
+      {
+        builtins: new Set(),
+        compartments: 0,
+        denials: [],
+        globals: [],
+        leaks: [],
+        packages: new Set(),
+      },
+    ]),
+  );
+  const recordedOf = (file: string): Recorded | undefined =>
+    recorded.get(resolve(file));
+
+  return {
+    observeDiagnostic: (message) => {
+      const index = message.indexOf(LEAK_DIAGNOSTIC);
+      if (index !== -1) {
+        recordedOf(message.slice(0, index))?.leaks.push(
+          message.slice(index + LEAK_DIAGNOSTIC.length),
+        );
+      }
+    },
+    recordBuiltin: (file, specifier) => {
+      recordedOf(file)?.builtins.add(specifier);
+    },
+    recordDenial: (file, message) => {
+      recordedOf(file)?.denials.push(message);
+    },
+    recordGlobals: (file, names) => {
+      const record = recordedOf(file);
+      if (record) {
+        record.globals = [...names];
+      }
+    },
+    recordGraph: (file, { compartments, entry }, locations) => {
+      const record = recordedOf(file);
+      if (!record) {
+        return;
+      }
+      // Compartments are named by their package's location, so a module is in
+      // the one with the longest name its location starts with
+      const names = keys(compartments).sort((a, b) => b.length - a.length);
+      for (const location of locations) {
+        // Every package's manifest is read to map the graph
+        if (location.endsWith('/package.json')) {
+          continue;
+        }
+        const name = names.find((prefix) => location.startsWith(prefix));
+        if (name && name !== entry.compartment) {
+          record.packages.add(compartments[name]?.name ?? name);
+        }
+      }
+      record.compartments = mode === 'compartment' ? names.length : 0;
+    },
+    toReport: () => ({
+      files: files.map((file) => {
+        const { builtins, compartments, denials, globals, leaks, packages } =
+          recordedOf(file) as Recorded;
+        return {
+          builtins: mode === 'compartment' ? [...builtins].sort() : null,
+          compartments,
+          denials,
+          file,
+          globals: mode === 'compartment' ? [...globals].sort() : null,
+          leaks: detectLeaks ? leaks : null,
+          mode,
+          packages: [...packages].sort(),
+        };
+      }),
+    }),
+  };
+};
+
+/**
+ * List names, after how many there are
+ *
+ * @function
+ */
+const formatList = (names: readonly string[]): string =>
+  names.length ? `${names.length} (${names.join(', ')})` : 'none';
+
+/**
+ * Format an isolation report for people
+ *
+ * @function
+ * @param report The report
+ * @param cwd Paths are shown relative to this
+ */
+export const formatIsolationReport = (
+  { files }: IsolationReport,
+  cwd = process.cwd(),
+): string => {
+  const lines = [`[cenobite] Isolation of ${files.length} test file(s)`];
+  for (const {
+    builtins,
+    compartments,
+    denials,
+    file,
+    globals,
+    leaks,
+    mode,
+    packages,
+  } of files) {
+    lines.push(
+      relative(cwd, resolve(file)) || file,
+      `  mode: ${mode}`,
+      `  compartments: ${
+        mode === 'compartment'
+          ? compartments
+          : 'none (runs in a locked-down process of its own)'
+      }`,
+      `  packages: ${formatList(packages)}`,
+      `  builtins: ${builtins ? formatList(builtins) : 'any'}`,
+      `  globals: ${globals ? formatList(globals) : "the host's own"}`,
+      `  denials: ${denials.length ? denials.join('; ') : 'none'}`,
+      `  leaks: ${leaks ? leaks.join(', ') || 'none' : 'not detected'}`,
+    );
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Write an isolation report as JSON
+ *
+ * @function
+ * @param report The report
+ * @param path The file to write, whose directory is created if need be
+ */
+export const writeIsolationReport = async (
+  report: IsolationReport,
+  path: string,
+): Promise<void> => {
+  await mkdir(dirname(path), { recursive: true });
+  await writeFile(path, `${stringify(report, null, 2)}\n`);
+};
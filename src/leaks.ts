@@ -0,0 +1,211 @@
+/**
+ * Global state leak detection for `--detect-leaks`
+ *
+ * Without `--isolate`, `lockdown()` freezes the intrinsics, but `globalThis`,
+ * `process.env` and other host objects stay writable. The SES wrapper snapshots
+ * their own properties before a test file's modules are evaluated and compares
+ * them once all of its tests have finished. A file which leaves nothing behind
+ * is safe to share a process with other files.
+ */
+
+import { relative } from 'node:path';
+import { after, type TestContext } from 'node:test';
+
+const { getOwnPropertyDescriptor, is } = Object;
+const { ownKeys } = Reflect;
+const { keyFor } = Symbol;
+
+/**
+ * Objects snapshotted unless configured otherwise, as paths from `globalThis`
+ */
+export const DEFAULT_LEAK_TARGETS: readonly string[] = [
+  'globalThis',
+  'process.env',
+];
+
+/**
+ * Text in each diagnostic reporting a leak, between the file and the leak
+ */
+export const LEAK_DIAGNOSTIC = ' leaked global state: ';
+
+/**
+ * Options for {@link detectLeaks}
+ */
+export interface LeakDetectionOptions {
+  /** Fail the test file if it leaks, instead of only reporting it */
+  fail: boolean;
+  /** Objects to snapshot, as paths from `globalThis` (e.g. `process.env`) */
+  targets: string[];
+}
+
+/**
+ * A property added, changed or deleted by a test file
+ */
+interface Leak {
+  change: 'added' | 'changed' | 'deleted';
+  /** E.g. `globalThis.foo` or `process.env.FOO` */
+  property: string;
+}
+
+/**
+ * Own property descriptors of each target; `undefined` if it is not an object
+ */
+type Snapshot = Map<string, Map<PropertyKey, PropertyDescriptor> | undefined>;
+
+/**
+ * Whether a property is host state which appears on first use rather than being
+ * set by the test file
+ *
+ * Node installs undici's global dispatcher under a registered symbol the first
+ * time anything touches `fetch`, `Response` and friends.
+ *
+ * @function
+ */
+const isHostState = (key: PropertyKey): boolean =>
+  typeof key === 'symbol' && !!keyFor(key)?.startsWith('undici.');
+
+/**
+ * Type guard for values which may have properties
+ *
+ * @function
+ */
+const isObject = (value: unknown): value is object =>
+  !!value && (typeof value === 'object' || typeof value === 'function');
+
+/**
+ * Find the object at a path from `globalThis`
+ *
+ * @function
+ */
+const resolveTarget = (path: string): object | undefined => {
+  const keys = path.split('.');
+  if (keys[0] === 'globalThis') {
+    keys.shift();
+  }
+  let target: unknown = globalThis;
+  for (const key of keys) {
+    if (!isObject(target)) {
+      return undefined;
+    }
+    target = (target as Record<string, unknown>)[key];
+  }
+  return isObject(target) ? target : undefined;
+};
+
+/**
+ * Take a snapshot of the own properties of each target
+ *
+ * Accessors are compared by their functions, so getters are never called.
+ *
+ * @function
+ */
+export const takeSnapshot = (targets: readonly string[]): Snapshot =>
+  new Map(
+    targets.map((path) => {
+      const target = resolveTarget(path);
+      return [
+        path,
+        target &&
+          new Map(
+            ownKeys(target)
+              .filter((key) => !isHostState(key))
+              .map((key) => [
+                key,
+                getOwnPropertyDescriptor(target, key) as PropertyDescriptor,
+              ]),
+          ),
+      ];
+    }),
+  );
+
+/**
+ * Whether two descriptors of the same property differ
+ *
+ * @function
+ */
+const isChanged = (a: PropertyDescriptor, b: PropertyDescriptor): boolean =>
+  !is(a.value, b.value) ||
+  a.get !== b.get ||
+  a.set !== b.set ||
+  a.writable !== b.writable ||
+  a.enumerable !== b.enumerable ||
+  a.configurable !== b.configurable;
+
+/**
+ * Describe a property of a target
+ *
+ * @function
+ */
+const describeProperty = (path: string, key: PropertyKey): string =>
+  typeof key === 'symbol' ? `${path}[${String(key)}]` : `${path}.${key}`;
+
+/**
+ * Compare two snapshots of the same targets
+ *
+ * @function
+ */
+export const diffSnapshots = (before: Snapshot, current: Snapshot): Leak[] => {
+  const leaks: Leak[] = [];
+  for (const [path, afterProps] of current) {
+    const beforeProps = before.get(path);
+    // A target which appeared or disappeared shows up as a change to its parent
+    if (!beforeProps || !afterProps) {
+      continue;
+    }
+    for (const [key, descriptor] of afterProps) {
+      const previous = beforeProps.get(key);
+      if (!previous) {
+        leaks.push({ change: 'added', property: describeProperty(path, key) });
+      } else if (isChanged(previous, descriptor)) {
+        leaks.push({
+          change: 'changed',
+          property: describeProperty(path, key),
+        });
+      }
+    }
+    for (const key of beforeProps.keys()) {
+      if (!afterProps.has(key)) {
+        leaks.push({
+          change: 'deleted',
+          property: describeProperty(path, key),
+        });
+      }
+    }
+  }
+  return leaks;
+};
+
+/**
+ * Snapshot the targets now, and check them again after the file's tests
+ *
+ * Called by the SES wrapper before the test file's own modules are evaluated.
+ *
+ * @function
+ * @param file Path of the test file
+ * @param options Leak detection options
+ * @knipignore
+ */
+export const detectLeaks = (
+  file: string,
+  { fail, targets }: LeakDetectionOptions,
+): void => {
+  const before = takeSnapshot(targets);
+  const name = relative(process.cwd(), file);
+
+  after((t) => {
+    const leaks = diffSnapshots(before, takeSnapshot(targets));
+    if (!leaks.length) {
+      return;
+    }
+    // At the top level, this is the file's root test
+    for (const { change, property } of leaks) {
+      (t as TestContext).diagnostic(
+        `${name}${LEAK_DIAGNOSTIC}${change} ${property}`,
+      );
+    }
+    // Failing the process fails the file itself, rather than a hook
+    if (fail) {
+      process.exitCode = 1;
+    }
+  });
+};
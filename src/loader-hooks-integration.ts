@@ -7,45 +7,121 @@
 
 import { spawn } from 'node:child_process';
 import { resolve } from 'node:path';
+import { createInterface } from 'node:readline';
+import { Readable } from 'node:stream';
 import { type TestsStream } from 'node:test';
 import { fileURLToPath } from 'node:url';
+import { type LockdownOptions } from 'ses';
+
+import { toTestFileUrls } from './discover.js';
+import { parseEventLine } from './event-reporter.js';
+import { type LeakDetectionOptions } from './leaks.js';
+import { type LoaderHooksOptions } from './loader-hooks.js';
+import {
+  type NodeTestOptions,
+  toProcessFlags,
+  toRunOptions,
+} from './node-test-flags.js';
+import { type TestProcessOptions } from './test-process.js';
+
+const { stringify } = JSON;
 
 interface LoaderHooksTestOptions {
   /** Enable source maps */
   enableSourceMaps: boolean;
+  /** Flags for the child process, as given after `--` */
+  execArgv?: string[] | undefined;
   /** Test files to run */
   files: string[];
-  /** Test reporter */
-  reporter?: string;
-  /** Enable compartment-mapper for full isolation */
-  useCompartmentMapper?: boolean;
+  /** Report (or fail on) global state leaked by each test file */
+  leakDetection?: LeakDetectionOptions | undefined;
+  /** SES lockdown options */
+  lockdownOptions?: LockdownOptions | undefined;
+  /** What the `node --test` flags given to cenobite ask of `node:test` */
+  nodeTestOptions?: NodeTestOptions | undefined;
+  /** URLs of modules to import before `lockdown()` */
+  preLockdown?: string[] | undefined;
+  /** URLs of modules to import after `lockdown()` */
+  setup?: string[] | undefined;
+  /** Seed for shuffling the tests in each test file, if they are shuffled */
+  shuffleSeed?: number | undefined;
+  /** Pattern matching test files */
+  testFilePattern?: RegExp | undefined;
+  /**
+   * Run the test files in one child process (`none`) instead of one process
+   * each (`process`, the default)
+   */
+  testIsolation?: 'none' | 'process' | undefined;
   /** Enable verbose output */
   verbose: boolean;
 }
 
+/**
+ * Create a `data:` URL module which registers the loader hooks with the given
+ * options
+ *
+ * Passing this to `--import` hands the resolved configuration to the child
+ * process as-is, without squeezing it through environment variables.
+ *
+ * @function
+ */
+const createRegistrationUrl = (
+  loaderHooksPath: string,
+  { testFilePattern, ...hooksOptions }: LoaderHooksOptions,
+): string => {
+  // A RegExp does not survive JSON, so rebuild it in the child
+  const pattern = testFilePattern
+    ? `, testFilePattern: new RegExp(${stringify(testFilePattern.source)}, ${stringify(testFilePattern.flags)})`
+    : '';
+  const source = `import { registerCenobiteHooks } from ${stringify(`file://${loaderHooksPath}`)};
+registerCenobiteHooks({ ...${stringify(hooksOptions)}${pattern} });`;
+  return `data:text/javascript,${encodeURIComponent(source)}`;
+};
+
 /**
  * Run tests using Node.js loader hooks instead of wrapper files
+ *
+ * The child process reports through `event-reporter.js`; the returned stream
+ * re-emits the child's real `node:test` events (both as named events and as
+ * `{type, data}` chunks), so it can be composed with any reporter.
  */
 export const runTestsWithLoaderHooks = async (
   options: LoaderHooksTestOptions,
 ): Promise<TestsStream> => {
   const {
     enableSourceMaps = true,
+    execArgv = [],
     files,
-    reporter = 'spec',
-    useCompartmentMapper = false,
+    leakDetection,
+    lockdownOptions,
+    nodeTestOptions = {},
+    preLockdown,
+    setup,
+    shuffleSeed,
+    testFilePattern,
+    testIsolation = 'process',
     verbose,
   } = options;
 
   // Get the path to our loader hooks module (resolve relative to this file)
   const currentDir = fileURLToPath(new URL('.', import.meta.url));
   const loaderHooksPath = resolve(currentDir, 'loader-hooks.js');
+  const testProcessPath = resolve(currentDir, 'test-process.js');
 
   // Build the node command with loader hooks
   const nodeArgs: string[] = [
-    // Import our loader hooks
+    // Import and configure our loader hooks, which wrap exactly the files run
     '--import',
-    `file://${loaderHooksPath}`,
+    createRegistrationUrl(loaderHooksPath, {
+      debug: verbose,
+      testFiles: toTestFileUrls(files),
+      ...(leakDetection && { leakDetection }),
+      ...(lockdownOptions && { lockdownOptions }),
+      ...(preLockdown && { preLockdown }),
+      ...(setup && { setup }),
+      ...(shuffleSeed !== undefined && { shuffleSeed }),
+      ...(testFilePattern && { testFilePattern }),
+    }),
   ];
 
   // Add source map support if enabled
@@ -53,17 +129,24 @@ export const runTestsWithLoaderHooks = async (
     nodeArgs.push('--enable-source-maps');
   }
 
-  // Add test runner with reporter
-  nodeArgs.push('--test', `--test-reporter=${reporter}`);
+  // node:test reads some of its options from the child's own flags
+  nodeArgs.push(...toProcessFlags(nodeTestOptions, testIsolation), ...execArgv);
 
-  // Add test files
-  nodeArgs.push(...files);
+  // Run the test files in the order given; events are forwarded to us and
+  // rendered by the caller
+  nodeArgs.push(
+    testProcessPath,
+    stringify({
+      files,
+      isolation: testIsolation,
+      runOptions: toRunOptions(nodeTestOptions, testIsolation),
+    } satisfies TestProcessOptions),
+  );
 
-  // Set environment variables for loader configuration
+  // Loader hooks read this before they are configured by the `--import`
   const env = {
     ...process.env,
     CENOBITE_DEBUG: verbose ? '1' : '0',
-    CENOBITE_USE_COMPARTMENT_MAPPER: useCompartmentMapper ? '1' : '0',
   };
 
   if (verbose) {
@@ -76,37 +159,43 @@ export const runTestsWithLoaderHooks = async (
   // Spawn the Node.js process with our loader hooks
   const childProcess = spawn('node', nodeArgs, {
     env,
-    stdio: ['inherit', 'inherit', 'inherit'],
+    stdio: ['inherit', 'pipe', 'inherit'],
   });
 
-  // Return a simple readable stream that completes when the process exits
-  const { Readable } = await import('node:stream');
   const stream = new Readable({
+    objectMode: true,
     read() {
-      // No data to read, this is just for event emission
+      // Events are pushed as the child reports them
     },
   });
 
-  childProcess.on('exit', (code) => {
-    if (code !== 0) {
-      stream.emit('error', new Error(`Test process exited with code ${code}`));
-    } else {
-      // Emit a fake test summary event to match the expected interface
-      stream.emit('test:summary', {
-        counts: {
-          cancelled: 0,
-          passed: 1, // Assume passed if no error
-          skipped: 0,
-          tests: 1,
-          todo: 0,
-        },
-      });
+  let sawSummary = false;
+
+  createInterface({ input: childProcess.stdout }).on('line', (line) => {
+    const event = parseEventLine(line);
+    if (!event) {
+      // Not ours; e.g. debug output from the loader hooks
+      process.stdout.write(`${line}\n`);
+      return;
+    }
+    if (event.type === 'test:summary' && event.data.file === undefined) {
+      sawSummary = true;
+    }
+    stream.emit(event.type, event.data);
+    stream.push(event);
+  });
+
+  childProcess.on('close', (code) => {
+    // A failing test exits non-zero too; only complain if the run itself died
+    if (code !== 0 && !sawSummary) {
+      stream.destroy(new Error(`Test process exited with code ${code}`));
+      return;
     }
     stream.push(null); // End the stream
   });
 
   childProcess.on('error', (error) => {
-    stream.emit('error', error);
+    stream.destroy(error);
   });
 
   return stream;
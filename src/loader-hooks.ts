@@ -6,80 +6,194 @@
  */
 
 import {
+  type LoadFnOutput,
   type LoadHookSync,
   registerHooks,
   type ResolveHookSync,
 } from 'node:module';
 import { fileURLToPath } from 'node:url';
+import { type LockdownOptions } from 'ses';
+
+import { DEFAULT_TEST_FILE_PATTERN } from './discover.js';
+import { type LeakDetectionOptions } from './leaks.js';
+import { resolveLockdownOptions } from './lockdown.js';
+import { wrapWithSourceMap } from './source-map.js';
 
 const { stringify } = JSON;
 
+/**
+ * URL of the leak detection module, used by the SES wrapper
+ */
+const leaksUrl = new URL('leaks.js', import.meta.url).href;
+
+/**
+ * URL of the module shuffling the tests in each test file
+ */
+const randomUrl = new URL('random.js', import.meta.url).href;
+
+/**
+ * URL of the module mapping stack traces through source maps, used by the SES
+ * wrapper
+ */
+const sourceMapUrl = new URL('source-map.js', import.meta.url).href;
+
+/**
+ * A `'use strict'` directive opening a CommonJS module, after any comments
+ */
+const USE_STRICT = /^(?:\s|\/\/.*|\/\*[\s\S]*?\*\/)*(['"])use strict\1/;
+
+/**
+ * URL of the in-process runner, which evaluates test files in Compartments
+ */
+const runnerUrl = new URL('runner.js', import.meta.url).href;
+
+/**
+ * URL of the `node:test` stand-in given to test files whose tests are shuffled
+ */
+const shuffledTestUrl = new URL('shuffled-test.js', import.meta.url).href;
+
 /**
  * Options for configuring the loader hooks
  */
 export interface LoaderHooksOptions {
   /** Debug logging */
   debug?: boolean;
+  /**
+   * Run test files in Compartments of the current process, which has already
+   * been locked down, instead of wrapping each one with `lockdown()`
+   */
+  inProcess?: boolean;
+  /**
+   * Report (or fail on) changes a test file makes to `globalThis`,
+   * `process.env` and other host objects (SES wrapper only)
+   */
+  leakDetection?: LeakDetectionOptions | undefined;
   /** SES lockdown options */
-  lockdownOptions?: {
-    domainTaming?: 'safe' | 'unsafe';
-    errorTaming?: 'safe' | 'unsafe';
-    evalTaming?: 'safe' | 'unsafe';
-    overrideTaming?: 'min' | 'moderate' | 'severe';
-    stackFiltering?: 'concise' | 'verbose';
-  };
+  lockdownOptions?: LockdownOptions;
   /**
-   * Pattern to match test files (default: files containing '.test.' or in
-   * '/test/' directories)
+   * URLs of modules to import before `lockdown()` (SES wrapper only)
+   */
+  preLockdown?: string[];
+  /**
+   * Number of earlier runs in this process; from the second run on, test files
+   * are imported under a fresh URL, so Node does not reuse the stub it loaded
+   * before (in-process only)
+   */
+  run?: number;
+  /**
+   * URLs of modules to import after `lockdown()` (SES wrapper only)
+   */
+  setup?: string[];
+  /**
+   * Seed for shuffling the tests declared in each test file; if `undefined`,
+   * they run in the order they are declared
+   */
+  shuffleSeed?: number | undefined;
+  /**
+   * Pattern to match test files (default: those `node --test` finds, like
+   * `*.test.js` or files in `test` directories), if `testFiles` is empty
    */
   testFilePattern?: RegExp;
-  /** Whether to use compartment-mapper for full isolation */
-  useCompartmentMapper?: boolean;
+  /** URLs of the test files; if non-empty, used instead of `testFilePattern` */
+  testFiles?: string[];
 }
 
 const defaultOptions: Required<LoaderHooksOptions> = {
   debug: false,
-  lockdownOptions: {
-    errorTaming: 'unsafe',
-    evalTaming: 'unsafe',
-    overrideTaming: 'severe',
-    stackFiltering: 'verbose',
-  },
-  testFilePattern: /\.(test|spec)\.|[/\\]test[/\\]/,
-  useCompartmentMapper: false,
+  inProcess: false,
+  leakDetection: undefined,
+  lockdownOptions: resolveLockdownOptions(),
+  preLockdown: [],
+  run: 0,
+  setup: [],
+  shuffleSeed: undefined,
+  testFilePattern: DEFAULT_TEST_FILE_PATTERN,
+  testFiles: [],
 };
 
 let options: Required<LoaderHooksOptions> = defaultOptions;
 
+let registered = false;
+
 /**
  * Configure the loader hooks
  */
 const configureLoaderHooks = (userOptions: LoaderHooksOptions = {}): void => {
-  options = { ...defaultOptions, ...userOptions };
+  options = {
+    ...defaultOptions,
+    ...userOptions,
+    lockdownOptions: {
+      ...defaultOptions.lockdownOptions,
+      ...userOptions.lockdownOptions,
+    },
+  };
 };
 
 /**
  * Check if a URL represents a test file
  */
 const isTestFile = (url: string): boolean => {
+  if (options.testFiles.length) {
+    // Ignoring the query a rerun imports it with
+    return options.testFiles.includes(url.replace(/\?.*$/, ''));
+  }
   const filePath = url.startsWith('file://') ? fileURLToPath(url) : url;
-  return (
-    options.testFilePattern.test(filePath) &&
-    (filePath.endsWith('.js') ||
-      filePath.endsWith('.mjs') ||
-      filePath.endsWith('.ts'))
-  );
+  return options.testFilePattern.test(filePath);
 };
 
 /**
  * Transform test file source to run in SES compartment
+ *
+ * The SES wrapper is written in the module format Node loads the test file in:
+ * ESM, or for CommonJS (including a `.js` file in a `"type": "commonjs"`
+ * package), `require()` calls. TypeScript is wrapped as is; Node strips its
+ * types afterwards. The stubs replacing the source entirely are always ESM, and
+ * since the test file is read again to run it in Compartments, Node need not be
+ * able to load it at all.
+ *
+ * @param url URL of the test file
+ * @param loadSource Loads the test file as Node would without these hooks
  */
 const transformTestSource = (
-  source: ArrayBuffer | ArrayBufferView | Buffer | string,
   url: string,
-): string => {
+  loadSource: () => LoadFnOutput,
+): LoadFnOutput => {
   const debug = options.debug;
   const lockdownOptionsStr = stringify(options.lockdownOptions, null, 2);
+  // Static imports run in order, so these run after `ses` and before the
+  // prelude which locks down
+  const preLockdownImports = options.preLockdown
+    .map((moduleUrl) => `import ${stringify(moduleUrl)};`)
+    .join('\n');
+
+  if (options.inProcess) {
+    if (debug) {
+      console.log('[cenobite] Using in-process compartment path');
+    }
+    // The original source is never evaluated by Node.js; the runner reads the
+    // file again and evaluates it (and its dependencies) in a Compartment
+    return {
+      format: 'module',
+      shortCircuit: true,
+      source: `
+// === CENOBITE IN-PROCESS COMPARTMENT STUB ===
+import { runTestFileInCompartment } from ${stringify(runnerUrl)};
+
+await runTestFileInCompartment(${stringify(fileURLToPath(url))});
+`,
+    };
+  }
+
+  if (debug) {
+    console.log('[cenobite] Using simple SES path');
+  }
+  const result = loadSource();
+  const { format, source } = result;
+
+  // Ensure we have source content to transform
+  if (!source) {
+    throw new Error(`No source content found for test file: ${url}`);
+  }
 
   // Convert source to string regardless of input type
   let sourceStr: string;
@@ -94,94 +208,100 @@ const transformTestSource = (
     sourceStr = new TextDecoder('utf8').decode(source);
   }
 
-  if (debug) {
-    console.log(
-      `[cenobite] useCompartmentMapper: ${options.useCompartmentMapper}`,
-    );
-  }
+  const { leakDetection, shuffleSeed } = options;
+  const shuffled = shuffleSeed !== undefined;
+  const file = stringify(fileURLToPath(url));
+  const afterSource = `
 
-  if (options.useCompartmentMapper) {
-    if (debug) {
-      console.log('[cenobite] Using compartment mapper path');
-    }
-    return `
-// === CENOBITE COMPARTMENT MAPPER WRAPPER ===
-import 'ses';
-import { importLocation } from '@endo/compartment-mapper';
-import { readFile } from 'node:fs/promises';
-import { fileURLToPath } from 'node:url';
+${debug ? `console.log('[cenobite] Test execution complete');` : ''}
+`;
 
-${debug ? `console.log('[cenobite] Initializing SES with compartment-mapper for: ${url}');` : ''}
+  if (format === 'commonjs' || format === 'commonjs-typescript') {
+    // `require()` runs in order, so the prelude goes ahead of the source as
+    // is, in a block keeping its bindings apart from the test file's. If the
+    // test file is strict, the wrapper must start with the directive instead.
+    // Node evaluates CommonJS whose source a hook returns with a `require()`
+    // which cannot load ESM, so the test file gets the one it would have had.
+    const strict = USE_STRICT.test(sourceStr) ? "'use strict';" : '';
+    const requireAll = (urls: string[]) =>
+      urls
+        .map((moduleUrl) => `require(${stringify(fileURLToPath(moduleUrl))});`)
+        .join('\n  ');
+    return {
+      ...result,
+      source: wrapWithSourceMap(sourceStr, url, {
+        header: `${strict}
+// === CENOBITE SES WRAPPER ===
+{
+  require = require('node:module').createRequire(__filename);
+  require('ses');
+  ${requireAll(options.preLockdown)}
 
-// Initialize SES
-lockdown(${lockdownOptionsStr});
+  ${debug ? `console.log('[cenobite] Initializing SES lockdown for: ${url}');` : ''}
 
-// Read function for compartment mapper
-const read = async (location) => {
-  try {
-    return await readFile(fileURLToPath(location));
-  } catch (error) {
-    const message = error instanceof Error ? error.message : String(error);
-    throw new Error(\`Failed to read '\${location}': \${message}\`, { cause: error });
+  if (!Object.isFrozen(Object.prototype)) {
+    lockdown(${lockdownOptionsStr});
+    require(${stringify(fileURLToPath(sourceMapUrl))}).mapStackTraces();
   }
-};
+  ${requireAll(options.setup)}
 
-// Import hook for Node.js built-ins and external modules
-const importHook = async (specifier) => {
-  const ns = await import(specifier);
-  return Object.freeze({
-    execute: (moduleExports) => {
-      moduleExports.default = ns;
-      Object.assign(moduleExports, ns);
-    },
-    exports: !!ns && typeof ns === 'object' ? Object.keys(ns) : [],
-    imports: [],
-  });
-};
+  ${leakDetection ? `require(${stringify(fileURLToPath(leaksUrl))}).detectLeaks(${file}, ${stringify(leakDetection)});` : ''}
 
-// Get module path for compartment-mapper
-const moduleUrl = new URL('${url}');
+  ${shuffled ? `require(${stringify(fileURLToPath(randomUrl))}).startShuffling(${shuffleSeed});` : ''}
 
-${debug ? `console.log('[cenobite] Creating compartment for module:', moduleUrl.href);` : ''}
+  ${debug ? `console.log('[cenobite] SES lockdown complete, running test...');` : ''}
+}
 
-// Create compartment and execute test
-try {
-  // Use importLocation to load and execute the test in a compartment
-  const result = await importLocation(read, moduleUrl, {
-    globals: {
-      console: Object.freeze(console),
-      globalThis,
-    },
-    importHook,
-  });
+// Original test code (runs with SES protections):
+`,
+        trailer: `
+
+${shuffled ? `require(${stringify(fileURLToPath(randomUrl))}).flushShuffled();` : ''}${afterSource}`,
+      }),
+    };
+  }
+
+  // The prelude is imported ahead of the test file's own imports, so it
+  // locks down (and takes the leak detection snapshot) before they run
+  const prelude = `
+${leakDetection ? `import { detectLeaks } from ${stringify(leaksUrl)};` : ''}
+${shuffled ? `import { startShuffling } from ${stringify(randomUrl)};` : ''}
+import { mapStackTraces } from ${stringify(sourceMapUrl)};
+
+${debug ? `console.log('[cenobite] Initializing SES lockdown for: ${url}');` : ''}
 
-  ${debug ? `console.log('[cenobite] Test execution complete');` : ''}
-} catch (error) {
-  console.error('[cenobite] Compartment execution failed:', error);
-  throw error;
+// Initialize SES with configuration; test files sharing a process (e.g. with
+// --experimental-test-isolation=none) lock it down only once
+if (!Object.isFrozen(Object.prototype)) {
+  lockdown(${lockdownOptionsStr});
+  mapStackTraces();
 }
+
+${leakDetection ? `detectLeaks(${file}, ${stringify(leakDetection)});` : ''}
+
+${shuffled ? `startShuffling(${shuffleSeed});` : ''}
 `;
-  } else {
-    if (debug) {
-      console.log('[cenobite] Using simple SES path');
-    }
-    return `
+  // The source map keeps V8's positions in the original test code exact
+  return {
+    ...result,
+    source: wrapWithSourceMap(sourceStr, url, {
+      header: `
 // === CENOBITE SES WRAPPER ===
 import 'ses';
-
-${debug ? `console.log('[cenobite] Initializing SES lockdown for: ${url}');` : ''}
-
-// Initialize SES with configuration
-lockdown(${lockdownOptionsStr});
+${preLockdownImports}
+import ${stringify(`data:text/javascript,${encodeURIComponent(prelude)}`)};
+${options.setup.map((moduleUrl) => `import ${stringify(moduleUrl)};`).join('\n')}
+${shuffled ? `import { flushShuffled as __cenobiteFlushShuffled } from ${stringify(randomUrl)};` : ''}
 
 ${debug ? `console.log('[cenobite] SES lockdown complete, running test...');` : ''}
 
 // Original test code (runs with SES protections):
-${sourceStr}
+`,
+      trailer: `
 
-${debug ? `console.log('[cenobite] Test execution complete');` : ''}
-`;
-  }
+${shuffled ? '__cenobiteFlushShuffled();' : ''}${afterSource}`,
+    }),
+  };
 };
 
 /**
@@ -193,17 +313,7 @@ const load: LoadHookSync = (url, context, nextLoad) => {
       console.log(`[cenobite] Transforming test file: ${url}`);
     }
 
-    const result = nextLoad(url, context);
-
-    // Ensure we have source content to transform
-    if (!result.source) {
-      throw new Error(`No source content found for test file: ${url}`);
-    }
-
-    return {
-      ...result,
-      source: transformTestSource(result.source, url),
-    };
+    return transformTestSource(url, () => nextLoad(url, context));
   }
 
   // Let other files load normally
@@ -211,23 +321,43 @@ const load: LoadHookSync = (url, context, nextLoad) => {
 };
 
 /**
- * Resolve hook (currently just passes through)
+ * Resolve hook which gives test files whose tests are shuffled a stand-in for
+ * `node:test`, and test files run again in the same process a fresh URL
  */
-const resolve: ResolveHookSync = (specifier, context, nextResolve) =>
-  nextResolve(specifier, context);
+const resolve: ResolveHookSync = (specifier, context, nextResolve) => {
+  if (
+    specifier === 'node:test' &&
+    options.shuffleSeed !== undefined &&
+    context.parentURL &&
+    isTestFile(context.parentURL)
+  ) {
+    return { shortCircuit: true, url: shuffledTestUrl };
+  }
+  const resolved = nextResolve(specifier, context);
+  if (options.inProcess && options.run && isTestFile(resolved.url)) {
+    return { ...resolved, url: `${resolved.url}?cenobite-run=${options.run}` };
+  }
+  return resolved;
+};
 
 /**
  * Register the loader hooks
+ *
+ * The hooks are only registered once per process; calling this again just
+ * reconfigures them.
  */
 export const registerCenobiteHooks = (
   userOptions: LoaderHooksOptions = {},
 ): void => {
   configureLoaderHooks(userOptions);
-  registerHooks({ load, resolve });
+  if (!registered) {
+    registerHooks({ load, resolve });
+    registered = true;
+  }
 };
 
-// Auto-register hooks when imported (always register when used as loader)
+// Auto-register hooks when imported (always register when used as loader).
+// Whoever spawned us reconfigures them with the resolved options afterwards.
 registerCenobiteHooks({
   debug: process.env.CENOBITE_DEBUG === '1',
-  useCompartmentMapper: process.env.CENOBITE_USE_COMPARTMENT_MAPPER === '1',
 });
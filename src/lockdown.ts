@@ -0,0 +1,165 @@
+/**
+ * SES lockdown profiles and option resolution
+ *
+ * Every code path which calls `lockdown()` (the in-process runner and the
+ * loader hooks' wrappers) uses options resolved here, so they all harden the
+ * same way.
+ */
+
+import { type LockdownOptions } from 'ses';
+
+const { entries, freeze, hasOwn, keys } = Object;
+
+/**
+ * Named sets of lockdown options
+ *
+ * - `strict`: SES' safe settings everywhere; for CI
+ * - `dev`: Readable errors and stack traces, but otherwise safe; the default
+ * - `compat`: As permissive as SES allows, for dependencies which misbehave
+ */
+export type LockdownProfile = 'compat' | 'dev' | 'strict';
+
+const DEFAULT_LOCKDOWN_PROFILE: LockdownProfile = 'dev';
+
+const LOCKDOWN_PROFILES: Readonly<
+  Record<LockdownProfile, Readonly<LockdownOptions>>
+> = freeze({
+  compat: freeze({
+    consoleTaming: 'unsafe',
+    domainTaming: 'unsafe',
+    errorTaming: 'unsafe',
+    errorTrapping: 'none',
+    evalTaming: 'unsafe-eval',
+    legacyRegeneratorRuntimeTaming: 'unsafe-ignore',
+    localeTaming: 'unsafe',
+    overrideTaming: 'severe',
+    regExpTaming: 'unsafe',
+    reporting: 'platform',
+    stackFiltering: 'verbose',
+    unhandledRejectionTrapping: 'none',
+  }),
+  dev: freeze({
+    consoleTaming: 'unsafe',
+    domainTaming: 'safe',
+    errorTaming: 'unsafe',
+    errorTrapping: 'platform',
+    evalTaming: 'unsafe-eval',
+    legacyRegeneratorRuntimeTaming: 'safe',
+    localeTaming: 'safe',
+    overrideTaming: 'severe',
+    regExpTaming: 'safe',
+    reporting: 'platform',
+    stackFiltering: 'verbose',
+    unhandledRejectionTrapping: 'report',
+  }),
+  strict: freeze({
+    consoleTaming: 'safe',
+    domainTaming: 'safe',
+    errorTaming: 'safe',
+    errorTrapping: 'platform',
+    evalTaming: 'safe-eval',
+    legacyRegeneratorRuntimeTaming: 'safe',
+    localeTaming: 'safe',
+    overrideTaming: 'min',
+    regExpTaming: 'safe',
+    reporting: 'platform',
+    stackFiltering: 'concise',
+    unhandledRejectionTrapping: 'report',
+  }),
+});
+
+/**
+ * Command-line flags which override a single lockdown option, and the values
+ * each accepts
+ */
+export const LOCKDOWN_FLAGS = freeze({
+  'console-taming': { key: 'consoleTaming', values: ['safe', 'unsafe'] },
+  'domain-taming': { key: 'domainTaming', values: ['safe', 'unsafe'] },
+  'error-taming': {
+    key: 'errorTaming',
+    values: ['safe', 'unsafe', 'unsafe-debug'],
+  },
+  'error-trapping': {
+    key: 'errorTrapping',
+    values: ['platform', 'exit', 'abort', 'report', 'none'],
+  },
+  'eval-taming': {
+    key: 'evalTaming',
+    values: ['safe-eval', 'unsafe-eval', 'no-eval'],
+  },
+  'locale-taming': { key: 'localeTaming', values: ['safe', 'unsafe'] },
+  'override-taming': {
+    key: 'overrideTaming',
+    values: ['min', 'moderate', 'severe'],
+  },
+  'regexp-taming': { key: 'regExpTaming', values: ['safe', 'unsafe'] },
+  'stack-filtering': {
+    key: 'stackFiltering',
+    values: ['concise', 'omit-frames', 'shorten-paths', 'verbose'],
+  },
+  'unhandled-rejection-trapping': {
+    key: 'unhandledRejectionTrapping',
+    values: ['report', 'none'],
+  },
+} as const satisfies Record<
+  string,
+  { key: keyof LockdownOptions; values: readonly string[] }
+>);
+
+/**
+ * Type guard for {@link LockdownProfile}
+ *
+ * @function
+ */
+export const isLockdownProfile = (value: unknown): value is LockdownProfile =>
+  typeof value === 'string' && hasOwn(LOCKDOWN_PROFILES, value);
+
+/**
+ * Collect the lockdown options given as command-line flags
+ *
+ * @function
+ * @param values Parsed command-line values, keyed by flag name
+ */
+export const parseLockdownFlags = (
+  values: Readonly<Record<string, unknown>>,
+): LockdownOptions => {
+  const options: Record<string, string> = {};
+  for (const [flag, { key, values: allowed }] of entries(LOCKDOWN_FLAGS)) {
+    const value = values[flag];
+    if (typeof value !== 'string') {
+      continue;
+    }
+    if (!allowed.some((allowedValue) => allowedValue === value)) {
+      throw new Error(
+        `Invalid value for --${flag}: ${value} (expected one of: ${allowed.join(', ')})`,
+      );
+    }
+    options[key] = value;
+  }
+  return options;
+};
+
+/**
+ * Resolve the options to pass to `lockdown()`
+ *
+ * Later sources win: the profile's options, then `options` (e.g. from the
+ * configuration file), then `overrides` (e.g. from command-line flags).
+ *
+ * @function
+ */
+export const resolveLockdownOptions = ({
+  options = {},
+  overrides = {},
+  profile = DEFAULT_LOCKDOWN_PROFILE,
+}: {
+  options?: LockdownOptions | undefined;
+  overrides?: LockdownOptions | undefined;
+  profile?: string | undefined;
+} = {}): LockdownOptions => {
+  if (!isLockdownProfile(profile)) {
+    throw new Error(
+      `Unknown lockdown profile: ${String(profile)} (expected one of: ${keys(LOCKDOWN_PROFILES).join(', ')})`,
+    );
+  }
+  return { ...LOCKDOWN_PROFILES[profile], ...options, ...overrides };
+};
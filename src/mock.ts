@@ -0,0 +1,169 @@
+/**
+ * Module mocking for test files run in Compartments
+ *
+ * Each test file run with `--isolate` loads its dependencies from a compartment
+ * map of its own. Mocking a specifier makes it an "exit" in every compartment
+ * of that map, so wherever it is imported—by the test file, or by any package
+ * it loads—it resolves to the mock's namespace. Other test files' maps, and the
+ * host's module cache, are untouched.
+ */
+
+import { type CompartmentMapDescriptor } from '@endo/compartment-mapper';
+import { isBuiltin } from 'node:module';
+import { type CompartmentOptions } from 'ses';
+
+import { isAllowed } from './policy.js';
+
+const { entries, values } = Object;
+
+/**
+ * Replace a package or builtin with a namespace in the test file's Compartments
+ *
+ * Only modules loaded afterwards see the mock; import the code under test
+ * dynamically (`await import('foo')`) after mocking its dependencies.
+ */
+export type MockFn = (specifier: string, namespace: object) => void;
+
+/**
+ * `mock()` as exported by the package, for test files not run in Compartments
+ *
+ * Test files run with `--isolate` import `cenobite` from the runner instead,
+ * and get a `mock()` bound to their own Compartments.
+ *
+ * @function
+ */
+export const mock: MockFn = () => {
+  throw new Error(
+    "mock() only works in test files run with --isolate, where it replaces modules in the test file's own Compartments",
+  );
+};
+
+/**
+ * Make a specifier resolve to an exit module in every compartment of a map
+ *
+ * Where a package policy allows the package a mock replaces, the mock is
+ * allowed too; mocking a builtin does not change whether a package may use it.
+ *
+ * @function
+ */
+const substituteModule = (
+  compartmentMap: CompartmentMapDescriptor,
+  specifier: string,
+): void => {
+  for (const descriptor of values(compartmentMap.compartments)) {
+    const { modules, policy } = descriptor;
+    const allowed = !!modules[specifier]?.compartment;
+    modules[specifier] = { exit: specifier };
+    if (
+      policy &&
+      allowed &&
+      !isBuiltin(specifier) &&
+      !isAllowed(policy, 'builtins', specifier)
+    ) {
+      // compartment-mapper checks exits against `builtins`
+      descriptor.policy = {
+        ...policy,
+        builtins: { ...(policy.builtins as object), [specifier]: true },
+      };
+    }
+  }
+};
+
+/**
+ * Give a substitute a default export, unless it has one: the object itself
+ *
+ * Compartment-mapper only exports a substitute's own properties.
+ *
+ * @function
+ */
+const toNamespace = (namespace: object): object =>
+  'default' in namespace ? namespace : { ...namespace, default: namespace };
+
+/**
+ * Provide a module to the test file's own compartment alone
+ *
+ * Compartment-mapper looks up every exit in `modules`, whichever compartment
+ * imports it, so the Compartments of the packages the test file loads are made
+ * to refuse it instead.
+ *
+ * @function
+ * @param compartmentMap The test file's compartment map, before it is loaded
+ * @param modules Namespaces by specifier, as given to {@link createModuleMocks}
+ * @param specifier The module's specifier
+ * @param namespace The module's namespace
+ * @returns The Compartment constructor to load the compartment map with
+ */
+export const provideEntryModule = (
+  compartmentMap: CompartmentMapDescriptor,
+  modules: Record<string, unknown>,
+  specifier: string,
+  namespace: object,
+): typeof Compartment => {
+  const { compartments, entry } = compartmentMap;
+  const descriptor = compartments[entry.compartment];
+  if (!descriptor) {
+    throw new Error(
+      `The compartment map has no entry compartment ${entry.compartment}`,
+    );
+  }
+  modules[specifier] = toNamespace(namespace);
+  descriptor.modules[specifier] = { exit: specifier };
+
+  const refuse = (name: string) => {
+    throw new Error(
+      `Only the test file's own package may import "${specifier}", not ${name}`,
+    );
+  };
+  return class extends Compartment {
+    constructor(options?: CompartmentOptions & { __options__: true }) {
+      if (options?.name === undefined || options.name === entry.compartment) {
+        super(options);
+        return;
+      }
+      const { importHook, importNowHook, name } = options;
+      super({
+        ...options,
+        ...(importHook && {
+          importHook: async (moduleSpecifier) =>
+            moduleSpecifier === specifier
+              ? refuse(name)
+              : importHook(moduleSpecifier),
+        }),
+        ...(importNowHook && {
+          importNowHook: (moduleSpecifier) =>
+            moduleSpecifier === specifier
+              ? refuse(name)
+              : importNowHook(moduleSpecifier),
+        }),
+      });
+    }
+  };
+};
+
+/**
+ * Substitute modules within a single test file's compartment map
+ *
+ * @function
+ * @param compartmentMap The test file's compartment map, before it is loaded
+ * @param modules Namespaces by specifier; mocks are added to this object, which
+ *   compartment-mapper consults as each exit is imported
+ * @returns A {@link MockFn} for the test file
+ */
+export const createModuleMocks = (
+  compartmentMap: CompartmentMapDescriptor,
+  modules: Record<string, unknown>,
+): MockFn => {
+  for (const [specifier, namespace] of entries(modules)) {
+    if (namespace && typeof namespace === 'object') {
+      modules[specifier] = toNamespace(namespace);
+    }
+    substituteModule(compartmentMap, specifier);
+  }
+  return (specifier, namespace) => {
+    if (!namespace || typeof namespace !== 'object') {
+      throw new Error(`mock() expects a namespace object for "${specifier}"`);
+    }
+    modules[specifier] = toNamespace(namespace);
+    substituteModule(compartmentMap, specifier);
+  };
+};
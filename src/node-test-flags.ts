@@ -0,0 +1,311 @@
+/**
+ * `node --test` flags, forwarded to `node:test`
+ *
+ * `node --test` hands most of its flags to `run()` as options, which is what
+ * cenobite does, too. A run with `isolation: 'none'`, however, ignores the
+ * options filtering tests and reads the flags of its own process instead; and
+ * `--test-update-snapshots` is only ever read from the flags of a process.
+ * Those are therefore given to whichever process runs the tests as flags: the
+ * child process, or with `--isolate`, cenobite relaunched with them.
+ */
+
+import { spawn } from 'node:child_process';
+import { type RunOptions } from 'node:test';
+import { parseArgs } from 'node:util';
+
+const { freeze, hasOwn } = Object;
+
+/**
+ * `parseArgs` options for the `node --test` flags cenobite accepts
+ */
+export const NODE_TEST_FLAGS = freeze({
+  'experimental-test-coverage': {
+    description: 'Collect code coverage (not with --isolate)',
+    type: 'boolean',
+  },
+  'test-concurrency': {
+    description:
+      'Number of test files to run at once, each in a process of its own (not with --isolate)',
+    type: 'string',
+  },
+  'test-name-pattern': {
+    description: 'Only run tests whose names match this pattern (repeatable)',
+    multiple: true,
+    type: 'string',
+  },
+  'test-only': {
+    description: 'Only run tests marked with `only`',
+    type: 'boolean',
+  },
+  'test-shard': {
+    description: 'Only run this shard of the test files, e.g. 1/3',
+    type: 'string',
+  },
+  'test-skip-pattern': {
+    description: 'Skip tests whose names match this pattern (repeatable)',
+    multiple: true,
+    type: 'string',
+  },
+  'test-timeout': {
+    description: 'Fail tests which take longer than this, in milliseconds',
+    type: 'string',
+  },
+  'test-update-snapshots': {
+    description: 'Write the snapshots of snapshot tests rather than compare',
+    type: 'boolean',
+  },
+} as const);
+
+/**
+ * What the `node --test` flags given to cenobite ask of `node:test`
+ */
+export interface NodeTestOptions {
+  /** Number of test files to run at once, in processes of their own */
+  concurrency?: number;
+  /** Collect code coverage */
+  coverage?: boolean;
+  /** Only run tests marked with `only` */
+  only?: boolean;
+  /** Only run this shard of the test files */
+  shard?: { index: number; total: number };
+  /** Only run tests whose names match one of these */
+  testNamePatterns?: string[];
+  /** Skip tests whose names match one of these */
+  testSkipPatterns?: string[];
+  /** Timeout of each test, in milliseconds */
+  timeout?: number;
+  /** Write snapshots rather than compare them */
+  updateSnapshots?: boolean;
+}
+
+/**
+ * Arguments given after `--`
+ */
+interface Passthrough {
+  /** Anything but `node --test` flags, for the process which runs the tests */
+  flags: string[];
+  /** Values of the `node --test` flags among them */
+  values: Record<string, unknown>;
+}
+
+/**
+ * Check that a test name pattern is a valid RegExp, written as its source or as
+ * a literal like `/name/i`, as `node:test` accepts it
+ *
+ * @function
+ */
+const validatePattern = (flag: string, pattern: string): void => {
+  const literal = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  try {
+    new RegExp(literal?.[1] ?? pattern, literal?.[2]);
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Invalid value for --${flag}: ${pattern} (${message})`, {
+      cause: error,
+    });
+  }
+};
+
+/**
+ * Collect the `node --test` flags given to cenobite
+ *
+ * Repeatable flags accumulate across sources; otherwise, later sources win.
+ *
+ * @function
+ * @param sources Parsed command-line values, keyed by flag name, e.g. those
+ *   before and after `--`
+ * @throws If a value is not one `node --test` would accept
+ */
+export const parseNodeTestFlags = (
+  ...sources: readonly Readonly<Record<string, unknown>>[]
+): NodeTestOptions => {
+  const last = (flag: string) =>
+    sources.reduce<boolean | string | undefined>(
+      (value, source) =>
+        (source[flag] as boolean | string | undefined) ?? value,
+      undefined,
+    );
+  const all = (flag: string): string[] | undefined => {
+    const values = sources.flatMap(
+      (source) => (source[flag] as string[] | undefined) ?? [],
+    );
+    return values.length ? values : undefined;
+  };
+  const integer = (flag: string, min: number): number | undefined => {
+    const value = last(flag);
+    if (value === undefined) {
+      return undefined;
+    }
+    if (typeof value !== 'string' || !/^\d+$/.test(value) || +value < min) {
+      throw new Error(
+        `Invalid value for --${flag}: ${value} (expected ${min ? 'a positive' : 'a non-negative'} integer)`,
+      );
+    }
+    return +value;
+  };
+
+  const options: NodeTestOptions = {};
+  const concurrency = integer('test-concurrency', 1);
+  if (concurrency !== undefined) {
+    options.concurrency = concurrency;
+  }
+  if (last('experimental-test-coverage') === true) {
+    options.coverage = true;
+  }
+  if (last('test-only') === true) {
+    options.only = true;
+  }
+  const shard = last('test-shard');
+  if (shard !== undefined) {
+    const [, index, total] = /^(\d+)\/(\d+)$/.exec(`${shard}`) ?? [];
+    if (!index || !total || +index < 1 || +index > +total) {
+      throw new Error(
+        `Invalid value for --test-shard: ${shard} (expected <index>/<total>, with 1 <= index <= total)`,
+      );
+    }
+    options.shard = { index: +index, total: +total };
+  }
+  for (const [flag, key] of [
+    ['test-name-pattern', 'testNamePatterns'],
+    ['test-skip-pattern', 'testSkipPatterns'],
+  ] as const) {
+    const patterns = all(flag);
+    if (patterns) {
+      for (const pattern of patterns) {
+        validatePattern(flag, pattern);
+      }
+      options[key] = patterns;
+    }
+  }
+  const timeout = integer('test-timeout', 0);
+  if (timeout !== undefined) {
+    options.timeout = timeout;
+  }
+  if (last('test-update-snapshots') === true) {
+    options.updateSnapshots = true;
+  }
+  return options;
+};
+
+/**
+ * Split the arguments given after `--` into `node --test` flags and flags for
+ * Node itself, e.g. `--inspect-brk` or `--expose-gc`
+ *
+ * @function
+ * @param args Arguments after `--`
+ */
+export const parsePassthrough = (args: readonly string[]): Passthrough => {
+  const { tokens, values } = parseArgs({
+    allowPositionals: true,
+    args: [...args],
+    options: NODE_TEST_FLAGS,
+    strict: false,
+    tokens: true,
+  });
+  // Grouped short flags share an index, so each argument is kept once
+  const indexes = new Set<number>();
+  for (const token of tokens) {
+    if (
+      token.kind === 'positional' ||
+      (token.kind === 'option' && !hasOwn(NODE_TEST_FLAGS, token.name))
+    ) {
+      indexes.add(token.index);
+    }
+  }
+  return {
+    flags: [...indexes].map((index) => args[index] as string),
+    values,
+  };
+};
+
+/**
+ * Pick the shard of the test files to run, the way `node --test` does
+ *
+ * @function
+ */
+export const shardFiles = (
+  files: string[],
+  shard: NodeTestOptions['shard'],
+): string[] =>
+  shard
+    ? files.filter((_, index) => index % shard.total === shard.index - 1)
+    : files;
+
+/**
+ * The options for `run()` which it honours with the given isolation
+ *
+ * @function
+ */
+export const toRunOptions = (
+  {
+    concurrency,
+    coverage,
+    only,
+    testNamePatterns,
+    testSkipPatterns,
+    timeout,
+  }: NodeTestOptions,
+  isolation: 'none' | 'process',
+): RunOptions => ({
+  ...(coverage && { coverage }),
+  ...(timeout !== undefined && { timeout }),
+  ...(isolation === 'process' && {
+    ...(concurrency !== undefined && { concurrency }),
+    ...(only && { only }),
+    ...(testNamePatterns && { testNamePatterns }),
+    ...(testSkipPatterns && { testSkipPatterns }),
+  }),
+});
+
+/**
+ * The flags the process calling `run()` needs, for what `run()` only reads from
+ * the flags of its own process with the given isolation
+ *
+ * With `isolation: 'process'`, the filters must not be among them: the process
+ * would filter out the test of each file by its name.
+ *
+ * @function
+ */
+export const toProcessFlags = (
+  {
+    only,
+    testNamePatterns,
+    testSkipPatterns,
+    updateSnapshots,
+  }: NodeTestOptions,
+  isolation: 'none' | 'process',
+): string[] => [
+  ...(updateSnapshots ? ['--test-update-snapshots'] : []),
+  ...(isolation === 'none'
+    ? [
+        ...(only ? ['--test-only'] : []),
+        ...(testNamePatterns ?? []).map(
+          (pattern) => `--test-name-pattern=${pattern}`,
+        ),
+        ...(testSkipPatterns ?? []).map(
+          (pattern) => `--test-skip-pattern=${pattern}`,
+        ),
+      ]
+    : []),
+];
+
+/**
+ * Run cenobite again, as it was run, with more flags for Node
+ *
+ * @function
+ * @param flags Flags for Node, given ahead of cenobite's own arguments
+ * @returns The exit code of the relaunched process
+ */
+export const relaunch = async (flags: readonly string[]): Promise<number> => {
+  const child = spawn(
+    process.execPath,
+    [...process.execArgv, ...flags, ...process.argv.slice(1)],
+    { stdio: 'inherit' },
+  );
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', (code) => {
+      resolve(code ?? 1);
+    });
+  });
+};
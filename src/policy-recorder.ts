@@ -0,0 +1,336 @@
+/**
+ * Capability policy generation for `--generate-policy`
+ *
+ * While the tests run, a recorder notes which builtins, globals and packages
+ * each dependency uses, then produces a policy granting exactly that. Builtins
+ * and packages are recorded as each module's imports are parsed. Globals are
+ * recorded when they are used, by attributing each use to the package whose
+ * code is on top of the stack.
+ */
+
+import {
+  type CompartmentDescriptor,
+  type ParserForLanguage,
+} from '@endo/compartment-mapper';
+import { readFile, writeFile } from 'node:fs/promises';
+import { isBuiltin } from 'node:module';
+
+import {
+  CAPABILITIES,
+  type Capability,
+  type CapabilityPolicy,
+  isAllowed,
+  makeParserForLanguage,
+  type ModuleImportsHook,
+  resolvePolicy,
+} from './policy.js';
+
+const { entries, fromEntries, keys } = Object;
+const { parse, stringify } = JSON;
+const { apply, construct, get, has, set } = Reflect;
+
+/**
+ * Where `--generate-policy` writes the policy if not given a path
+ */
+export const DEFAULT_POLICY_FILE = 'cenobite.policy.json';
+
+/**
+ * URL of this module, whose frames are skipped when attributing a global's use
+ */
+const ownUrl = import.meta.url;
+
+/**
+ * Records the capabilities used by each package during a run
+ */
+export interface PolicyRecorder {
+  /** Parsers which record the builtins and packages each module imports */
+  parserForLanguage: ParserForLanguage;
+  /** Wrap endowments so that each package's use of them is recorded */
+  recordGlobals: (globals: Record<string, unknown>) => Record<string, unknown>;
+  /** Build a policy granting everything recorded so far */
+  toPolicy: () => CapabilityPolicy;
+}
+
+/**
+ * A capability recorded in one policy but not granted by another
+ */
+interface NewCapability {
+  capability: Capability;
+  /** Builtin specifier, global name or package canonical name */
+  name: string;
+  /** Canonical name of the package using the capability */
+  packageName: string;
+}
+
+/**
+ * Find the location of the package a bare specifier refers to
+ *
+ * @function
+ */
+const resolveDependency = (
+  { modules = {}, scopes = {} }: CompartmentDescriptor,
+  specifier: string,
+): string | undefined => {
+  const moduleDescriptor = modules[specifier];
+  if (moduleDescriptor?.compartment) {
+    return moduleDescriptor.compartment;
+  }
+  for (const [prefix, { compartment }] of entries(scopes)) {
+    if (specifier === prefix || specifier.startsWith(`${prefix}/`)) {
+      return compartment;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Sort a set of names into a policy's `{ [name]: true }` form
+ *
+ * @function
+ */
+const toGrants = (names: Iterable<string>): Record<string, boolean> =>
+  fromEntries([...names].sort().map((name) => [name, true]));
+
+/**
+ * Create a recorder for a run
+ *
+ * @function
+ */
+export const createPolicyRecorder = (): PolicyRecorder => {
+  /** Canonical name of each package, by location; `''` for the entry */
+  const packageNames = new Map<string, string>();
+  /** Capabilities used by each package, by location */
+  const usage = new Map<string, Record<Capability, Set<string>>>();
+
+  const usageOf = (location: string): Record<Capability, Set<string>> => {
+    let packageUsage = usage.get(location);
+    if (!packageUsage) {
+      packageUsage = {
+        builtins: new Set(),
+        globals: new Set(),
+        packages: new Set(),
+      };
+      usage.set(location, packageUsage);
+    }
+    return packageUsage;
+  };
+
+  const onModule: ModuleImportsHook = (
+    imports,
+    _moduleLocation,
+    compartmentDescriptor,
+  ) => {
+    if (!compartmentDescriptor) {
+      return;
+    }
+    const { location, path = [] } = compartmentDescriptor;
+    packageNames.set(location, path.join('>'));
+    for (const specifier of imports) {
+      if (isBuiltin(specifier)) {
+        usageOf(location).builtins.add(specifier);
+      } else if (!specifier.startsWith('.') && !specifier.startsWith('/')) {
+        // Packages are recorded by location until all their names are known
+        const dependency = resolveDependency(compartmentDescriptor, specifier);
+        if (dependency && dependency !== location) {
+          usageOf(location).packages.add(dependency);
+        }
+      }
+    }
+  };
+
+  /**
+   * Find the package whose code used a global, from the current stack
+   */
+  const findCaller = (): string | undefined => {
+    const { stack = '' } = new Error();
+    for (const [, url] of stack.matchAll(/(file:\/\/\S+?):\d+:\d+/g)) {
+      if (!url || url === ownUrl) {
+        continue;
+      }
+      // Packages may be nested in one another; the deepest one wins
+      let caller: string | undefined;
+      for (const location of packageNames.keys()) {
+        if (
+          url.startsWith(location) &&
+          location.length > (caller?.length ?? 0)
+        ) {
+          caller = location;
+        }
+      }
+      if (caller) {
+        return caller;
+      }
+    }
+    return undefined;
+  };
+
+  const recordGlobal = (name: string): void => {
+    const caller = findCaller();
+    if (caller) {
+      usageOf(caller).globals.add(name);
+    }
+  };
+
+  const recordGlobals = (
+    globals: Record<string, unknown>,
+  ): Record<string, unknown> =>
+    fromEntries(
+      entries(globals).map(([name, value]) => {
+        // Primitives cannot be observed; they are never recorded
+        if (
+          !value ||
+          (typeof value !== 'object' && typeof value !== 'function')
+        ) {
+          return [name, value];
+        }
+        return [
+          name,
+          new Proxy(value, {
+            apply: (target, thisArg, args: unknown[]) => {
+              recordGlobal(name);
+              return apply(target as () => unknown, thisArg, args) as unknown;
+            },
+            construct: (target, args: unknown[], newTarget) => {
+              recordGlobal(name);
+              return construct(
+                target as new () => object,
+                args,
+                newTarget,
+              ) as object;
+            },
+            // Host accessors (e.g. on `globalThis`) expect the real object
+            get: (target, key) => {
+              recordGlobal(name);
+              return get(target, key) as unknown;
+            },
+            has: (target, key) => {
+              recordGlobal(name);
+              return has(target, key);
+            },
+            set: (target, key, newValue) => {
+              recordGlobal(name);
+              return set(target, key, newValue);
+            },
+          }),
+        ];
+      }),
+    );
+
+  const toPolicy = (): CapabilityPolicy => {
+    const resources: CapabilityPolicy['resources'] = {};
+    const named = [...packageNames].sort(([, a], [, b]) => a.localeCompare(b));
+    for (const [location, name] of named) {
+      // The entry package is trusted, so it needs no policy
+      if (!name) {
+        continue;
+      }
+      const { builtins, globals, packages } = usageOf(location);
+      const packageNamesUsed = [...packages]
+        .map((dependency) => packageNames.get(dependency))
+        .filter((dependency): dependency is string => !!dependency);
+      resources[name] = {
+        ...(builtins.size && { builtins: toGrants(builtins) }),
+        ...(globals.size && { globals: toGrants(globals) }),
+        ...(packageNamesUsed.length && {
+          packages: toGrants(packageNamesUsed),
+        }),
+      };
+    }
+    return { resources };
+  };
+
+  return {
+    parserForLanguage: makeParserForLanguage(onModule, {
+      heuristicImports: true,
+    }),
+    recordGlobals,
+    toPolicy,
+  };
+};
+
+/**
+ * List the capabilities a recorded policy uses which another does not grant
+ *
+ * @function
+ * @param recorded The policy generated by a {@link PolicyRecorder}
+ * @param existing The policy to compare against
+ */
+export const diffPolicy = (
+  recorded: CapabilityPolicy,
+  existing: CapabilityPolicy,
+): NewCapability[] => {
+  const { resources } = resolvePolicy(existing, 'existing policy');
+  const newCapabilities: NewCapability[] = [];
+  for (const [packageName, packagePolicy] of entries(recorded.resources)) {
+    for (const capability of CAPABILITIES) {
+      const items = packagePolicy[capability];
+      if (!items || typeof items !== 'object') {
+        continue;
+      }
+      for (const name of keys(items)) {
+        if (!isAllowed(resources[packageName], capability, name)) {
+          newCapabilities.push({ capability, name, packageName });
+        }
+      }
+    }
+  }
+  return newCapabilities;
+};
+
+/**
+ * Describe new capabilities for the console
+ *
+ * @function
+ * @param newCapabilities As returned by {@link diffPolicy}
+ * @param source Where the policy compared against came from
+ */
+export const formatPolicyDiff = (
+  newCapabilities: readonly NewCapability[],
+  source: string,
+): string => {
+  if (!newCapabilities.length) {
+    return `[cenobite] No new capabilities compared to ${source}`;
+  }
+  const kinds: Record<Capability, string> = {
+    builtins: 'builtin',
+    globals: 'global',
+    packages: 'package',
+  };
+  return [
+    `[cenobite] New capabilities compared to ${source}:`,
+    ...newCapabilities.map(
+      ({ capability, name, packageName }) =>
+        `  ${packageName}: ${kinds[capability]} "${name}"`,
+    ),
+  ].join('\n');
+};
+
+/**
+ * Load a policy file, if it exists
+ *
+ * @function
+ */
+export const readPolicyIfExists = async (
+  filepath: string,
+): Promise<CapabilityPolicy | undefined> => {
+  try {
+    return resolvePolicy(parse(await readFile(filepath, 'utf8')), filepath);
+  } catch (error: unknown) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return undefined;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write a policy file
+ *
+ * @function
+ */
+export const writePolicy = async (
+  filepath: string,
+  policy: CapabilityPolicy,
+): Promise<void> => {
+  await writeFile(filepath, `${stringify(policy, null, 2)}\n`);
+};
@@ -0,0 +1,285 @@
+/**
+ * Per-package capability policies for `--isolate`
+ *
+ * A policy uses the format of `@endo/compartment-mapper` (which is that of
+ * LavaMoat): for each package, keyed by canonical name (e.g. `foo>bar`), the
+ * builtins, globals and other packages it may use. Anything not listed is
+ * denied. compartment-mapper enforces the policy; the parsers here check each
+ * module's imports up front so that a denial names the offending package.
+ */
+
+import {
+  type CompartmentDescriptor,
+  type PackagePolicy,
+  type ParserForLanguage,
+  type ParserImplementation,
+  type Policy,
+} from '@endo/compartment-mapper';
+import { defaultParserForLanguage } from '@endo/compartment-mapper/import-parsers.js';
+import { readFile } from 'node:fs/promises';
+import { isBuiltin } from 'node:module';
+
+const { entries, freeze, fromEntries, hasOwn } = Object;
+const { parse, stringify } = JSON;
+const { isArray } = Array;
+
+/**
+ * A capability policy, as written in a policy file
+ */
+export type CapabilityPolicy = Policy;
+
+/**
+ * Policy for the package containing the test file, unless the policy has an
+ * `entry`; test code is trusted, its dependencies are not
+ */
+const DEFAULT_ENTRY_POLICY: Readonly<PackagePolicy> = freeze({
+  builtins: 'any',
+  globals: 'any',
+  packages: 'any',
+});
+
+/**
+ * Capabilities a package policy may grant
+ */
+export const CAPABILITIES = ['builtins', 'globals', 'packages'] as const;
+
+/**
+ * A kind of capability a package policy may grant
+ */
+export type Capability = (typeof CAPABILITIES)[number];
+
+/**
+ * Matches the message of an error thrown when a policy denies an import, by
+ * compartment-mapper or by {@link policyParserForLanguage}
+ */
+export const POLICY_DENIAL =
+  /Policy denies|not allowed by (?:packages )?policy|not in policy/;
+
+/**
+ * Strip the `node:` scheme from a builtin specifier
+ *
+ * @function
+ */
+export const bareBuiltin = (specifier: string): string =>
+  specifier.startsWith('node:') ? specifier.slice(5) : specifier;
+
+/**
+ * Allow both `fs` and `node:fs` wherever a policy allows either
+ *
+ * @function
+ */
+const normalizeBuiltins = (
+  builtins: PackagePolicy['builtins'],
+): PackagePolicy['builtins'] => {
+  if (!builtins || builtins === 'any') {
+    return builtins;
+  }
+  const normalized: Record<string, unknown> = {};
+  for (const [specifier, allowed] of entries(builtins)) {
+    const bare = bareBuiltin(specifier);
+    normalized[bare] ||= allowed;
+    normalized[`node:${bare}`] ||= allowed;
+  }
+  return normalized as PackagePolicy['builtins'];
+};
+
+/**
+ * Check that a package policy has the expected shape and normalize it
+ *
+ * @function
+ */
+const resolvePackagePolicy = (
+  packagePolicy: unknown,
+  where: string,
+  fail: (message: string) => never,
+): PackagePolicy => {
+  if (
+    !packagePolicy ||
+    typeof packagePolicy !== 'object' ||
+    isArray(packagePolicy)
+  ) {
+    return fail(`${where} must be an object`);
+  }
+  const resolved = { ...(packagePolicy as PackagePolicy) };
+  for (const capability of CAPABILITIES) {
+    const value = resolved[capability];
+    if (
+      value !== undefined &&
+      value !== 'any' &&
+      (!value || typeof value !== 'object' || isArray(value))
+    ) {
+      fail(`${where}.${capability} must be "any" or an object`);
+    }
+  }
+  return { ...resolved, builtins: normalizeBuiltins(resolved.builtins) };
+};
+
+/**
+ * Check that a raw policy has the expected shape and resolve it
+ *
+ * @function
+ * @param policy The raw policy
+ * @param source Where the policy came from, for error messages
+ */
+export const resolvePolicy = (
+  policy: unknown,
+  source: string,
+): CapabilityPolicy => {
+  const fail = (message: string): never => {
+    throw new Error(`Invalid policy in ${source}: ${message}`);
+  };
+
+  if (!policy || typeof policy !== 'object' || isArray(policy)) {
+    return fail('expected an object');
+  }
+  const { entry, resources } = policy as Partial<CapabilityPolicy>;
+  if (!resources || typeof resources !== 'object' || isArray(resources)) {
+    return fail('"resources" must be an object');
+  }
+
+  return {
+    ...(policy as CapabilityPolicy),
+    entry:
+      entry === undefined
+        ? DEFAULT_ENTRY_POLICY
+        : resolvePackagePolicy(entry, '"entry"', fail),
+    resources: fromEntries(
+      entries(resources).map(([name, packagePolicy]) => [
+        name,
+        resolvePackagePolicy(
+          packagePolicy,
+          `"resources[${stringify(name)}]"`,
+          fail,
+        ),
+      ]),
+    ),
+  };
+};
+
+/**
+ * Load a policy file
+ *
+ * @function
+ */
+export const loadPolicy = async (
+  filepath: string,
+): Promise<CapabilityPolicy> => {
+  let policy: unknown;
+  try {
+    policy = parse(await readFile(filepath, 'utf8'));
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Failed to load policy from ${filepath}: ${message}`, {
+      cause: error,
+    });
+  }
+  return resolvePolicy(policy, filepath);
+};
+
+/**
+ * Called with the imports of each module as it is parsed
+ */
+export type ModuleImportsHook = (
+  imports: readonly string[],
+  moduleLocation: string,
+  compartmentDescriptor: CompartmentDescriptor | undefined,
+) => void;
+
+/**
+ * Whether a package policy grants a capability
+ *
+ * @function
+ * @param packagePolicy The package's policy; none grants nothing
+ * @param capability Kind of capability
+ * @param name Builtin specifier, global name or package canonical name
+ */
+export const isAllowed = (
+  packagePolicy: PackagePolicy | undefined,
+  capability: Capability,
+  name: string,
+): boolean => {
+  const items = packagePolicy?.[capability];
+  if (items === 'any') {
+    return true;
+  }
+  return (
+    !!items &&
+    typeof items === 'object' &&
+    hasOwn(items, name) &&
+    !!(items as Record<string, unknown>)[name]
+  );
+};
+
+/**
+ * Throw if a module imports a builtin its package's policy does not allow
+ *
+ * @function
+ */
+const checkBuiltinImports: ModuleImportsHook = (
+  imports,
+  moduleLocation,
+  compartmentDescriptor,
+) => {
+  // Without a policy on the compartment, there is nothing to enforce
+  if (!compartmentDescriptor?.policy) {
+    return;
+  }
+  const { label, path = [], policy } = compartmentDescriptor;
+  for (const specifier of imports) {
+    if (isBuiltin(specifier) && !isAllowed(policy, 'builtins', specifier)) {
+      const where = path.length
+        ? `"resources[${stringify(path.join('>'))}].builtins"`
+        : '"entry.builtins"';
+      const subject = path.length
+        ? `package "${path.join('>')}"`
+        : `entry package "${label}"`;
+      throw new Error(
+        `Policy denies ${subject} access to builtin "${specifier}" (imported by ${moduleLocation}); add it to ${where} to allow it`,
+      );
+    }
+  }
+};
+
+/**
+ * Wrap the default parsers so they report each module's imports to a hook
+ *
+ * Parsers which find imports heuristically (e.g. CommonJS) may report imports a
+ * module never actually loads, so they are only wrapped if asked for.
+ *
+ * @function
+ * @param onModule Hook called with each module's imports
+ * @param options.heuristicImports Also wrap parsers which find imports
+ *   heuristically
+ */
+export const makeParserForLanguage = (
+  onModule: ModuleImportsHook,
+  { heuristicImports = false }: { heuristicImports?: boolean } = {},
+): ParserForLanguage =>
+  freeze(
+    fromEntries(
+      entries(defaultParserForLanguage).map(
+        ([language, parser]): [string, ParserImplementation] => {
+          if (parser.heuristicImports && !heuristicImports) {
+            return [language, parser];
+          }
+          const parse: ParserImplementation['parse'] = (...args) => {
+            const result = parser.parse(...args);
+            const [, , moduleLocation, , options] = args;
+            const { imports = [] } = result.record as { imports?: string[] };
+            onModule(imports, moduleLocation, options?.compartmentDescriptor);
+            return result;
+          };
+          return [language, { ...parser, parse }];
+        },
+      ),
+    ),
+  );
+
+/**
+ * The default parsers, checking imports against the compartments' policies
+ *
+ * For CommonJS, compartment-mapper's own check applies when a module is
+ * actually required.
+ */
+export const policyParserForLanguage: ParserForLanguage =
+  makeParserForLanguage(checkBuiltinImports);
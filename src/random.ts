@@ -0,0 +1,153 @@
+/**
+ * Seeded ordering for `--randomize`
+ *
+ * Test files are shuffled before they are handed to a runner. Tests within a
+ * file are shuffled by deferring their registration: while a file (or suite) is
+ * being evaluated, each `describe()`/`test()` call is queued, and the queue is
+ * registered in shuffled order once evaluation is done. The same seed always
+ * produces the same order.
+ */
+
+import { randomInt } from 'node:crypto';
+
+const { floor, imul } = Math;
+
+/**
+ * What `--randomize` shuffles: test files only, or also the tests in each
+ */
+export type RandomizeMode = 'files' | 'tests';
+
+/**
+ * Modes accepted by `--randomize`
+ */
+export const RANDOMIZE_MODES: readonly RandomizeMode[] = ['files', 'tests'];
+
+/**
+ * Type guard for {@link RandomizeMode}
+ *
+ * @function
+ */
+export const isRandomizeMode = (value: unknown): value is RandomizeMode =>
+  RANDOMIZE_MODES.some((mode) => mode === value);
+
+/**
+ * Pick a seed for a run which was not given one
+ *
+ * @function
+ */
+export const generateSeed = (): number => randomInt(2 ** 31);
+
+/**
+ * Create a pseudo-random number generator (mulberry32) from a seed
+ *
+ * @function
+ * @returns A function returning numbers in `[0, 1)`, like `Math.random()`
+ */
+export const createRandom = (seed: number): (() => number) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = imul(state ^ (state >>> 15), state | 1);
+    t ^= t + imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle a copy of a list (Fisher-Yates)
+ *
+ * @function
+ */
+export const shuffle = <T>(items: readonly T[], random: () => number): T[] => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j] as T, shuffled[i] as T];
+  }
+  return shuffled;
+};
+
+/**
+ * Generator for the file being evaluated, if its tests are shuffled
+ */
+let random: (() => number) | undefined;
+
+/**
+ * Registrations deferred in the file and each suite being evaluated; the last
+ * is innermost
+ */
+const queues: (() => void)[][] = [];
+
+/**
+ * Register the queued tests of the innermost file or suite, shuffled
+ *
+ * @function
+ */
+const flushQueue = (): void => {
+  const queue = queues.pop() ?? [];
+  for (const register of random ? shuffle(queue, random) : queue) {
+    register();
+  }
+};
+
+/**
+ * Start deferring the registration of a test file's tests
+ *
+ * Each file is shuffled with a generator of its own, so its order does not
+ * depend on which other files run.
+ *
+ * @function
+ */
+export const startShuffling = (seed: number): void => {
+  random = createRandom(seed);
+  queues.push([]);
+};
+
+/**
+ * Register a test file's deferred tests, shuffled
+ *
+ * @function
+ */
+export const flushShuffled = (): void => {
+  flushQueue();
+};
+
+/**
+ * Register a test or suite now, or queue it if its file or suite is being
+ * shuffled
+ *
+ * @function
+ * @returns The registration's result, or a `Promise` settling like it once
+ *   queued registration happens
+ */
+export const deferRegistration = (register: () => unknown): unknown => {
+  const queue = queues.at(-1);
+  if (!queue) {
+    return register();
+  }
+  return new Promise((resolve) => {
+    queue.push(() => {
+      resolve(register());
+    });
+  });
+};
+
+/**
+ * Wrap a suite's function so the tests it declares are shuffled too
+ *
+ * Only tests declared before the function's first `await` are shuffled; any
+ * after it are registered in order.
+ *
+ * @function
+ */
+export const shuffleChildren = <T extends (...args: never[]) => unknown>(
+  fn: T,
+) =>
+  function (this: unknown, ...args: Parameters<T>): ReturnType<T> {
+    queues.push([]);
+    try {
+      return fn.apply(this, args) as ReturnType<T>;
+    } finally {
+      flushQueue();
+    }
+  };
@@ -0,0 +1,281 @@
+/**
+ * Reporters, and where their output goes
+ *
+ * As with `node --test`, `--reporter` may be repeated, each paired in order
+ * with a `--reporter-destination`: `stdout`, `stderr` or a file. A reporter is
+ * one of `node:test`'s built-in ones, by name, or a module (a path or package)
+ * whose default export is one: an async generator function of the test events,
+ * a `Transform` stream, or a class of one.
+ */
+
+import { createWriteStream } from 'node:fs';
+import { mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { PassThrough, Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { type TestsStream } from 'node:test';
+import { dot, junit, lcov, spec, tap } from 'node:test/reporters';
+
+import {
+  formatIsolationReport,
+  type IsolationRecorder,
+} from './isolation-report.js';
+import { resolveModuleSpecifier } from './setup.js';
+
+const { getOwnPropertyDescriptor } = Object;
+
+/**
+ * Names of `node:test`'s built-in reporters
+ */
+const BUILTIN_REPORTERS = [
+  'cenobite',
+  'dot',
+  'junit',
+  'lcov',
+  'spec',
+  'tap',
+] as const;
+
+/**
+ * A reporter, ready to report a run
+ */
+interface LoadedReporter {
+  /** Create the reporter for a run */
+  create: () => Reporter;
+  /** `stdout`, `stderr` or the path of a file */
+  destination: string;
+}
+
+/**
+ * What a reporter is composed with the test events as
+ */
+type Reporter = Parameters<TestsStream['compose']>[0];
+
+/**
+ * A reporter and the destination of its output
+ */
+interface ReporterTarget {
+  /** `stdout`, `stderr` or the path of a file */
+  destination: string;
+  /** Name of a built-in reporter, or URL of a reporter module */
+  reporter: string;
+}
+
+/**
+ * Whether a reporter is one of `node:test`'s built-in ones
+ *
+ * @function
+ */
+const isBuiltinReporter = (
+  name: string,
+): name is (typeof BUILTIN_REPORTERS)[number] =>
+  (BUILTIN_REPORTERS as readonly string[]).includes(name);
+
+/**
+ * Whether a destination is one of the process' own streams rather than a file
+ *
+ * @function
+ */
+const isStandardDestination = (
+  destination: string,
+): destination is 'stderr' | 'stdout' =>
+  destination === 'stderr' || destination === 'stdout';
+
+/**
+ * Create the built-in reporter with the given name
+ *
+ * @function
+ * @param name The reporter's name
+ * @param isolation Records the run's isolation, for the `cenobite` reporter
+ * @throws If the `cenobite` reporter is not given the run's isolation
+ */
+const createBuiltinReporter = (
+  name: (typeof BUILTIN_REPORTERS)[number],
+  isolation: IsolationRecorder | undefined,
+): Reporter => {
+  switch (name) {
+    case 'cenobite': {
+      if (!isolation) {
+        throw new Error('The cenobite reporter needs the isolation of the run');
+      }
+      // The spec reporter's output, then, once the run is over and everything
+      // it isolated has been recorded, the isolation report
+      return async function* (source: AsyncIterable<unknown>) {
+        yield* Readable.from(source).compose(spec());
+        yield `\n${formatIsolationReport(isolation.toReport())}\n`;
+      };
+    }
+    case 'dot':
+      return dot;
+    case 'junit':
+      return junit;
+    case 'lcov':
+      return lcov();
+    case 'spec':
+      return spec();
+    case 'tap':
+      return tap;
+  }
+};
+
+/**
+ * Resolve a reporter: a built-in one stays as it is, and a module (a path or
+ * package) resolves to its URL
+ *
+ * @function
+ * @param name Name of a built-in reporter, or specifier of a reporter module
+ * @param dir Directory relative to which a module is resolved
+ * @throws If a reporter module cannot be found
+ */
+export const resolveReporter = (name: string, dir: string): string => {
+  if (isBuiltinReporter(name)) {
+    return name;
+  }
+  try {
+    return resolveModuleSpecifier(name, dir);
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(
+      `Unknown reporter: ${name} (expected one of ${BUILTIN_REPORTERS.join(', ')}, or a reporter module: ${message})`,
+      { cause: error },
+    );
+  }
+};
+
+/**
+ * Resolve a reporter's destination: a file relative to `dir`, unless it is
+ * `stdout` or `stderr`
+ *
+ * @function
+ */
+export const resolveDestination = (destination: string, dir: string): string =>
+  isStandardDestination(destination) ? destination : resolve(dir, destination);
+
+/**
+ * Pair reporters with their destinations, in order
+ *
+ * As with `node --test`, a single reporter without a destination reports to
+ * `stdout`; otherwise each needs one.
+ *
+ * @function
+ * @throws If the numbers of reporters and destinations differ
+ */
+export const pairReporters = (
+  reporters: readonly string[],
+  destinations: readonly string[],
+): ReporterTarget[] => {
+  const paired =
+    reporters.length === 1 && !destinations.length ? ['stdout'] : destinations;
+  if (paired.length !== reporters.length) {
+    throw new Error(
+      `Each --reporter needs a --reporter-destination, but ${reporters.length} reporter(s) and ${paired.length} destination(s) were given`,
+    );
+  }
+  return reporters.map((reporter, index) => ({
+    destination: paired[index] as string,
+    reporter,
+  }));
+};
+
+/**
+ * Load a reporter, importing it if it is a module
+ *
+ * @function
+ * @throws If a reporter module cannot be imported, or exports no reporter
+ */
+const loadReporter = async (
+  { destination, reporter }: ReporterTarget,
+  isolation: IsolationRecorder | undefined,
+): Promise<LoadedReporter> => {
+  if (isBuiltinReporter(reporter)) {
+    return {
+      create: () => createBuiltinReporter(reporter, isolation),
+      destination,
+    };
+  }
+  let exported: unknown;
+  try {
+    ({ default: exported } = (await import(reporter)) as { default?: unknown });
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Failed to import reporter '${reporter}': ${message}`, {
+      cause: error,
+    });
+  }
+  if (!exported) {
+    throw new Error(`Reporter module '${reporter}' has no default export`);
+  }
+  // Like node:test, construct a class, and use anything else as it is
+  const isClass =
+    typeof exported === 'function' &&
+    !!getOwnPropertyDescriptor(exported.prototype ?? {}, 'constructor');
+  return {
+    create: () =>
+      isClass ? new (exported as new () => Reporter)() : (exported as Reporter),
+    destination,
+  };
+};
+
+/**
+ * Load reporters, importing those which are modules
+ *
+ * @function
+ * @param targets The reporters, and their destinations
+ * @param isolation Records the run's isolation, for the `cenobite` reporter
+ */
+export const loadReporters = (
+  targets: readonly ReporterTarget[],
+  isolation?: IsolationRecorder,
+): Promise<LoadedReporter[]> =>
+  Promise.all(targets.map((target) => loadReporter(target, isolation)));
+
+/**
+ * Whether any of the reporters is the `cenobite` reporter, which needs the
+ * run's isolation recorded
+ *
+ * @function
+ */
+export const reportsIsolation = (targets: readonly ReporterTarget[]): boolean =>
+  targets.some(({ reporter }) => reporter === 'cenobite');
+
+/**
+ * Report a run with each reporter, to its destination
+ *
+ * A file is written anew for each run. The process' own streams are left open.
+ *
+ * @function
+ * @param stream The run's test events
+ * @param reporters The reporters
+ */
+export const report = async (
+  stream: TestsStream,
+  reporters: readonly LoadedReporter[],
+): Promise<void> => {
+  const files = reporters
+    .map(({ destination }) => destination)
+    .filter((destination) => !isStandardDestination(destination));
+  await Promise.all(
+    files.map((file) => mkdir(dirname(file), { recursive: true })),
+  );
+  // Each reporter reads its own copy of the events, all of which it must be
+  // given before they start to flow
+  const branches = reporters.map(({ create, destination }) => ({
+    copy: stream.pipe(new PassThrough({ objectMode: true })),
+    create,
+    destination,
+  }));
+  stream.once('error', (error: Error) => {
+    for (const { copy } of branches) {
+      copy.destroy(error);
+    }
+  });
+  await Promise.all(
+    branches.map(({ copy, create, destination }) =>
+      isStandardDestination(destination)
+        ? pipeline(copy.compose(create()), process[destination], {
+            end: false,
+          })
+        : pipeline(copy.compose(create()), createWriteStream(destination)),
+    ),
+  );
+};
@@ -0,0 +1,206 @@
+/**
+ * In-process test runner for cenobite
+ *
+ * This module locks down the current process once, then runs every test file in
+ * it, each in a fresh Compartment. All of their `node:test` registrations feed
+ * a single run (and thus a single reporter).
+ */
+
+import { resolve } from 'node:path';
+import { run, type TestsStream } from 'node:test';
+import { type LockdownOptions } from 'ses';
+
+import { initializeSES, runTestFile, type TestRunOptions } from './cli.js';
+import { type FakeTimeOptions } from './clock.js';
+import { toTestFileUrls } from './discover.js';
+import { type HostAccessOptions } from './host-access.js';
+import { type IsolationRecorder } from './isolation-report.js';
+import { registerCenobiteHooks } from './loader-hooks.js';
+import { type NodeTestOptions, toRunOptions } from './node-test-flags.js';
+import { type PolicyRecorder } from './policy-recorder.js';
+import { type CapabilityPolicy } from './policy.js';
+import { importPreLockdownModules, importSetupModules } from './setup.js';
+
+interface InProcessTestOptions {
+  /**
+   * Filled in with the files each test file's Compartments were loaded from, by
+   * test file path
+   */
+  dependencies?: Map<string, Set<string>> | undefined;
+  /** Fake time and seeded randomness for each test file's Compartments */
+  fakeTime?: FakeTimeOptions | undefined;
+  /** Test files to run */
+  files: string[];
+  /** Extra endowments for each test file's Compartment */
+  globals?: Record<string, unknown> | undefined;
+  /** Filesystem roots and builtins each test file's Compartments may use */
+  hostAccess?: HostAccessOptions | undefined;
+  /** Host globals to endow besides the defaults, by name */
+  hostGlobals?: string[] | undefined;
+  /** Records what each test file's Compartments are given, to report it */
+  isolation?: IsolationRecorder | undefined;
+  /** SES lockdown options */
+  lockdownOptions?: LockdownOptions | undefined;
+  /** Module substitutions for each test file's Compartment */
+  modules?: Record<string, unknown> | undefined;
+  /**
+   * What the `node --test` flags given to cenobite ask of `node:test`; those it
+   * reads from the flags of this process must be among them
+   */
+  nodeTestOptions?: NodeTestOptions | undefined;
+  /** Capability policy for the test files' dependencies */
+  policy?: CapabilityPolicy | undefined;
+  /** URLs of modules to import before `lockdown()` */
+  preLockdown?: string[] | undefined;
+  /** Records the capabilities the test files' dependencies use */
+  recorder?: PolicyRecorder | undefined;
+  /**
+   * URLs of modules to import after `lockdown()`, whose named exports are
+   * endowed to each test file's Compartments
+   */
+  setup?: string[] | undefined;
+  /** Seed for shuffling the tests in each test file, if they are shuffled */
+  shuffleSeed?: number | undefined;
+  /** Pattern matching test files */
+  testFilePattern?: RegExp | undefined;
+  /** Enable verbose output */
+  verbose: boolean;
+  /** In-memory `fs` for each test file's Compartments, and what to seed it with */
+  virtualFs?: undefined | { seed?: string | undefined };
+}
+
+/**
+ * Options for each call to `runTestFile` during the current run
+ */
+let testRunOptions: TestRunOptions = {};
+
+/**
+ * Where the current run records what each test file was loaded from, if it does
+ */
+let dependencyGraph: Map<string, Set<string>> | undefined;
+
+/**
+ * Number of runs started in this process, which is locked down by the first
+ */
+let runs = 0;
+
+/**
+ * URLs of the setup modules of the current run
+ */
+let setupModules: string[] = [];
+
+/**
+ * The named exports of the current run's setup modules, once it has imported
+ * them
+ */
+let setupExports: Promise<Record<string, unknown>> | undefined;
+
+/**
+ * Run a single test file in a Compartment with the options of the current run
+ *
+ * The loader hooks substitute each test file's source with a call to this.
+ *
+ * @function
+ * @knipignore
+ */
+export const runTestFileInCompartment = async (
+  testFilePath: string,
+): Promise<unknown> => {
+  // Imported as the run loads its first test file, so that the hooks they
+  // register apply to the whole run; each run imports them again
+  setupExports ??= importSetupModules(setupModules, runs - 1);
+  const options = {
+    ...testRunOptions,
+    globals: { ...(await setupExports), ...testRunOptions.globals },
+  };
+  if (!dependencyGraph) {
+    return runTestFile(testFilePath, options);
+  }
+  // Even if it cannot be read, a change to the test file itself reruns it
+  const path = resolve(testFilePath);
+  const dependencies = new Set([path]);
+  dependencyGraph.set(path, dependencies);
+  return runTestFile(testFilePath, { ...options, dependencies });
+};
+
+/**
+ * Run tests in the current process, one Compartment per test file
+ *
+ * `node:test` imports each file itself; the loader hooks swap the file's source
+ * for a stub which hands it to {@link runTestFileInCompartment}. Tests register
+ * against the same `node:test` instance as this run, since the Compartments'
+ * import hook resolves builtins from the host.
+ *
+ * The process is locked down by the first run; later runs (in watch mode) load
+ * the test files into fresh Compartments again.
+ */
+export const runTestsInProcess = async (
+  options: InProcessTestOptions,
+): Promise<TestsStream> => {
+  const {
+    dependencies,
+    fakeTime,
+    files,
+    globals,
+    hostAccess,
+    hostGlobals,
+    isolation,
+    lockdownOptions,
+    modules,
+    nodeTestOptions = {},
+    policy,
+    preLockdown = [],
+    recorder,
+    setup = [],
+    shuffleSeed,
+    testFilePattern,
+    verbose,
+    virtualFs,
+  } = options;
+
+  // The hooks are configured first, so that they only take the test files
+  // for test files, and not a module imported before lockdown
+  const earlierRuns = runs++;
+  registerCenobiteHooks({
+    debug: verbose,
+    inProcess: true,
+    run: earlierRuns,
+    ...(testFilePattern && { testFilePattern }),
+    // Known by their real paths too, or a test file reached through a symlink
+    // would run in the host rather than in Compartments
+    testFiles: toTestFileUrls(files),
+  });
+
+  if (!earlierRuns) {
+    await importPreLockdownModules(preLockdown);
+    initializeSES(lockdownOptions);
+  }
+
+  dependencyGraph = dependencies;
+  setupModules = setup;
+  setupExports = undefined;
+  testRunOptions = {
+    verbose,
+    ...(fakeTime && { fakeTime }),
+    ...(globals && { globals }),
+    ...(hostAccess && { hostAccess }),
+    ...(hostGlobals && { hostGlobals }),
+    ...(isolation && { isolation }),
+    ...(modules && { modules }),
+    ...(policy && { policy }),
+    ...(recorder && { recorder }),
+    ...(shuffleSeed !== undefined && { shuffleSeed }),
+    ...(virtualFs && { virtualFs }),
+  };
+
+  if (verbose) {
+    console.log('[cenobite] Running tests in-process');
+    console.log('[cenobite] Files:', files);
+  }
+
+  return run({
+    ...toRunOptions(nodeTestOptions, 'none'),
+    files,
+    isolation: 'none',
+  });
+};
@@ -0,0 +1,103 @@
+/**
+ * Modules run around lockdown
+ *
+ * `lockdown()` freezes the intrinsics, so shims and polyfills which change them
+ * must run first: pre-lockdown modules (`--pre-lockdown`) are imported after
+ * `ses`, but before `lockdown()`. Setup modules (`--setup`) are imported after
+ * it, to register fixtures and `node:test` hooks; with `--isolate`, their named
+ * exports are also endowed to each test file's Compartments.
+ *
+ * Lockdown still removes whatever SES does not recognize from the intrinsics,
+ * so a pre-lockdown module may add globals, and standard features this version
+ * of Node lacks, but not methods of its own to the built-in prototypes.
+ */
+
+import { createRequire } from 'node:module';
+import { isAbsolute, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const { entries } = Object;
+
+/**
+ * A specifier which is a path rather than a package name
+ */
+const PATH_SPECIFIER = /^\.\.?(?:[/\\]|$)/;
+
+/**
+ * Resolve the specifier of a pre-lockdown or setup module to its URL, as Node's
+ * `--import` would: a path relative to `dir`, or a package (or a module of one)
+ * found from `dir`
+ *
+ * @function
+ * @param specifier Path or package specifier
+ * @param dir Directory relative to which it is resolved
+ * @throws If a package cannot be found
+ */
+export const resolveModuleSpecifier = (
+  specifier: string,
+  dir: string,
+): string =>
+  pathToFileURL(
+    isAbsolute(specifier) || PATH_SPECIFIER.test(specifier)
+      ? resolve(dir, specifier)
+      : createRequire(join(dir, 'noop.js')).resolve(specifier),
+  ).href;
+
+/**
+ * Import a module, saying which kind it is if it fails
+ *
+ * @function
+ */
+const importModule = async (kind: string, url: string): Promise<object> => {
+  try {
+    return (await import(url)) as object;
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Failed to import ${kind} module '${url}': ${message}`, {
+      cause: error,
+    });
+  }
+};
+
+/**
+ * Import the pre-lockdown modules, one after another
+ *
+ * @function
+ * @param urls URLs of the modules, in order
+ */
+export const importPreLockdownModules = async (
+  urls: readonly string[],
+): Promise<void> => {
+  for (const url of urls) {
+    await importModule('pre-lockdown', url);
+  }
+};
+
+/**
+ * Import the setup modules, one after another
+ *
+ * @function
+ * @param urls URLs of the modules, in order
+ * @param run Number of earlier runs in this process; from the second run on,
+ *   the modules are imported under a fresh URL, so they run again
+ * @returns The named exports of all of them; a later module's exports replace
+ *   an earlier one's of the same name
+ */
+export const importSetupModules = async (
+  urls: readonly string[],
+  run = 0,
+): Promise<Record<string, unknown>> => {
+  const exports: Record<string, unknown> = {};
+  for (const url of urls) {
+    const namespace = await importModule(
+      'setup',
+      run ? `${url}?cenobite-run=${run}` : url,
+    );
+    for (const [name, value] of entries(namespace)) {
+      if (name !== 'default') {
+        exports[name] = value;
+      }
+    }
+  }
+  return exports;
+};
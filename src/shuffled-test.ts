@@ -0,0 +1,90 @@
+/**
+ * `node:test`, with tests registered in shuffled order
+ *
+ * With `--randomize=tests`, test files get this module whenever they import
+ * `node:test`. It is `node:test` itself, except that `describe()`/`test()` (and
+ * their aliases and modifiers) defer registration to {@link deferRegistration},
+ * and suites shuffle the tests they declare. Subtests created with `t.test()`
+ * run in order.
+ */
+
+import * as nodeTest from 'node:test';
+
+import { deferRegistration, shuffleChildren } from './random.js';
+
+export {
+  after,
+  afterEach,
+  assert,
+  before,
+  beforeEach,
+  mock,
+  run,
+  snapshot,
+} from 'node:test';
+
+const { assign } = Object;
+
+type Register = (...args: never[]) => unknown;
+
+/**
+ * Defer a function which registers a test
+ *
+ * @function
+ */
+const deferTest = <T extends Register>(register: T): T =>
+  ((...args: Parameters<T>) =>
+    deferRegistration(() => register(...args))) as unknown as T;
+
+/**
+ * Defer a function which registers a suite, and shuffle the suite's tests
+ *
+ * @function
+ */
+const deferSuite = <T extends Register>(register: T): T =>
+  ((...args: Parameters<T>) =>
+    deferRegistration(() =>
+      register(
+        ...(args.map((arg) =>
+          typeof arg === 'function'
+            ? shuffleChildren(arg as (...args: never[]) => unknown)
+            : arg,
+        ) as Parameters<T>),
+      ),
+    )) as unknown as T;
+
+/**
+ * Defer a registering function and its `only`, `skip` and `todo` modifiers
+ *
+ * @function
+ */
+const deferWithModifiers = <
+  T extends Register & { only: Register; skip: Register; todo: Register },
+>(
+  register: T,
+  defer: <R extends Register>(fn: R) => R,
+): T =>
+  assign(defer(register), {
+    only: defer(register.only),
+    skip: defer(register.skip),
+    todo: defer(register.todo),
+  });
+
+const describe = deferWithModifiers(nodeTest.describe, deferSuite);
+const suite = deferWithModifiers(nodeTest.suite, deferSuite);
+const test = deferWithModifiers(nodeTest.test, deferTest);
+
+// `test` doubles as `node:test`'s default export, carrying the whole API
+assign(test, nodeTest.test, {
+  describe,
+  it: test,
+  only: test.only,
+  skip: test.skip,
+  suite,
+  test,
+  todo: test.todo,
+});
+
+const { only, skip, todo } = test;
+
+export { test as default, describe, test as it, only, skip, suite, test, todo };
@@ -0,0 +1,266 @@
+/**
+ * Source maps for test files wrapped by the loader hooks
+ *
+ * The SES wrapper puts its imports and `lockdown()` call ahead of a test file's
+ * source, so without a map, every position V8 reports in it—in stack traces,
+ * the locations of failing tests, and coverage—would be off by as many lines.
+ * The wrapped module carries an inline map giving each token its position in
+ * the test file, or, if the source came with a map of its own (e.g. from a
+ * TypeScript loader), the position that map gives it.
+ *
+ * V8 reports those positions to `Error.prepareStackTrace` if one is set, which
+ * `lockdown()` does, so Node no longer maps stack traces itself; the wrapper
+ * therefore replaces SES' with one which does.
+ */
+
+import { readFileSync } from 'node:fs';
+import { findSourceMap, SourceMap, type SourceMapPayload } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+const { parse, stringify } = JSON;
+
+/**
+ * Digits of Base64 VLQs
+ */
+const BASE64 =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * A source map comment; the last one in a module is its map
+ */
+const SOURCE_MAPPING_URL =
+  /^[ \t]*\/\/[#@][ \t]+sourceMappingURL=(\S+)[ \t]*$/gm;
+
+/**
+ * Where a mapping starts: each identifier, number or keyword, and each other
+ * character which is not whitespace
+ *
+ * V8 maps a position to the mapping at or before it, without adding the
+ * distance between them, so a position is only exact at the start of a mapping.
+ * Every position V8 reports (a call, a `throw`, the start of a statement)
+ * starts a token.
+ */
+const TOKEN = /[\w$]+|\S/g;
+
+/**
+ * A V8 call site, which formats itself as a line of a stack trace does
+ */
+interface CallSite extends NodeJS.CallSite {
+  toString: () => string;
+}
+
+/**
+ * A source's own source map, and the URL its sources are relative to
+ */
+interface InputSourceMap {
+  base: string;
+  map: SourceMap;
+}
+
+/**
+ * Code to put around a test file's source
+ */
+interface Wrapper {
+  /** Code ahead of the source, ending with a newline */
+  header: string;
+  /** Code after the source */
+  trailer: string;
+}
+
+/**
+ * Encode a number as a Base64 VLQ
+ *
+ * @function
+ */
+const encodeVlq = (value: number): string => {
+  let vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = vlq & 31;
+    vlq >>>= 5;
+    if (vlq > 0) {
+      digit |= 32;
+    }
+    encoded += BASE64[digit];
+  } while (vlq > 0);
+  return encoded;
+};
+
+/**
+ * Read the source map a source refers to, inline or in a file next to it
+ *
+ * Like Node, a map which cannot be read or parsed is ignored.
+ *
+ * @function
+ */
+const readInputSourceMap = (
+  source: string,
+  url: string,
+): InputSourceMap | undefined => {
+  const mapUrl = [...source.matchAll(SOURCE_MAPPING_URL)].at(-1)?.[1];
+  if (!mapUrl) {
+    return undefined;
+  }
+  try {
+    if (mapUrl.startsWith('data:')) {
+      const comma = mapUrl.indexOf(',');
+      const data = mapUrl.slice(comma + 1);
+      const json = mapUrl.slice(0, comma).endsWith(';base64')
+        ? Buffer.from(data, 'base64').toString('utf8')
+        : decodeURIComponent(data);
+      return { base: url, map: new SourceMap(parse(json) as SourceMapPayload) };
+    }
+    const base = new URL(mapUrl, url);
+    const payload = parse(readFileSync(base, 'utf8')) as SourceMapPayload;
+    return { base: base.href, map: new SourceMap(payload) };
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Wrap a test file's source, adding an inline source map which maps the wrapped
+ * module back to the test file, through the source's own map if it has one
+ *
+ * @function
+ * @param source The test file's source, as loaded
+ * @param url URL of the test file
+ * @param wrapper Code to put ahead of and after the source
+ * @returns The wrapped module's source
+ */
+export const wrapWithSourceMap = (
+  source: string,
+  url: string,
+  { header, trailer }: Wrapper,
+): string => {
+  const input = readInputSourceMap(source, url);
+  // The source's own map comment would otherwise compete with ours
+  const body = source.replace(SOURCE_MAPPING_URL, '');
+
+  const sources: string[] = [];
+  const sourcesContent: (null | string)[] = [];
+  const indexes = new Map<string, number>();
+  const indexOf = (original: string): number => {
+    let index = indexes.get(original);
+    if (index === undefined) {
+      index = sources.length;
+      indexes.set(original, index);
+      if (input) {
+        const { sourceRoot, sources: inputSources } = input.map.payload;
+        const content =
+          input.map.payload.sourcesContent?.[inputSources.indexOf(original)];
+        sources.push(
+          new URL(
+            sourceRoot
+              ? `${sourceRoot.replace(/\/?$/, '/')}${original}`
+              : original,
+            input.base,
+          ).href,
+        );
+        sourcesContent.push(content ?? null);
+      } else {
+        sources.push(url);
+        sourcesContent.push(body);
+      }
+    }
+    return index;
+  };
+
+  // Segments are relative to the previous one, columns only within a line
+  let previousSource = 0;
+  let previousLine = 0;
+  let previousColumn = 0;
+  const lines = body.split('\n').map((text, line) => {
+    const segments: string[] = [];
+    let previousGenerated = 0;
+    for (const { index: column } of text.matchAll(TOKEN)) {
+      let original: { column: number; line: number; source: string };
+      if (input) {
+        const entry = input.map.findEntry(line, column);
+        // Tokens the source's map leaves out stay unmapped
+        if (!('originalSource' in entry) || entry.generatedLine !== line) {
+          continue;
+        }
+        original = {
+          column: entry.originalColumn,
+          line: entry.originalLine,
+          source: entry.originalSource,
+        };
+      } else {
+        original = { column, line, source: url };
+      }
+      const sourceIndex = indexOf(original.source);
+      segments.push(
+        encodeVlq(column - previousGenerated) +
+          encodeVlq(sourceIndex - previousSource) +
+          encodeVlq(original.line - previousLine) +
+          encodeVlq(original.column - previousColumn),
+      );
+      previousGenerated = column;
+      previousSource = sourceIndex;
+      previousLine = original.line;
+      previousColumn = original.column;
+    }
+    return segments.join(',');
+  });
+
+  const headerLines = header.split('\n').length - 1;
+  const map = {
+    mappings: [...Array<string>(headerLines).fill(''), ...lines].join(';'),
+    names: [],
+    sources,
+    sourcesContent,
+    version: 3,
+  };
+  return `${header}${body}${trailer}
+//# sourceMappingURL=data:application/json;base64,${Buffer.from(stringify(map)).toString('base64')}
+`;
+};
+
+/**
+ * Format a call site as V8 does, at its position in the original source if it
+ * has a source map
+ *
+ * @function
+ */
+const formatCallSite = (site: CallSite): string => {
+  const frame = site.toString();
+  const file = site.getFileName();
+  const line = site.getLineNumber();
+  const column = site.getColumnNumber();
+  if (!file || line === null || column === null) {
+    return frame;
+  }
+  const entry = findSourceMap(file)?.findEntry(line - 1, column - 1);
+  if (!entry || !('originalSource' in entry)) {
+    return frame;
+  }
+  const { originalColumn, originalLine, originalSource } = entry;
+  const path = originalSource.startsWith('file://')
+    ? fileURLToPath(originalSource)
+    : originalSource;
+  return frame.replace(
+    `${file}:${line}:${column}`,
+    `${path}:${originalLine + 1}:${originalColumn + 1}`,
+  );
+};
+
+/**
+ * Map stack traces through source maps, as Node does with
+ * `--enable-source-maps`, once `lockdown()` has taken that over
+ *
+ * SES passes the call sites of each stack trace to a function assigned to
+ * `Error.prepareStackTrace`. The SES wrapper's prelude calls this.
+ *
+ * @function
+ * @knipignore
+ */
+export const mapStackTraces = (): void => {
+  if (!process.sourceMapsEnabled) {
+    return;
+  }
+  Error.prepareStackTrace = (error: Error, callSites: CallSite[]) =>
+    `${Error.prototype.toString.call(error)}${callSites
+      .map((site) => `\n    at ${formatCallSite(site)}`)
+      .join('')}`;
+};
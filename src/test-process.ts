@@ -0,0 +1,43 @@
+/**
+ * Entry point of the child process spawned by `runTestsWithLoaderHooks()`
+ *
+ * `node --test` sorts the test files it is given, so the child runs them with
+ * `node:test`'s `run()` instead, which keeps them in the order the parent chose
+ * (e.g. shuffled by `--randomize`). Events are written for the parent by
+ * `event-reporter.js`.
+ */
+
+import { run, type RunOptions } from 'node:test';
+
+import eventReporter from './event-reporter.js';
+
+const { parse } = JSON;
+
+/**
+ * Options passed by the parent as JSON, in the first argument
+ */
+export interface TestProcessOptions {
+  /** Test files, in the order to run them */
+  files: string[];
+  /**
+   * Run each test file in a process of its own (`process`), or all of them in
+   * this one (`none`)
+   */
+  isolation: 'none' | 'process';
+  /** Options for `run()` from the `node --test` flags given to cenobite */
+  runOptions?: RunOptions;
+}
+
+const { files, isolation, runOptions } = parse(
+  process.argv[2] ?? '{}',
+) as TestProcessOptions;
+
+// Like `node --test`, run as many test files at once as there are spare CPUs
+run({
+  concurrency: isolation === 'process',
+  ...runOptions,
+  files,
+  isolation,
+})
+  .compose(eventReporter)
+  .pipe(process.stdout);
@@ -0,0 +1,73 @@
+/**
+ * TypeScript modules in Compartments
+ *
+ * Node runs TypeScript by stripping its types, which leaves every other
+ * character where it was. compartment-mapper only parses JavaScript, so
+ * TypeScript modules are stripped the same way as they are read, and given the
+ * language Node gives them: `.mts` is always ESM, `.cts` always CommonJS, and
+ * `.ts` whatever the `type` of its package says. Like Node, only modules
+ * outside `node_modules` are stripped; one inside is refused.
+ *
+ * `stripTypeScriptTypes()` is looked up rather than imported, since older
+ * versions of Node which cenobite supports lack it, and only called for
+ * TypeScript, since it warns that it is experimental.
+ */
+
+import * as nodeModule from 'node:module';
+
+const { freeze } = Object;
+
+const { stripTypeScriptTypes } = nodeModule as Partial<typeof nodeModule>;
+
+/**
+ * Extensions of TypeScript modules
+ */
+const TYPESCRIPT_EXTENSION = /\.[cm]?ts$/;
+
+/**
+ * `mapNodeModules()` options mapping TypeScript extensions to the language of
+ * the JavaScript they are stripped to
+ */
+export const typeScriptLanguages = freeze({
+  workspaceCommonjsLanguageForExtension: freeze({ ts: 'cjs' }),
+  workspaceLanguageForExtension: freeze({ cts: 'cjs', mts: 'mjs' }),
+  workspaceModuleLanguageForExtension: freeze({ ts: 'mjs' }),
+});
+
+/**
+ * Strip the types from a module if it is TypeScript
+ *
+ * @function
+ * @param location URL of the module
+ * @param bytes The module's source, as read
+ * @returns The source, without types
+ * @throws If the module is in `node_modules`, if this version of Node cannot
+ *   strip types, or if the module uses TypeScript which Node cannot strip, e.g.
+ *   `enum`
+ */
+export const stripTypes = (location: string, bytes: Uint8Array): Uint8Array => {
+  const { pathname } = new URL(location);
+  if (!TYPESCRIPT_EXTENSION.test(pathname)) {
+    return bytes;
+  }
+  if (pathname.split('/').includes('node_modules')) {
+    throw new Error(
+      `Stripping types is unsupported for '${location}', under node_modules`,
+    );
+  }
+  if (!stripTypeScriptTypes) {
+    throw new Error(
+      `Cannot strip types from '${location}': Node ${process.version} cannot strip types; use Node 22.13 or later`,
+    );
+  }
+  try {
+    return Buffer.from(
+      stripTypeScriptTypes(Buffer.from(bytes).toString('utf8')),
+    );
+  } catch (error: unknown) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Failed to strip types from '${location}': ${message}`, {
+      cause: error,
+    });
+  }
+};
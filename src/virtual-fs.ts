@@ -0,0 +1,585 @@
+/**
+ * In-memory filesystem for `--virtual-fs`
+ *
+ * Each test file run with `--isolate` and `--virtual-fs` gets a fresh volume,
+ * substituted for `node:fs` and `node:fs/promises` in its Compartments. Files
+ * it writes never reach the disk, so test files cannot collide, and nothing
+ * needs cleaning up. Cenobite itself keeps loading modules from the real disk.
+ *
+ * A volume starts with the working directory and the OS temporary directory,
+ * plus, if seeded, a copy of a directory from the real disk at the same path.
+ */
+
+import * as realFs from 'node:fs';
+import { tmpdir } from 'node:os';
+import { basename, dirname, join, resolve, sep } from 'node:path';
+import { Readable, Writable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
+
+const { assign, entries, freeze, fromEntries, keys } = Object;
+const { ceil, random } = Math;
+const { now } = Date;
+
+/**
+ * A directory in a volume
+ */
+interface Dir {
+  entries: Map<string, Node>;
+  kind: 'dir';
+  mode: number;
+  mtime: number;
+}
+
+/**
+ * A file in a volume
+ */
+interface File {
+  data: Buffer;
+  kind: 'file';
+  mode: number;
+  mtime: number;
+}
+
+/**
+ * A file or directory in a volume
+ */
+type Node = Dir | File;
+
+/**
+ * Read a directory from disk, recursively; directories map to `null`
+ *
+ * It is read again for each volume, so that a test file rerun in watch mode
+ * sees what changed in it.
+ *
+ * @function
+ */
+const readSeed = (dir: string): Map<string, Buffer | null> => {
+  const seed = new Map<string, Buffer | null>([[dir, null]]);
+  for (const entry of realFs.readdirSync(dir, {
+    recursive: true,
+    withFileTypes: true,
+  })) {
+    const path = join(entry.parentPath, entry.name);
+    if (entry.isDirectory()) {
+      seed.set(path, null);
+    } else if (entry.isFile()) {
+      seed.set(path, realFs.readFileSync(path));
+    }
+  }
+  return seed;
+};
+
+/**
+ * Create an error like those thrown by `node:fs`
+ *
+ * @function
+ */
+const fsError = (
+  code: string,
+  description: string,
+  syscall: string,
+  path: string,
+): Error =>
+  assign(new Error(`${code}: ${description}, ${syscall} '${path}'`), {
+    code,
+    path,
+    syscall,
+  });
+
+/**
+ * Resolve a path argument, which may be a string, `Buffer` or file URL
+ *
+ * @function
+ */
+const toPath = (value: unknown): string => {
+  if (value instanceof URL) {
+    return fileURLToPath(value);
+  }
+  if (value instanceof Uint8Array) {
+    return resolve(Buffer.from(value).toString());
+  }
+  if (typeof value === 'string') {
+    return resolve(value);
+  }
+  throw new TypeError(
+    'The "path" argument must be a string, Buffer or URL; --virtual-fs does not support file descriptors',
+  );
+};
+
+/**
+ * Get the encoding from an `fs` options argument
+ *
+ * @function
+ */
+const encodingOf = (options: unknown): BufferEncoding | undefined =>
+  typeof options === 'string'
+    ? (options as BufferEncoding)
+    : ((options as undefined | { encoding?: BufferEncoding })?.encoding ??
+      undefined);
+
+/**
+ * Get the `flag` from an `fs` options argument
+ *
+ * @function
+ */
+const flagOf = (options: unknown, fallback: string): string =>
+  (typeof options === 'object' &&
+    (options as null | { flag?: string })?.flag) ||
+  fallback;
+
+/**
+ * Convert data being written to a `Buffer`
+ *
+ * @function
+ */
+const toBuffer = (data: unknown, options: unknown): Buffer =>
+  typeof data === 'string'
+    ? Buffer.from(data, encodingOf(options) ?? 'utf8')
+    : Buffer.from(data as Uint8Array);
+
+/**
+ * Describe a node like `fs.Stats`
+ *
+ * @function
+ */
+const toStats = (node: Node) => {
+  const isDir = node.kind === 'dir';
+  const time = new Date(node.mtime);
+  return {
+    atime: time,
+    atimeMs: node.mtime,
+    birthtime: time,
+    birthtimeMs: node.mtime,
+    blksize: 4096,
+    blocks: isDir ? 0 : ceil(node.data.length / 512),
+    ctime: time,
+    ctimeMs: node.mtime,
+    dev: 0,
+    gid: 0,
+    ino: 0,
+    isBlockDevice: () => false,
+    isCharacterDevice: () => false,
+    isDirectory: () => isDir,
+    isFIFO: () => false,
+    isFile: () => !isDir,
+    isSocket: () => false,
+    isSymbolicLink: () => false,
+    mode: node.mode | (isDir ? 0o40000 : 0o100000),
+    mtime: time,
+    mtimeMs: node.mtime,
+    nlink: 1,
+    rdev: 0,
+    size: isDir ? 0 : node.data.length,
+    uid: 0,
+  };
+};
+
+/**
+ * Create a fresh in-memory volume, and `fs` and `fs/promises` backed by it
+ *
+ * Functions which take paths are supported; those which need file descriptors,
+ * links or watching throw. Callback and promise variants behave like their
+ * synchronous counterparts.
+ *
+ * @function
+ * @param seed Directory on disk to copy into the volume, at the same path
+ * @returns Stand-ins for the `node:fs` and `node:fs/promises` namespaces
+ */
+export const createVirtualFs = (
+  seed?: string,
+): { fs: Record<string, unknown>; promises: Record<string, unknown> } => {
+  const root: Dir = {
+    entries: new Map(),
+    kind: 'dir',
+    mode: 0o755,
+    mtime: now(),
+  };
+
+  const segments = (path: string) => path.split(sep).filter(Boolean);
+
+  const lookup = (path: string): Node | undefined => {
+    let node: Node | undefined = root;
+    for (const name of segments(path)) {
+      node = node?.kind === 'dir' ? node.entries.get(name) : undefined;
+    }
+    return node;
+  };
+
+  const getNode = (path: string, syscall: string): Node => {
+    const node = lookup(path);
+    if (!node) {
+      throw fsError('ENOENT', 'no such file or directory', syscall, path);
+    }
+    return node;
+  };
+
+  const getParent = (path: string, syscall: string) => {
+    const parent = lookup(dirname(path));
+    if (!parent) {
+      throw fsError('ENOENT', 'no such file or directory', syscall, path);
+    }
+    if (parent.kind !== 'dir') {
+      throw fsError('ENOTDIR', 'not a directory', syscall, path);
+    }
+    return parent;
+  };
+
+  const getDir = (path: string, syscall: string) => {
+    const node = getNode(path, syscall);
+    if (node.kind !== 'dir') {
+      throw fsError('ENOTDIR', 'not a directory', syscall, path);
+    }
+    return node;
+  };
+
+  const getFile = (path: string, syscall: string) => {
+    const node = getNode(path, syscall);
+    if (node.kind !== 'file') {
+      throw fsError(
+        'EISDIR',
+        'illegal operation on a directory',
+        syscall,
+        path,
+      );
+    }
+    return node;
+  };
+
+  const makeDirs = (path: string): string | undefined => {
+    let first: string | undefined;
+    let node: Dir = root;
+    let current: string = sep;
+    for (const name of segments(path)) {
+      current = join(current, name);
+      let next = node.entries.get(name);
+      if (!next) {
+        next = { entries: new Map(), kind: 'dir', mode: 0o755, mtime: now() };
+        node.entries.set(name, next);
+        first ??= current;
+      } else if (next.kind !== 'dir') {
+        throw fsError('ENOTDIR', 'not a directory', 'mkdir', path);
+      }
+      node = next;
+    }
+    return first;
+  };
+
+  const writeFile = (
+    path: string,
+    data: Buffer,
+    flag: string,
+    syscall = 'open',
+  ) => {
+    const parent = getParent(path, syscall);
+    const existing = parent.entries.get(basename(path));
+    if (existing && flag.includes('x')) {
+      throw fsError('EEXIST', 'file already exists', syscall, path);
+    }
+    if (existing?.kind === 'dir') {
+      throw fsError(
+        'EISDIR',
+        'illegal operation on a directory',
+        syscall,
+        path,
+      );
+    }
+    parent.entries.set(basename(path), {
+      data:
+        existing && flag.startsWith('a')
+          ? Buffer.concat([existing.data, data])
+          : data,
+      kind: 'file',
+      mode: existing?.mode ?? 0o644,
+      mtime: now(),
+    });
+  };
+
+  const remove = (
+    path: string,
+    { force = false, recursive = false } = {},
+    syscall = 'rm',
+  ) => {
+    const node = lookup(path);
+    if (!node) {
+      if (force) {
+        return;
+      }
+      throw fsError('ENOENT', 'no such file or directory', syscall, path);
+    }
+    if (node.kind === 'dir' && !recursive && node.entries.size) {
+      throw fsError('ENOTEMPTY', 'directory not empty', syscall, path);
+    }
+    getParent(path, syscall).entries.delete(basename(path));
+  };
+
+  const dirent = (parentPath: string, name: string, node: Node) => ({
+    isBlockDevice: () => false,
+    isCharacterDevice: () => false,
+    isDirectory: () => node.kind === 'dir',
+    isFIFO: () => false,
+    isFile: () => node.kind === 'file',
+    isSocket: () => false,
+    isSymbolicLink: () => false,
+    name,
+    parentPath,
+    path: parentPath,
+  });
+
+  const existsSync = (path: unknown) => {
+    try {
+      return !!lookup(toPath(path));
+    } catch {
+      return false;
+    }
+  };
+
+  const mkdirSync = (path: unknown, options?: unknown) => {
+    const target = toPath(path);
+    const recursive =
+      typeof options === 'object' &&
+      !!(options as null | { recursive?: boolean })?.recursive;
+    if (recursive) {
+      return makeDirs(target);
+    }
+    const parent = getParent(target, 'mkdir');
+    if (parent.entries.has(basename(target))) {
+      throw fsError('EEXIST', 'file already exists', 'mkdir', target);
+    }
+    parent.entries.set(basename(target), {
+      entries: new Map(),
+      kind: 'dir',
+      mode: 0o755,
+      mtime: now(),
+    });
+    return undefined;
+  };
+
+  const readFileSync = (path: unknown, options?: unknown) => {
+    const { data } = getFile(toPath(path), 'open');
+    const encoding = encodingOf(options);
+    return encoding ? data.toString(encoding) : Buffer.from(data);
+  };
+
+  const statSync = (path: unknown, options?: { throwIfNoEntry?: boolean }) => {
+    const target = toPath(path);
+    const node = lookup(target);
+    if (!node && options?.throwIfNoEntry === false) {
+      return undefined;
+    }
+    return toStats(node ?? getNode(target, 'stat'));
+  };
+
+  // The synchronous API; the rest is built on it
+  const sync: Record<string, (...args: never[]) => unknown> = {
+    accessSync: (path: unknown) => {
+      getNode(toPath(path), 'access');
+    },
+    appendFileSync: (path: unknown, data: unknown, options?: unknown) => {
+      writeFile(toPath(path), toBuffer(data, options), flagOf(options, 'a'));
+    },
+    copyFileSync: (src: unknown, dest: unknown, mode?: number) => {
+      const from = getFile(toPath(src), 'copyfile');
+      const to = toPath(dest);
+      writeFile(
+        to,
+        Buffer.from(from.data),
+        mode && mode & realFs.constants.COPYFILE_EXCL ? 'wx' : 'w',
+        'copyfile',
+      );
+    },
+    existsSync,
+    lstatSync: (path: unknown, options?: { throwIfNoEntry?: boolean }) =>
+      statSync(path, options),
+    mkdirSync,
+    mkdtempSync: (prefix: unknown) => {
+      for (;;) {
+        const path = `${toPath(prefix)}${random().toString(36).slice(2, 8)}`;
+        if (!lookup(path)) {
+          mkdirSync(path);
+          return path;
+        }
+      }
+    },
+    readdirSync: (path: unknown, options?: unknown) => {
+      const target = toPath(path);
+      const { withFileTypes = false } =
+        typeof options === 'object'
+          ? ((options as null | { withFileTypes?: boolean }) ?? {})
+          : {};
+      const names = [...getDir(target, 'scandir').entries].sort(([a], [b]) =>
+        a < b ? -1 : a > b ? 1 : 0,
+      );
+      return names.map(([name, node]) =>
+        withFileTypes ? dirent(target, name, node) : name,
+      );
+    },
+    readFileSync,
+    realpathSync: (path: unknown) => {
+      const target = toPath(path);
+      getNode(target, 'realpath');
+      return target;
+    },
+    renameSync: (oldPath: unknown, newPath: unknown) => {
+      const from = toPath(oldPath);
+      const to = toPath(newPath);
+      const node = getNode(from, 'rename');
+      const parent = getParent(to, 'rename');
+      getParent(from, 'rename').entries.delete(basename(from));
+      parent.entries.set(basename(to), node);
+    },
+    rmdirSync: (path: unknown, options?: { recursive?: boolean }) => {
+      const target = toPath(path);
+      getDir(target, 'rmdir');
+      remove(target, { recursive: options?.recursive ?? false }, 'rmdir');
+    },
+    rmSync: (
+      path: unknown,
+      options?: { force?: boolean; recursive?: boolean },
+    ) => {
+      const target = toPath(path);
+      const node = lookup(target);
+      if (node?.kind === 'dir' && !options?.recursive) {
+        throw assign(
+          new Error(
+            `Path is a directory: rm returned EISDIR (is a directory) ${target}`,
+          ),
+          { code: 'ERR_FS_EISDIR' },
+        );
+      }
+      remove(target, options);
+    },
+    statSync,
+    truncateSync: (path: unknown, length = 0) => {
+      const file = getFile(toPath(path), 'open');
+      const data = Buffer.alloc(length);
+      file.data.copy(data, 0, 0, length);
+      file.data = data;
+      file.mtime = now();
+    },
+    unlinkSync: (path: unknown) => {
+      const target = toPath(path);
+      getFile(target, 'unlink');
+      remove(target, {}, 'unlink');
+    },
+    writeFileSync: (path: unknown, data: unknown, options?: unknown) => {
+      writeFile(toPath(path), toBuffer(data, options), flagOf(options, 'w'));
+    },
+  };
+
+  const unsupported = (name: string) => () => {
+    throw assign(new Error(`fs.${name}() is not supported by --virtual-fs`), {
+      code: 'ERR_METHOD_NOT_IMPLEMENTED',
+    });
+  };
+
+  // Callbacks are called asynchronously, as with `node:fs`
+  const toCallback =
+    (fn: (...args: unknown[]) => unknown) =>
+    (...args: unknown[]) => {
+      const callback = args.pop() as (
+        error: Error | null,
+        result?: unknown,
+      ) => void;
+      if (typeof callback !== 'function') {
+        throw new TypeError('The "cb" argument must be of type function');
+      }
+      let result: unknown;
+      try {
+        result = fn(...args);
+      } catch (error: unknown) {
+        process.nextTick(callback, error);
+        return;
+      }
+      process.nextTick(callback, null, result);
+    };
+
+  const toPromise =
+    (fn: (...args: unknown[]) => unknown) =>
+    async (...args: unknown[]) =>
+      fn(...args);
+
+  const createReadStream = (path: unknown, options?: unknown) =>
+    Readable.from([readFileSync(path, options)], {
+      objectMode: false,
+    });
+
+  const createWriteStream = (path: unknown, options?: unknown) => {
+    const target = toPath(path);
+    writeFile(target, Buffer.alloc(0), flagOf(options, 'w'));
+    return new Writable({
+      write: (chunk: Buffer, _encoding, callback) => {
+        try {
+          writeFile(target, chunk, 'a');
+          callback();
+        } catch (error: unknown) {
+          callback(error as Error);
+        }
+      },
+    });
+  };
+
+  const fs: Record<string, unknown> = fromEntries(
+    keys(realFs)
+      .filter((key) => key !== 'default')
+      .map((key) => {
+        const value = (realFs as Record<string, unknown>)[key];
+        if (/Stream$/.test(key)) {
+          return [key, unsupported(key)];
+        }
+        if (typeof value !== 'function' || /^[A-Z]/.test(key)) {
+          // Constants, and classes which never touch the disk themselves
+          return [key, value];
+        }
+        if (sync[key]) {
+          return [key, sync[key]];
+        }
+        const syncFn = sync[`${key}Sync`];
+        if (key === 'exists') {
+          return [
+            key,
+            (path: unknown, callback: (exists: boolean) => void) => {
+              const exists = existsSync(path);
+              process.nextTick(callback, exists);
+            },
+          ];
+        }
+        return [
+          key,
+          syncFn
+            ? toCallback(syncFn as (...args: unknown[]) => unknown)
+            : unsupported(key),
+        ];
+      }),
+  );
+  const promises: Record<string, unknown> = fromEntries(
+    entries(realFs.promises as Record<string, unknown>).map(([key, value]) => {
+      const syncFn = sync[`${key}Sync`];
+      if (typeof value !== 'function') {
+        return [key, value];
+      }
+      return [
+        key,
+        syncFn
+          ? toPromise(syncFn as (...args: unknown[]) => unknown)
+          : unsupported(`promises.${key}`),
+      ];
+    }),
+  );
+  assign(fs, { createReadStream, createWriteStream, promises });
+
+  makeDirs(process.cwd());
+  makeDirs(tmpdir());
+  if (seed) {
+    const seedDir = resolve(seed);
+    for (const [path, data] of readSeed(seedDir)) {
+      if (data) {
+        makeDirs(dirname(path));
+        writeFile(path, Buffer.from(data), 'w');
+      } else {
+        makeDirs(path);
+      }
+    }
+  }
+
+  return { fs: freeze(fs), promises: freeze(promises) };
+};
@@ -0,0 +1,202 @@
+/**
+ * Watch mode for `--watch`
+ *
+ * One locked-down process runs the test files with `--isolate`, then keeps
+ * running. Every file compartment-mapper reads to load a test file—its modules,
+ * those of its dependencies, and the `package.json` of each package—is noted,
+ * so when one of them changes, only the test files which were loaded from it
+ * run again. Each rerun loads them into fresh Compartments, reading their
+ * sources from disk, so neither the process nor Node's module cache needs to be
+ * reset.
+ */
+
+import { type FSWatcher, watch } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+
+/**
+ * How long to wait for more changes before rerunning, in milliseconds
+ */
+const DEBOUNCE_MS = 100;
+
+/**
+ * Options for {@link watchTests}
+ */
+interface WatchOptions {
+  /** Test files to run first, in order */
+  files: string[];
+  /**
+   * Run test files and report their results, filling in the files each one was
+   * loaded from
+   */
+  runFiles: (
+    files: string[],
+    dependencies: Map<string, Set<string>>,
+  ) => Promise<void>;
+  /** Stops watching once aborted */
+  signal?: AbortSignal | undefined;
+  /** Enable verbose output */
+  verbose: boolean;
+}
+
+/**
+ * Find the test files loaded from any of the changed files
+ *
+ * @function
+ * @param files Test files, in the order they run
+ * @param dependencies Files each test file was loaded from, by absolute path
+ * @param changed Paths of the changed files
+ * @returns The affected test files, in the order they run
+ */
+export const findAffectedFiles = (
+  files: readonly string[],
+  dependencies: ReadonlyMap<string, ReadonlySet<string>>,
+  changed: ReadonlySet<string>,
+): string[] =>
+  files.filter((file) => {
+    const path = resolve(file);
+    const loadedFrom = dependencies.get(path);
+    return loadedFrom
+      ? [...changed].some((changedPath) => loadedFrom.has(changedPath))
+      : changed.has(path);
+  });
+
+/**
+ * Run test files, then rerun those affected by each change to the files they
+ * were loaded from
+ *
+ * The directories of those files are watched, rather than the files, so that
+ * editors which save by replacing a file are noticed, too. While a run is in
+ * progress, the watchers do not keep the process alive: `node:test` only
+ * finishes a run in the current process once nothing else does. Changes made
+ * during a run are rerun once it finishes. A run which fails, the first one
+ * included, is reported, and watching goes on.
+ *
+ * @function
+ * @param options Test files, and how to run them
+ * @returns A promise which settles once the signal is aborted
+ */
+export const watchTests = async ({
+  files,
+  runFiles,
+  signal,
+  verbose,
+}: WatchOptions): Promise<void> => {
+  const dependencies = new Map<string, Set<string>>();
+  const watchers = new Map<string, FSWatcher>();
+  const changed = new Set<string>();
+  let running = false;
+  let timer: ReturnType<typeof setTimeout> | undefined;
+
+  const watchDir = (dir: string) => {
+    if (watchers.has(dir)) {
+      return;
+    }
+    let watcher: FSWatcher;
+    try {
+      watcher = watch(dir, (_event, filename) => {
+        if (filename) {
+          onChange(join(dir, filename));
+        }
+      });
+    } catch {
+      // It does not exist (yet), like a package looked up but not installed
+      return;
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(dir);
+    });
+    watchers.set(dir, watcher);
+  };
+
+  const run = async (toRun: string[]) => {
+    running = true;
+    for (const watcher of watchers.values()) {
+      watcher.unref();
+    }
+    try {
+      await runFiles(toRun, dependencies);
+    } catch (error: unknown) {
+      // Report it and keep watching, so the next change can fix it
+      console.error(
+        `[cenobite] Running failed: ${error instanceof Error ? error.message : String(error)}`,
+      );
+    } finally {
+      running = false;
+      // A failed run may still have loaded files from directories not yet
+      // watched
+      for (const loadedFrom of dependencies.values()) {
+        for (const path of loadedFrom) {
+          watchDir(dirname(path));
+        }
+      }
+      if (verbose) {
+        console.log(
+          `[cenobite] Watching ${watchers.size} directories for changes`,
+        );
+      }
+      if (changed.size) {
+        schedule();
+      }
+    }
+  };
+
+  const rerun = async () => {
+    const toRun = findAffectedFiles(files, dependencies, changed);
+    // Name only the changes which matter, not an editor's temporary files
+    const paths = [...changed]
+      .filter(
+        (path) =>
+          findAffectedFiles(toRun, dependencies, new Set([path])).length,
+      )
+      .map((path) => relative(process.cwd(), path));
+    changed.clear();
+    if (toRun.length) {
+      console.log(
+        `[cenobite] ${paths.join(', ')} changed; rerunning ${toRun.length} test file(s)`,
+      );
+      await run(toRun);
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      void rerun();
+    }, DEBOUNCE_MS);
+  };
+
+  const onChange = (path: string) => {
+    changed.add(path);
+    if (!running) {
+      schedule();
+    }
+  };
+
+  // Once a run has finished, the watchers keep the process waiting for changes
+  const keepWatching = () => {
+    for (const watcher of watchers.values()) {
+      watcher.ref();
+    }
+  };
+  process.on('beforeExit', keepWatching);
+
+  const stopped = new Promise<void>((resolveStopped) => {
+    if (signal?.aborted) {
+      resolveStopped();
+    }
+    signal?.addEventListener('abort', () => {
+      resolveStopped();
+    });
+  });
+
+  await run(files);
+  console.log('[cenobite] Watching for changes; press Ctrl+C to stop');
+
+  await stopped;
+  clearTimeout(timer);
+  process.removeListener('beforeExit', keepWatching);
+  for (const watcher of watchers.values()) {
+    watcher.close();
+  }
+};
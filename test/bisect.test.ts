@@ -0,0 +1,46 @@
+import { expect, expectAsync } from 'bupkis';
+import { test } from 'node:test';
+
+import { findCulprits } from '../src/bisect.js';
+
+const FILES = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+
+test('findCulprits should find a single polluting file', async () => {
+  const culprits = await findCulprits(FILES, async (files) =>
+    files.includes('e'),
+  );
+
+  expect(culprits, 'to equal', ['e']);
+});
+
+test('findCulprits should find files which only pollute together', async () => {
+  const culprits = await findCulprits(
+    FILES,
+    async (files) => files.includes('b') && files.includes('f'),
+  );
+
+  expect(culprits, 'to equal', ['b', 'f']);
+});
+
+test('findCulprits should keep the run order of the suspects', async () => {
+  const runs: string[][] = [];
+  await findCulprits(FILES, async (files) => {
+    runs.push(files);
+    return files.includes('c');
+  });
+
+  for (const run of runs) {
+    expect(run, 'to equal', [...run].sort());
+  }
+});
+
+test('findCulprits should reject if running a subset fails', async () => {
+  await expectAsync(
+    async () =>
+      findCulprits(FILES, async () => {
+        throw new Error('Test process exited with code 1');
+      }),
+    'to reject with error satisfying',
+    /exited with code 1/,
+  );
+});
@@ -0,0 +1,119 @@
+import { expect } from 'bupkis';
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, realpath, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { Readable } from 'node:stream';
+import { afterEach, beforeEach, test } from 'node:test';
+
+import {
+  listChangedFiles,
+  mapDependencies,
+  selectChangedTests,
+} from '../src/changed.js';
+
+const FIXTURE = resolve('test/fixture/basic');
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await realpath(await mkdtemp(join(tmpdir(), 'cenobite-changed-')));
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+test('listChangedFiles should read a list of files from stdin', async () => {
+  const changed = await listChangedFiles('-', {
+    cwd: dir,
+    input: Readable.from(['src/a.js\n', '\nsrc/b.js\r\n']),
+  });
+
+  expect(changed, 'to equal', [join(dir, 'src/a.js'), join(dir, 'src/b.js')]);
+});
+
+test('listChangedFiles should list the files git diff reports', async () => {
+  const git = (...args: string[]) =>
+    execFileSync(
+      'git',
+      ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args],
+      { cwd: dir, stdio: 'ignore' },
+    );
+  git('init', '--quiet');
+  await writeFile(join(dir, 'a.js'), 'export const a = 1;');
+  await writeFile(join(dir, 'b.js'), 'export const b = 1;');
+  git('add', '.');
+  git('commit', '--quiet', '--message', 'initial');
+  await writeFile(join(dir, 'b.js'), 'export const b = 2;');
+
+  expect(await listChangedFiles('HEAD', { cwd: dir }), 'to equal', [
+    join(dir, 'b.js'),
+  ]);
+});
+
+test('mapDependencies should map the modules and packages a file loads', async () => {
+  const dependencies = await mapDependencies(join(FIXTURE, 'src/index.js'));
+
+  for (const path of [
+    'src/index.js',
+    'package.json',
+    'node_modules/foo/index.js',
+    'node_modules/bar/index.js',
+  ]) {
+    expect(dependencies.has(join(FIXTURE, path)), 'to be true');
+  }
+});
+
+test('mapDependencies should follow the imports of TypeScript modules', async () => {
+  await writeFile(join(dir, 'package.json'), '{"name": "a", "type": "module"}');
+  await writeFile(
+    join(dir, 'a.test.mts'),
+    "import { b } from './b.ts';\nconst a: number = b;",
+  );
+  await writeFile(
+    join(dir, 'b.ts'),
+    "import c from './c.cts';\nexport const b: number = c;",
+  );
+  await writeFile(join(dir, 'c.cts'), 'module.exports = 1 as number;');
+
+  const dependencies = await mapDependencies(join(dir, 'a.test.mts'));
+
+  for (const file of ['a.test.mts', 'b.ts', 'c.cts']) {
+    expect(dependencies.has(join(dir, file)), 'to be true');
+  }
+});
+
+test('selectChangedTests should select the test files loaded from a change', async () => {
+  const files = [
+    join(FIXTURE, 'test/index.test.js'),
+    join(FIXTURE, 'src/timed.js'),
+  ];
+
+  expect(
+    await selectChangedTests(files, [join(FIXTURE, 'src/index.js')]),
+    'to equal',
+    { files: [files[0]] },
+  );
+  expect(
+    await selectChangedTests(files, [join(FIXTURE, 'README.md')]),
+    'to equal',
+    { files: [] },
+  );
+});
+
+test('selectChangedTests should select every test file if it cannot narrow them down', async () => {
+  const missing = join(dir, 'missing.test.js');
+  const files = [join(FIXTURE, 'test/index.test.js'), missing];
+
+  const { fallback: manifest } = await selectChangedTests(files, [
+    join(FIXTURE, 'node_modules/foo/package.json'),
+  ]);
+  const unmapped = await selectChangedTests(files, [
+    join(FIXTURE, 'src/index.js'),
+  ]);
+
+  expect(manifest, 'to match', /package\.json changed/);
+  expect(unmapped.files, 'to equal', files);
+  expect(unmapped.fallback, 'to match', /could not be mapped/);
+});
@@ -32,3 +32,17 @@ test('runTestFile should handle invalid file paths', async () => {
     /Failed to load module/,
   );
 });
+
+test('runTestFile should refuse to import what only the host could evaluate', async () => {
+  ensureSESInitialized();
+
+  const { namespace } = (await runTestFile(
+    'test/fixture/basic/src/hosted.js',
+  )) as { namespace: { importHostGlobal: () => Promise<unknown> } };
+
+  await expectAsync(
+    async () => namespace.importHostGlobal(),
+    'to reject with error satisfying',
+    /Cannot find external module "data:text\/javascript,export default globalThis"/,
+  );
+});
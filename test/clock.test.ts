@@ -0,0 +1,111 @@
+import 'ses';
+import { expect } from 'bupkis';
+import { test } from 'node:test';
+
+import { initializeSES, runTestFile } from '../src/cli.js';
+import { clock, createFakeTime } from '../src/clock.js';
+
+initializeSES();
+
+const TIME = Date.UTC(2024, 0, 1);
+
+test('createFakeTime should give a Date which reads the clock', () => {
+  const { clock: fakeClock, endowments } = createFakeTime({
+    seed: 1,
+    time: TIME,
+  });
+  const FakeDate = endowments.Date as DateConstructor;
+
+  expect(FakeDate.now(), 'to be', TIME);
+  expect(new FakeDate().getTime(), 'to be', TIME);
+  expect(new FakeDate(0), 'to be a', Date);
+  fakeClock.tick(1000);
+  expect(new FakeDate().toISOString(), 'to be', '2024-01-01T00:00:01.000Z');
+  fakeClock.setTime('2030-06-15T12:00:00Z');
+  expect(FakeDate.now(), 'to be', Date.UTC(2030, 5, 15, 12));
+});
+
+test('createFakeTime should seed Math.random', () => {
+  const first = createFakeTime({ seed: 7, time: TIME }).endowments.Math as Math;
+  const second = createFakeTime({ seed: 7, time: TIME }).endowments
+    .Math as Math;
+  const numbers = [first.random(), first.random()];
+
+  expect([second.random(), second.random()], 'to equal', numbers);
+  expect(first.max(1, 2), 'to be', 2);
+});
+
+test('clock.tick() should fire timers as they fall due, in order', () => {
+  const { clock: fakeClock, endowments } = createFakeTime({
+    seed: 1,
+    time: 0,
+  });
+  const setTimeout = endowments.setTimeout as (
+    fn: () => void,
+    ms: number,
+  ) => number;
+  const clearTimeout = endowments.clearTimeout as (id: number) => void;
+  const fired: string[] = [];
+
+  setTimeout(() => fired.push(`b at ${fakeClock.now()}`), 20);
+  setTimeout(() => fired.push(`a at ${fakeClock.now()}`), 10);
+  clearTimeout(setTimeout(() => fired.push('cleared'), 5));
+  setTimeout(() => fired.push('later'), 100);
+  fakeClock.tick(50);
+
+  expect(fired, 'to equal', ['a at 10', 'b at 20']);
+  expect(fakeClock.now(), 'to be', 50);
+  expect(fakeClock.pending(), 'to be', 1);
+  fakeClock.runAll();
+  expect(fired, 'to equal', ['a at 10', 'b at 20', 'later']);
+});
+
+test('clock.runAll() should give up on an interval which never stops', () => {
+  const { clock: fakeClock, endowments } = createFakeTime({
+    seed: 1,
+    time: 0,
+  });
+  (endowments.setInterval as (fn: () => void, ms: number) => number)(
+    () => {},
+    10,
+  );
+
+  expect(
+    () => {
+      fakeClock.runAll();
+    },
+    'to throw',
+    /clock\.runAll\(\) gave up after 1000 timers/,
+  );
+});
+
+test('runTestFile should endow Compartments with the fake time', async () => {
+  const result = (await runTestFile('test/fixture/basic/src/timed.js', {
+    fakeTime: { seed: 3, time: TIME },
+  })) as {
+    namespace: {
+      barTimestamp: number;
+      random: number;
+      runTimers: () => string[];
+    };
+  };
+  const again = (await runTestFile('test/fixture/basic/src/timed.js', {
+    fakeTime: { seed: 3, time: TIME },
+  })) as { namespace: { random: number } };
+
+  expect(result.namespace.barTimestamp, 'to be', TIME);
+  expect(again.namespace.random, 'to be', result.namespace.random);
+  expect(result.namespace.runTimers(), 'to equal', [
+    `interval at ${TIME + 40}`,
+    `interval at ${TIME + 80}`,
+    `timeout at ${TIME + 100}`,
+  ]);
+});
+
+test('clock should throw outside of a fake time run', () => {
+  expect(
+    () => clock.tick(1),
+    'to throw',
+    /clock only works in test files run with --isolate and --fake-time/,
+  );
+});
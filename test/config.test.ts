@@ -0,0 +1,261 @@
+import { expect, expectAsync } from 'bupkis';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { pathToFileURL } from 'node:url';
+
+import { loadConfig } from '../src/config.js';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'cenobite-config-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+test('loadConfig should read the "cenobite" field of package.json', async () => {
+  await writeFile(
+    join(dir, 'package.json'),
+    JSON.stringify({ cenobite: { isolate: true, reporter: 'dot' } }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config, 'to satisfy', {
+    filepath: join(dir, 'package.json'),
+    isolate: true,
+    reporter: 'dot',
+  });
+});
+
+test('loadConfig should prefer a config file over package.json', async () => {
+  await writeFile(
+    join(dir, 'package.json'),
+    JSON.stringify({ cenobite: { reporter: 'dot' } }),
+  );
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ reporter: 'tap' }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config.reporter, 'to equal', 'tap');
+});
+
+test('loadConfig should search parent directories', async () => {
+  const nested = join(dir, 'a', 'b');
+  await mkdir(nested, { recursive: true });
+  await writeFile(
+    join(dir, 'cenobite.config.mjs'),
+    'export default { testFilePattern: /\\.check\\./ };',
+  );
+
+  const config = await loadConfig({ cwd: nested });
+
+  expect(config.testFilePattern?.test('foo.check.js'), 'to be true');
+});
+
+test('loadConfig should turn a string testFilePattern into a RegExp', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ testFilePattern: '\\.spec\\.js$' }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config.testFilePattern, 'to be a', RegExp);
+  expect(config.testFilePattern?.test('foo.spec.js'), 'to be true');
+});
+
+test('loadConfig should load module substitutions given as paths', async () => {
+  await writeFile(join(dir, 'fake.mjs'), 'export const value = 1;');
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ modules: { real: './fake.mjs' } }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config.modules, 'to satisfy', { real: { value: 1 } });
+});
+
+test('loadConfig should load a policy given as a path', async () => {
+  await writeFile(
+    join(dir, 'policy.json'),
+    JSON.stringify({ resources: { foo: { globals: { Date: true } } } }),
+  );
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ policy: './policy.json' }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config.policy, 'to satisfy', {
+    entry: { packages: 'any' },
+    resources: { foo: { globals: { Date: true } } },
+  });
+});
+
+test('loadConfig should use an explicit config path', async () => {
+  await writeFile(join(dir, 'custom.json'), JSON.stringify({ verbose: true }));
+
+  const config = await loadConfig({ configPath: 'custom.json', cwd: dir });
+
+  expect(config.verbose, 'to be true');
+});
+
+test('loadConfig should reject an invalid configuration', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ isolate: 'yes' }),
+  );
+
+  await expectAsync(
+    async () => loadConfig({ cwd: dir }),
+    'to reject with error satisfying',
+    /"isolate" must be a boolean/,
+  );
+});
+
+test('loadConfig should reject leak targets which are not strings', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ leakTargets: ['process.env', 42] }),
+  );
+
+  await expectAsync(
+    async () => loadConfig({ cwd: dir }),
+    'to reject with error satisfying',
+    /"leakTargets" must be an array of strings/,
+  );
+});
+
+test('loadConfig should reject an invalid seed', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ randomize: 'tests', seed: -1 }),
+  );
+
+  await expectAsync(
+    async () => loadConfig({ cwd: dir }),
+    'to reject with error satisfying',
+    /"seed" must be a non-negative integer/,
+  );
+});
+
+test('loadConfig should reject an invalid fakeTime', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ fakeTime: 'yesterday', isolate: true }),
+  );
+
+  await expectAsync(
+    async () => loadConfig({ cwd: dir }),
+    'to reject with error satisfying',
+    /"fakeTime" must be a boolean or an ISO 8601 date/,
+  );
+});
+
+test('loadConfig should reject host globals which are not strings', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ hostGlobals: 'Buffer', isolate: true }),
+  );
+
+  await expectAsync(
+    async () => loadConfig({ cwd: dir }),
+    'to reject with error satisfying',
+    /"hostGlobals" must be an array of strings/,
+  );
+});
+
+test('loadConfig should resolve allowed directories against the config', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({
+      allowFsRead: ['fixtures'],
+      allowFsWrite: ['/tmp/out'],
+      denyBuiltins: ['net'],
+    }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config, 'to satisfy', {
+    allowFsRead: [join(dir, 'fixtures')],
+    allowFsWrite: ['/tmp/out'],
+    denyBuiltins: ['net'],
+  });
+});
+
+test('loadConfig should resolve a virtualFs seed against the config', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ isolate: true, virtualFs: 'fixtures' }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config.virtualFs, 'to be', join(dir, 'fixtures'));
+});
+
+test('loadConfig should resolve pre-lockdown and setup modules against the config', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ preLockdown: ['./shims.js'], setup: ['/setup.js'] }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config, 'to satisfy', {
+    preLockdown: [pathToFileURL(join(dir, 'shims.js')).href],
+    setup: ['file:///setup.js'],
+  });
+});
+
+test('loadConfig should resolve reporter modules and destinations against the config', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({
+      reporter: ['spec', './reporter.js'],
+      reporterDestination: ['stdout', 'reports/custom.txt'],
+    }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config, 'to satisfy', {
+    reporter: ['spec', pathToFileURL(join(dir, 'reporter.js')).href],
+    reporterDestination: ['stdout', join(dir, 'reports/custom.txt')],
+  });
+});
+
+test('loadConfig should resolve the isolation report against the config', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ isolationReport: 'reports/isolation.json' }),
+  );
+
+  const config = await loadConfig({ cwd: dir });
+
+  expect(config.isolationReport, 'to be', join(dir, 'reports/isolation.json'));
+});
+
+test('loadConfig should reject coverage thresholds which are not percentages', async () => {
+  await writeFile(
+    join(dir, 'cenobite.config.json'),
+    JSON.stringify({ coverageThresholds: { lines: 120 } }),
+  );
+
+  await expectAsync(
+    async () => loadConfig({ cwd: dir }),
+    'to reject with error satisfying',
+    /"coverageThresholds" must map/,
+  );
+});
@@ -0,0 +1,171 @@
+import { expect } from 'bupkis';
+import { test } from 'node:test';
+
+import {
+  checkCoverageThresholds,
+  type FileCoverage,
+  formatCoverageTable,
+  formatLcov,
+  mapScriptCoverage,
+  nameSource,
+  summarizeCoverage,
+} from '../src/coverage.js';
+
+const SOURCE =
+  'const a = 1;\nfunction f() {\n  return a;\n}\n\nmodule.exports = a;\n';
+
+// As compartment-mapper evaluates CommonJS, with the source on its first line
+const SCRIPT_SOURCE = `(function (require, exports, module, __filename, __dirname) { 'use strict'; ${SOURCE} })\n`;
+
+/**
+ * Coverage of the script, as V8 reports it, in which `f` was never called
+ *
+ * @function
+ */
+const cover = (): FileCoverage => {
+  const startOffset = SCRIPT_SOURCE.indexOf('function f');
+  return mapScriptCoverage(
+    [
+      {
+        functionName: '',
+        isBlockCoverage: false,
+        ranges: [{ count: 1, endOffset: SCRIPT_SOURCE.length, startOffset: 0 }],
+      },
+      {
+        functionName: 'f',
+        isBlockCoverage: true,
+        ranges: [
+          {
+            count: 0,
+            endOffset: SCRIPT_SOURCE.indexOf('}', startOffset) + 1,
+            startOffset,
+          },
+        ],
+      },
+    ],
+    SCRIPT_SOURCE,
+    SOURCE,
+  );
+};
+
+test('nameSource should name scripts after their location', () => {
+  const named = nameSource(
+    'file:///project/a.cjs',
+    Buffer.from('module.exports = 1;'),
+  );
+
+  expect(
+    Buffer.from(named).toString(),
+    'to be',
+    'module.exports = 1;\n//# sourceURL=file:///project/a.cjs\n',
+  );
+  expect(
+    Buffer.from(nameSource('file:///project/a.json', Buffer.from('{}'))),
+    'to equal',
+    Buffer.from('{}'),
+  );
+});
+
+test("mapScriptCoverage should count the file's lines and functions, not the wrapper's", () => {
+  const { branches, functions, lines } = cover();
+
+  expect(
+    [...lines].sort(([a], [b]) => a - b),
+    'to equal',
+    [
+      [1, 1],
+      [2, 0],
+      [3, 0],
+      [4, 0],
+      [6, 1],
+    ],
+  );
+  expect([...functions.values()], 'to equal', [
+    { count: 0, line: 2, name: 'f' },
+  ]);
+  expect([...branches.values()], 'to equal', [{ count: 0, line: 2 }]);
+});
+
+test('mapScriptCoverage should leave out the functions binding imports', () => {
+  const source = "import { a } from './a.js';\nconsole.log(a);\n";
+  // As @endo/module-source evaluates the module
+  const scriptSource =
+    '(function(){let a;$h\u034F_imports([["./a.js", [["a",[$h\u034F_a => (a = $h\u034F_a)]]]]]);\nconsole.log(a);\n})()\n';
+  const setter = scriptSource.indexOf('$h\u034F_a');
+
+  const { functions, lines } = mapScriptCoverage(
+    [
+      {
+        functionName: '',
+        isBlockCoverage: false,
+        ranges: [{ count: 1, endOffset: scriptSource.length, startOffset: 0 }],
+      },
+      {
+        functionName: 'a',
+        isBlockCoverage: false,
+        ranges: [
+          {
+            count: 1,
+            endOffset: scriptSource.indexOf(')', setter) + 1,
+            startOffset: setter,
+          },
+        ],
+      },
+    ],
+    scriptSource,
+    source,
+  );
+
+  expect(functions.size, 'to be', 0);
+  expect([...lines], 'to equal', [
+    [1, 1],
+    [2, 1],
+  ]);
+});
+
+test('formatLcov and formatCoverageTable should report what ran', () => {
+  const coverage = new Map([['/project/a.cjs', cover()]]);
+
+  expect(
+    formatLcov(coverage),
+    'to be',
+    [
+      'TN:',
+      'SF:/project/a.cjs',
+      'FN:2,f',
+      'FNDA:0,f',
+      'FNF:1',
+      'FNH:0',
+      'BRDA:2,0,0,0',
+      'BRF:1',
+      'BRH:0',
+      'DA:1,1',
+      'DA:2,0',
+      'DA:3,0',
+      'DA:4,0',
+      'DA:6,1',
+      'LH:2',
+      'LF:5',
+      'end_of_record',
+      '',
+    ].join('\n'),
+  );
+  expect(
+    formatCoverageTable(coverage, '/project'),
+    'to match',
+    /^a\.cjs\s+\|\s+40\.00 \|\s+0\.00 \|\s+0\.00 \| 2-4$/m,
+  );
+  expect(summarizeCoverage(coverage), 'to satisfy', {
+    total: { lines: { covered: 2, pct: 40, total: 5 } },
+  });
+});
+
+test('checkCoverageThresholds should report each threshold not met', () => {
+  const coverage = new Map([['/project/a.cjs', cover()]]);
+
+  expect(
+    checkCoverageThresholds(coverage, { branches: 0, lines: 50 }),
+    'to equal',
+    ['Line coverage of 40.00% is below the threshold of 50%'],
+  );
+});
@@ -0,0 +1,123 @@
+import { expect, expectAsync } from 'bupkis';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join, resolve } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { pathToFileURL } from 'node:url';
+
+import {
+  DEFAULT_TEST_FILE_PATTERN,
+  expandTestFiles,
+  toTestFileUrls,
+} from '../src/discover.js';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'cenobite-discover-'));
+  for (const file of [
+    'src/index.js',
+    'src/index.test.js',
+    'test/a.test.js',
+    'test/helper.js',
+    'test/fixtures/b.test.js',
+    'node_modules/foo/foo.test.js',
+    '.cache/c.test.js',
+  ]) {
+    await mkdir(dirname(join(dir, file)), { recursive: true });
+    await writeFile(join(dir, file), '');
+  }
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+test('DEFAULT_TEST_FILE_PATTERN should match what node --test finds', () => {
+  for (const file of [
+    'a.test.js',
+    'a-test.mjs',
+    'a_test.ts',
+    'a.test.cjs',
+    'a.test.mts',
+    'a.test.cts',
+    'a.test.jsx',
+    'test-a.js',
+    'test.js',
+    'test/a.js',
+  ]) {
+    expect(DEFAULT_TEST_FILE_PATTERN.test(file), 'to be true');
+  }
+  for (const file of [
+    'a.js',
+    'latest.js',
+    'a.test.json',
+    'a.test.tsx',
+    'tests/a.js',
+  ]) {
+    expect(DEFAULT_TEST_FILE_PATTERN.test(file), 'to be false');
+  }
+});
+
+test('expandTestFiles should discover test files without positionals', async () => {
+  const files = await expandTestFiles([], { cwd: dir });
+
+  expect(files, 'to equal', [
+    join('src', 'index.test.js'),
+    join('test', 'a.test.js'),
+    join('test', 'fixtures', 'b.test.js'),
+    join('test', 'helper.js'),
+  ]);
+});
+
+test('expandTestFiles should expand globs, including **', async () => {
+  const files = await expandTestFiles(['./**/*.test.js'], { cwd: dir });
+
+  expect(files, 'to equal', [
+    join('src', 'index.test.js'),
+    join('test', 'a.test.js'),
+    join('test', 'fixtures', 'b.test.js'),
+  ]);
+});
+
+test('expandTestFiles should search directories with the pattern', async () => {
+  const files = await expandTestFiles(['test'], {
+    cwd: dir,
+    pattern: /\.test\.js$/,
+  });
+
+  expect(files, 'to equal', [
+    join('test', 'a.test.js'),
+    join('test', 'fixtures', 'b.test.js'),
+  ]);
+});
+
+test('expandTestFiles should exclude files only if they were expanded', async () => {
+  const files = await expandTestFiles(
+    ['test/**/*.js', 'test/fixtures/b.test.js'],
+    { cwd: dir, exclude: ['test/fixtures/**', '**/helper.js'] },
+  );
+
+  expect(files, 'to equal', [
+    join('test', 'a.test.js'),
+    'test/fixtures/b.test.js',
+  ]);
+});
+
+test('expandTestFiles should reject a glob matching nothing', async () => {
+  await expectAsync(
+    async () => expandTestFiles(['spec/**/*.js'], { cwd: dir }),
+    'to reject with error satisfying',
+    /No test files found matching spec\/\*\*\/\*\.js/,
+  );
+});
+
+test('toTestFileUrls should know a symlinked test file by its real path too', () => {
+  const linked = 'test/fixture/symlink/test/linked.test.js';
+
+  expect(toTestFileUrls([linked, 'missing.test.js']), 'to equal', [
+    pathToFileURL(resolve(linked)).href,
+    pathToFileURL(resolve('test/fixture/symlink/real/locked-down.js')).href,
+    pathToFileURL(resolve('missing.test.js')).href,
+  ]);
+});
@@ -0,0 +1,150 @@
+import { expect } from 'bupkis';
+import { mkdtemp, realpath, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+
+import { diagnoseError, formatDoctorReport } from '../src/doctor.js';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await realpath(await mkdtemp(join(tmpdir(), 'cenobite-doctor-')));
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+/**
+ * An error thrown at each of the given locations, innermost first
+ *
+ * @function
+ */
+const thrown = (
+  message: string,
+  locations: string[],
+  ErrorClass: typeof Error = TypeError,
+): Error => {
+  const error = new ErrorClass(message);
+  error.stack = [
+    `${ErrorClass.name}: ${message}`,
+    ...locations.map((location) => `    at fn (${location})`),
+  ].join('\n');
+  return error;
+};
+
+test('diagnoseError should attribute an override mistake to the package which made it', () => {
+  const error = thrown(
+    "Cannot assign to read only property 'toString' of object '[object Object]'",
+    [
+      '/project/node_modules/@scope/legacy/index.js:3:5',
+      '/project/test/a.test.js:1:1',
+    ],
+  );
+
+  const diagnosis = diagnoseError(error, {
+    file: '/project/test/a.test.js',
+    lockdownOptions: { overrideTaming: 'min' },
+  });
+
+  expect(diagnosis, 'to satisfy', {
+    kind: 'override-mistake',
+    location: '/project/node_modules/@scope/legacy/index.js:3:5',
+    package: '@scope/legacy',
+  });
+  expect(diagnosis.fix, 'to match', /overrideTaming to 'severe'/);
+});
+
+test('diagnoseError should recognize changes to frozen built-ins', () => {
+  const diagnosis = diagnoseError(
+    thrown('Cannot add property last, object is not extensible', [
+      '/project/test/a.test.js:2:22',
+    ]),
+    { file: '/project/test/a.test.js' },
+  );
+
+  expect(diagnosis.kind, 'to be', 'frozen-intrinsic');
+  expect(diagnosis.fix, 'to match', /--pre-lockdown/);
+  expect('package' in diagnosis, 'to be false');
+});
+
+test('diagnoseError should pass on the fix a policy denial suggests', () => {
+  const error = thrown(
+    'Policy denies package "foo" access to builtin "fs" (imported by file:///project/node_modules/foo/index.js); add it to "resources[\\"foo\\"].builtins" to allow it',
+    ['/project/node_modules/foo/index.js:1:1'],
+    Error,
+  );
+
+  expect(
+    diagnoseError(error, { file: '/project/test/a.test.js' }),
+    'to satisfy',
+    {
+      fix: 'Grant it in the capability policy: add it to "resources[\\"foo\\"].builtins" to allow it',
+      kind: 'policy',
+      package: 'foo',
+    },
+  );
+});
+
+test('diagnoseError should name the host global a Compartment lacks', async () => {
+  const file = join(dir, 'a.test.js');
+  await writeFile(file, "import 'node:test';\nconst b = Buffer.from('a');\n");
+
+  const host = diagnoseError(
+    thrown("Cannot read properties of undefined (reading 'from')", [
+      `${file}:2:18`,
+    ]),
+    { file },
+  );
+  const own = diagnoseError(
+    thrown('someSecret is not defined', [`${file}:1:1`], ReferenceError),
+    { file },
+  );
+
+  expect(host.kind, 'to be', 'missing-global');
+  expect(host.fix, 'to match', /--globals=Buffer/);
+  expect(own.kind, 'to be', 'missing-global');
+  expect(own.fix, 'to match', /"globals" in the configuration/);
+});
+
+test('formatDoctorReport should show each failure and its fix', () => {
+  const report = formatDoctorReport(
+    {
+      diagnoses: [
+        {
+          file: '/project/test/a.test.js',
+          fix: 'Do this',
+          kind: 'override-mistake',
+          location: '/project/node_modules/legacy/index.js:3:5',
+          message: 'Oops',
+          package: 'legacy',
+        },
+        {
+          file: '/project/test/b.test.js',
+          kind: 'unknown',
+          message: 'Unexpected token',
+        },
+      ],
+      files: ['/project/test/a.test.js', '/project/test/b.test.js'],
+    },
+    '/project',
+  );
+
+  expect(
+    report,
+    'to be',
+    [
+      '✖ test/a.test.js',
+      '  Oops',
+      '  thrown by package "legacy" at node_modules/legacy/index.js:3:5',
+      '  kind: override-mistake',
+      '  fix: Do this',
+      '✖ test/b.test.js',
+      '  Unexpected token',
+      '  kind: unknown',
+      '  fix: no known fix',
+      '[cenobite] 2 of 2 test file(s) failed to load under lockdown',
+    ].join('\n'),
+  );
+});
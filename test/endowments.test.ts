@@ -0,0 +1,73 @@
+import 'ses';
+import { expect } from 'bupkis';
+import { test } from 'node:test';
+
+import { initializeSES } from '../src/cli.js';
+import { createEndowments, DEFAULT_GLOBALS } from '../src/endowments.js';
+
+initializeSES();
+
+test("createEndowments should endow hardened copies of the default globals, leaving the host's own alone", async () => {
+  const endowments = createEndowments() as Record<string, unknown> & {
+    AbortController: typeof AbortController;
+    AbortSignal: typeof AbortSignal;
+    setTimeout: typeof setTimeout;
+    URL: typeof URL;
+  };
+
+  for (const name of DEFAULT_GLOBALS) {
+    const host = (globalThis as Record<string, unknown>)[name];
+    expect(Object.isFrozen(endowments[name]), 'to be true');
+    // Only what lockdown froze already is endowed as it is
+    expect(endowments[name] === host, 'to be', Object.isFrozen(host));
+  }
+  expect(Object.isFrozen(URL), 'to be false');
+  expect(Object.isFrozen(URL.prototype), 'to be false');
+  expect(Object.isFrozen(setTimeout), 'to be false');
+
+  const url = new endowments.URL('https://example.com/a?b=c');
+  expect(url.searchParams.get('b'), 'to be', 'c');
+  expect(url instanceof URL, 'to be true');
+  expect(
+    new URL('https://example.com/') instanceof endowments.URL,
+    'to be true',
+  );
+  expect(
+    new endowments.AbortController().signal instanceof endowments.AbortSignal,
+    'to be true',
+  );
+  expect(
+    await new Promise((resolve) => endowments.setTimeout(resolve, 0, 'timed')),
+    'to be',
+    'timed',
+  );
+  expect('globalThis' in endowments, 'to be false');
+  expect('Buffer' in endowments, 'to be false');
+});
+
+test('createEndowments should attenuate process', () => {
+  const { process: endowed } = createEndowments() as {
+    process: Record<string, unknown> & { env: Record<string, string> };
+  };
+
+  expect(endowed, 'not to be', process);
+  expect(endowed.env, 'to equal', { ...process.env });
+  expect(endowed.exit, 'to be undefined');
+  expect(Object.isFrozen(endowed.env), 'to be true');
+  expect((endowed.cwd as () => string)(), 'to be', process.cwd());
+});
+
+test('createEndowments should endow host globals allowed by name', () => {
+  const endowments = createEndowments(['Buffer', 'process']);
+
+  expect(endowments.Buffer, 'to be', Buffer);
+  expect(endowments.process, 'to be', process);
+});
+
+test('createEndowments should reject a host global which does not exist', () => {
+  expect(
+    () => createEndowments(['NoSuchGlobal']),
+    'to throw',
+    /There is no host global named "NoSuchGlobal" to endow/,
+  );
+});
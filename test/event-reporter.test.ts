@@ -0,0 +1,91 @@
+import { expect } from 'bupkis';
+import { test } from 'node:test';
+import { type TestEvent } from 'node:test/reporters';
+
+import eventReporter, { parseEventLine } from '../src/event-reporter.js';
+
+/**
+ * Serializes the given events with the reporter and parses them back
+ */
+const roundTrip = async (events: TestEvent[]) => {
+  const result: (TestEvent | undefined)[] = [];
+  for await (const line of eventReporter(
+    (async function* () {
+      yield* events;
+    })(),
+  )) {
+    result.push(parseEventLine(line.trimEnd()));
+  }
+  return result;
+};
+
+test('parseEventLine should ignore lines not written by the reporter', () => {
+  expect(parseEventLine('[cenobite] some debug output'), 'to be undefined');
+});
+
+test('eventReporter should round-trip test events', async () => {
+  const [event] = await roundTrip([
+    {
+      data: {
+        counts: {
+          cancelled: 0,
+          passed: 1,
+          skipped: 0,
+          suites: 0,
+          tests: 1,
+          todo: 0,
+          topLevel: 1,
+        },
+        duration_ms: 1,
+        file: undefined,
+        success: true,
+      },
+      type: 'test:summary',
+    },
+  ]);
+
+  expect(event, 'to satisfy', {
+    data: { counts: { passed: 1, tests: 1 }, success: true },
+    type: 'test:summary',
+  });
+});
+
+test('eventReporter should preserve errors and their causes', async () => {
+  const cause = new Error('original');
+  const error = Object.assign(new Error('test failed', { cause }), {
+    code: 'ERR_TEST_FAILURE',
+    failureType: 'testCodeFailure',
+  });
+
+  const [event] = await roundTrip([
+    {
+      data: {
+        column: 1,
+        details: { duration_ms: 1, error, type: 'test' },
+        file: 'foo.test.js',
+        line: 1,
+        name: 'foo',
+        nesting: 0,
+        testNumber: 1,
+      },
+      type: 'test:fail',
+    } as TestEvent,
+  ]);
+
+  expect(event, 'to satisfy', {
+    data: {
+      details: {
+        error: expect.it('to be an', Error),
+      },
+    },
+  });
+  const revived = (event as { data: { details: { error: any } } }).data
+    .details.error;
+  expect(revived, 'to satisfy', {
+    code: 'ERR_TEST_FAILURE',
+    failureType: 'testCodeFailure',
+    message: 'test failed',
+  });
+  expect(revived.cause, 'to be an', Error);
+  expect(revived.cause.message, 'to equal', 'original');
+});
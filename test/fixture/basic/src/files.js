@@ -0,0 +1,24 @@
+// src/files.js - writes through fs, however it is loaded
+import fs, { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+
+export const roundTrip = async (path, data) => {
+  fs.writeFileSync(path, data);
+  return readFile(path, 'utf8');
+};
+
+// Writes through the fs which createRequire() and process.getBuiltinModule()
+// load
+export const writeLoaded = (path, data) => {
+  createRequire(import.meta.url)('fs').writeFileSync(path, data);
+  globalThis.process.getBuiltinModule('node:fs').appendFileSync(path, data);
+  return readFileSync(path, 'utf8');
+};
+
+// Writes through the fs a module the host evaluates would get
+export const writeHosted = async (path, data) => {
+  const { writeFileSync } =
+    await import('data:text/javascript,export { writeFileSync } from "node:fs"');
+  writeFileSync(path, data);
+};
@@ -0,0 +1,3 @@
+// src/hosted.js - imports what only the host could evaluate
+export const importHostGlobal = async () =>
+  (await import('data:text/javascript,export default globalThis')).default;
@@ -0,0 +1,10 @@
+// src/mocked.js - mocks bar, then loads foo (which imports bar)
+import { mock } from 'cenobite';
+
+mock('bar', {
+  barNumber: 1,
+  barObject: { compartment: 'mock' },
+  barValue: 'Hello from a mock!',
+});
+
+export const loadFoo = () => import('foo');
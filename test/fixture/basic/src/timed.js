@@ -0,0 +1,21 @@
+// src/timed.js - uses the clock, timers and Math.random of its Compartments
+/* global clearInterval, setInterval, setTimeout -- endowed by --fake-time */
+import { clock } from 'cenobite';
+import { barObject } from 'foo';
+
+export const barTimestamp = barObject.timestamp;
+export const random = Math.random();
+
+export const runTimers = () => {
+  const fired = [];
+  setTimeout(() => fired.push(`timeout at ${Date.now()}`), 100);
+  let intervals = 0;
+  const interval = setInterval(() => {
+    fired.push(`interval at ${Date.now()}`);
+    if (++intervals === 2) {
+      clearInterval(interval);
+    }
+  }, 40);
+  clock.tick(150);
+  return fired;
+};
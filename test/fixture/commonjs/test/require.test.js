@@ -0,0 +1,23 @@
+'use strict';
+
+const { test } = require('node:test');
+
+const { format } = require('../src/esm.mjs');
+
+test('a CommonJS test file should run locked down, as Node would run it', () => {
+  if (!Object.isFrozen(Object.prototype)) {
+    throw new Error('Not locked down');
+  }
+  // Node's own require() loads ESM
+  if (format !== 'module') {
+    throw new Error('Could not require ESM');
+  }
+  // The wrapper kept the 'use strict' directive in effect
+  if (
+    (function () {
+      return this;
+    })() !== undefined
+  ) {
+    throw new Error('Not strict');
+  }
+});
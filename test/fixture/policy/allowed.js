@@ -0,0 +1,4 @@
+// allowed.js - uses only what policy.json grants
+import { stamp } from 'stamp';
+
+export const stamped = stamp('ok');
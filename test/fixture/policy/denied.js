@@ -0,0 +1,4 @@
+// denied.js - pulls in a package which reaches for node:child_process
+import { spawn } from 'spawner';
+
+export { spawn };
@@ -0,0 +1,7 @@
+// real/locked-down.js - run through test/linked.test.js, a symlink to it
+import assert from 'node:assert';
+import { test } from 'node:test';
+
+test('runs under lockdown', () => {
+  assert.ok(Object.isFrozen(Array.prototype));
+});
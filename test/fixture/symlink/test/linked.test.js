@@ -0,0 +1 @@
+../real/locked-down.js
\ No newline at end of file
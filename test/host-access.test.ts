@@ -0,0 +1,188 @@
+import { expect, expectAsync } from 'bupkis';
+import * as fs from 'node:fs';
+import { mkdir, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises';
+import * as nodeModule from 'node:module';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+
+import {
+  attenuateProcess,
+  createBuiltinAttenuator,
+  substituteBuiltins,
+} from '../src/host-access.js';
+
+type Fs = typeof fs;
+type NodeModule = typeof nodeModule;
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'cenobite-host-access-'));
+  await mkdir(join(dir, 'read'));
+  await mkdir(join(dir, 'write'));
+  await writeFile(join(dir, 'read', 'file.txt'), 'allowed');
+  await writeFile(join(dir, 'secret.txt'), 'denied');
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+/**
+ * The `fs` namespace a Compartment gets with read and write roots in `dir`
+ *
+ * @function
+ */
+const attenuatedFs = (): Fs =>
+  (
+    createBuiltinAttenuator({
+      allowFsRead: [join(dir, 'read')],
+      allowFsWrite: [join(dir, 'write')],
+    })('node:fs', fs) as { default: Fs }
+  ).default;
+
+test('createBuiltinAttenuator should let fs read within the allowed roots', () => {
+  const wrapped = attenuatedFs();
+
+  expect(
+    wrapped.readFileSync(join(dir, 'read', 'file.txt'), 'utf8'),
+    'to be',
+    'allowed',
+  );
+  wrapped.writeFileSync(join(dir, 'write', 'new.txt'), 'written');
+  expect(
+    wrapped.readFileSync(join(dir, 'write', 'new.txt'), 'utf8'),
+    'to be',
+    'written',
+  );
+});
+
+test('createBuiltinAttenuator should reject paths outside the roots', async () => {
+  const wrapped = attenuatedFs();
+
+  expect(
+    () => wrapped.readFileSync(join(dir, 'secret.txt')),
+    'to throw',
+    /fs\.readFileSync\(\) may not read .*secret\.txt, which is outside --allow-fs-read/,
+  );
+  expect(
+    () => wrapped.writeFileSync(join(dir, 'read', 'file.txt'), 'x'),
+    'to throw',
+    /may not write/,
+  );
+  expect(
+    () =>
+      wrapped.copyFileSync(join(dir, 'secret.txt'), join(dir, 'write', 'x')),
+    'to throw',
+    /may not read/,
+  );
+  await expectAsync(
+    async () => wrapped.promises.readFile(join(dir, 'secret.txt')),
+    'to reject with error satisfying',
+    /may not read/,
+  );
+});
+
+test('createBuiltinAttenuator should follow symlinks out of the roots', async () => {
+  await symlink(join(dir, 'secret.txt'), join(dir, 'read', 'link.txt'));
+  const wrapped = attenuatedFs();
+
+  expect(
+    () => wrapped.readFileSync(join(dir, 'read', 'link.txt')),
+    'to throw',
+    /may not read/,
+  );
+});
+
+test('createBuiltinAttenuator should refuse denied builtins', () => {
+  const attenuate = createBuiltinAttenuator({ denyBuiltins: ['fs'] });
+
+  expect(
+    () => attenuate('node:fs/promises', {}),
+    'to throw',
+    /Importing "node:fs\/promises" is denied by --deny-builtin/,
+  );
+  expect(attenuate('path', fs), 'to be', fs);
+  expect(
+    () => createBuiltinAttenuator({ denyBuiltins: ['nope'] }),
+    'to throw',
+    /Cannot deny "nope", which is not a builtin/,
+  );
+});
+
+test('createBuiltinAttenuator should only let createRequire() load attenuated builtins', () => {
+  const attenuate = createBuiltinAttenuator({
+    allowFsRead: [join(dir, 'read')],
+    denyBuiltins: ['child_process'],
+  });
+  const { createRequire, default: standIn } = attenuate(
+    'node:module',
+    nodeModule,
+  ) as NodeModule;
+  const require = createRequire(import.meta.url);
+
+  expect(
+    () => (require('fs') as Fs).readFileSync(join(dir, 'secret.txt')),
+    'to throw',
+    /may not read/,
+  );
+  expect(
+    () => require('node:child_process') as unknown,
+    'to throw',
+    /Importing "node:child_process" is denied by --deny-builtin/,
+  );
+  expect(
+    () => require(join(dir, 'read', 'file.txt')) as unknown,
+    'to throw',
+    /require\(\) only loads builtins in a Compartment/,
+  );
+  expect('_load' in standIn, 'to be false');
+  expect(
+    createBuiltinAttenuator({ allowFsRead: [] })('module', nodeModule) ===
+      nodeModule,
+    'to be false',
+  );
+});
+
+test('attenuateProcess should get builtins as they would be imported', () => {
+  const endowed = attenuateProcess(
+    process,
+    createBuiltinAttenuator({ allowFsRead: [join(dir, 'read')] }),
+  );
+
+  expect(
+    () => endowed.getBuiltinModule('fs').readFileSync(join(dir, 'secret.txt')),
+    'to throw',
+    /may not read/,
+  );
+  expect(endowed.cwd(), 'to be', process.cwd());
+  expect('binding' in endowed, 'to be false');
+  expect(
+    Object.getOwnPropertyDescriptor(endowed, 'getBuiltinModule')?.value,
+    'to be',
+    endowed.getBuiltinModule,
+  );
+});
+
+test('substituteBuiltins should give the substitutes, through createRequire() too', () => {
+  const volume = { readFileSync: () => 'virtual' };
+  const substitute = substituteBuiltins(
+    { fs: volume },
+    createBuiltinAttenuator({ denyBuiltins: ['child_process'] }),
+  );
+  const { createRequire } = substitute('module', nodeModule) as NodeModule;
+  const require = createRequire(import.meta.url);
+
+  expect(
+    (substitute('node:fs', fs) as { default: unknown }).default,
+    'to be',
+    volume,
+  );
+  expect(require('node:fs'), 'to be', volume);
+  expect(
+    () => substitute('child_process', {}),
+    'to throw',
+    /denied by --deny-builtin/,
+  );
+});
@@ -0,0 +1,178 @@
+import { type CompartmentMapDescriptor } from '@endo/compartment-mapper';
+import { expect } from 'bupkis';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+
+import {
+  createIsolationRecorder,
+  formatIsolationReport,
+  writeIsolationReport,
+} from '../src/isolation-report.js';
+import { LEAK_DIAGNOSTIC } from '../src/leaks.js';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'cenobite-isolation-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+/**
+ * The compartment map of a test file in `/project`, which loads `foo`, which
+ * loads `@scope/bar`
+ */
+const compartmentMap = {
+  compartments: {
+    'file:///project/': { name: 'project' },
+    'file:///project/node_modules/@scope/bar/': { name: '@scope/bar' },
+    'file:///project/node_modules/foo/': { name: 'foo' },
+  },
+  entry: { compartment: 'file:///project/', module: './test/a.test.js' },
+} as unknown as CompartmentMapDescriptor;
+
+test('createIsolationRecorder should record what Compartments are given', () => {
+  const recorder = createIsolationRecorder(['/project/test/a.test.js'], {
+    detectLeaks: false,
+    mode: 'compartment',
+  });
+
+  recorder.recordGlobals('/project/test/a.test.js', ['console', 'URL']);
+  recorder.recordBuiltin('/project/test/a.test.js', 'node:test');
+  recorder.recordBuiltin('/project/test/a.test.js', 'node:assert');
+  recorder.recordBuiltin('/project/test/a.test.js', 'node:test');
+  recorder.recordDenial(
+    '/project/test/a.test.js',
+    'Importing "node:net" is denied by --deny-builtin',
+  );
+  recorder.recordGraph('/project/test/a.test.js', compartmentMap, [
+    'file:///project/test/a.test.js',
+    'file:///project/node_modules/foo/index.js',
+    'file:///project/node_modules/@scope/bar/package.json',
+  ]);
+
+  expect(recorder.toReport(), 'to equal', {
+    files: [
+      {
+        builtins: ['node:assert', 'node:test'],
+        compartments: 3,
+        denials: ['Importing "node:net" is denied by --deny-builtin'],
+        file: '/project/test/a.test.js',
+        globals: ['URL', 'console'],
+        leaks: null,
+        mode: 'compartment',
+        packages: ['foo'],
+      },
+    ],
+  });
+});
+
+test('createIsolationRecorder should record leaks and packages for the SES wrapper', () => {
+  const recorder = createIsolationRecorder(
+    ['test/a.test.js', 'test/b.test.js'],
+    { detectLeaks: true, mode: 'ses-wrapper' },
+  );
+
+  recorder.recordGraph('test/a.test.js', compartmentMap, [
+    'file:///project/node_modules/@scope/bar/index.js',
+  ]);
+  recorder.observeDiagnostic(
+    `test/b.test.js${LEAK_DIAGNOSTIC}added globalThis.leaked`,
+  );
+  recorder.observeDiagnostic('not a leak');
+
+  expect(recorder.toReport(), 'to equal', {
+    files: [
+      {
+        builtins: null,
+        compartments: 0,
+        denials: [],
+        file: 'test/a.test.js',
+        globals: null,
+        leaks: [],
+        mode: 'ses-wrapper',
+        packages: ['@scope/bar'],
+      },
+      {
+        builtins: null,
+        compartments: 0,
+        denials: [],
+        file: 'test/b.test.js',
+        globals: null,
+        leaks: ['added globalThis.leaked'],
+        mode: 'ses-wrapper',
+        packages: [],
+      },
+    ],
+  });
+});
+
+test('formatIsolationReport should show each test file', () => {
+  const report = formatIsolationReport(
+    {
+      files: [
+        {
+          builtins: ['node:test'],
+          compartments: 2,
+          denials: [],
+          file: '/project/test/a.test.js',
+          globals: ['console'],
+          leaks: null,
+          mode: 'compartment',
+          packages: ['foo'],
+        },
+        {
+          builtins: null,
+          compartments: 0,
+          denials: [],
+          file: '/project/test/b.test.js',
+          globals: null,
+          leaks: [],
+          mode: 'ses-wrapper',
+          packages: [],
+        },
+      ],
+    },
+    '/project',
+  );
+
+  expect(
+    report,
+    'to be',
+    [
+      '[cenobite] Isolation of 2 test file(s)',
+      'test/a.test.js',
+      '  mode: compartment',
+      '  compartments: 2',
+      '  packages: 1 (foo)',
+      '  builtins: 1 (node:test)',
+      '  globals: 1 (console)',
+      '  denials: none',
+      '  leaks: not detected',
+      'test/b.test.js',
+      '  mode: ses-wrapper',
+      '  compartments: none (runs in a locked-down process of its own)',
+      '  packages: none',
+      '  builtins: any',
+      "  globals: the host's own",
+      '  denials: none',
+      '  leaks: none',
+    ].join('\n'),
+  );
+});
+
+test('writeIsolationReport should write the report as JSON', async () => {
+  const path = join(dir, 'reports', 'isolation.json');
+  const report = createIsolationRecorder([], {
+    detectLeaks: false,
+    mode: 'compartment',
+  }).toReport();
+
+  await writeIsolationReport(report, path);
+
+  expect(JSON.parse(await readFile(path, 'utf8')), 'to equal', { files: [] });
+});
@@ -0,0 +1,52 @@
+import { expect } from 'bupkis';
+import { test } from 'node:test';
+
+import { diffSnapshots, takeSnapshot } from '../src/leaks.js';
+
+test('diffSnapshots should report added, changed and deleted properties', () => {
+  process.env.CENOBITE_LEAK_CHANGED = 'unchanged';
+  process.env.CENOBITE_LEAK_DELETED = 'deleted';
+  const before = takeSnapshot(['process.env']);
+  process.env.CENOBITE_LEAK_ADDED = 'added';
+  process.env.CENOBITE_LEAK_CHANGED = 'changed';
+  delete process.env.CENOBITE_LEAK_DELETED;
+  try {
+    expect(diffSnapshots(before, takeSnapshot(['process.env'])), 'to satisfy', [
+      { change: 'changed', property: 'process.env.CENOBITE_LEAK_CHANGED' },
+      { change: 'added', property: 'process.env.CENOBITE_LEAK_ADDED' },
+      { change: 'deleted', property: 'process.env.CENOBITE_LEAK_DELETED' },
+    ]);
+  } finally {
+    delete process.env.CENOBITE_LEAK_ADDED;
+    delete process.env.CENOBITE_LEAK_CHANGED;
+  }
+});
+
+test('diffSnapshots should report nothing if nothing changed', () => {
+  const before = takeSnapshot(['globalThis', 'process.env']);
+
+  expect(
+    diffSnapshots(before, takeSnapshot(['globalThis', 'process.env'])),
+    'to be empty',
+  );
+});
+
+test('takeSnapshot should not call getters', () => {
+  let calls = 0;
+  const key = Symbol('cenobite-leak');
+  Object.defineProperty(globalThis, key, {
+    configurable: true,
+    get: () => ++calls,
+  });
+  try {
+    const before = takeSnapshot(['globalThis']);
+    delete (globalThis as Record<PropertyKey, unknown>)[key];
+
+    expect(diffSnapshots(before, takeSnapshot(['globalThis'])), 'to satisfy', [
+      { change: 'deleted', property: 'globalThis[Symbol(cenobite-leak)]' },
+    ]);
+    expect(calls, 'to be', 0);
+  } finally {
+    delete (globalThis as Record<PropertyKey, unknown>)[key];
+  }
+});
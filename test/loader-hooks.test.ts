@@ -0,0 +1,91 @@
+import { expect } from 'bupkis';
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import * as nodeModule from 'node:module';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { pathToFileURL } from 'node:url';
+
+const { stringify } = JSON;
+
+const cannotStrip =
+  !('stripTypeScriptTypes' in nodeModule) && 'Node cannot strip types';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'cenobite-loader-hooks-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+/**
+ * Run a test file with the loader hooks registered, in a process of its own
+ *
+ * The hooks are loaded with Node's own type stripping rather than tsx, whose
+ * loader leaves CommonJS for Node to read, so none is left for the hooks to
+ * wrap.
+ *
+ * @function
+ * @returns The TAP output of the run
+ */
+const runWithLoaderHooks = async (file: string): Promise<string> => {
+  const register = join(dir, 'register.mjs');
+  await writeFile(
+    register,
+    `import { registerHooks } from 'node:module';
+
+// Load the sources of the hooks, whose imports name the JavaScript they build to
+registerHooks({
+  resolve: (specifier, context, nextResolve) => {
+    try {
+      return nextResolve(specifier, context);
+    } catch (error) {
+      if (!specifier.endsWith('.js')) {
+        throw error;
+      }
+      return nextResolve(specifier.replace(/\\.js$/, '.ts'), context);
+    }
+  },
+});
+
+const { registerCenobiteHooks } = await import(${stringify(pathToFileURL(resolve('src/loader-hooks.ts')).href)});
+registerCenobiteHooks({ testFiles: [${stringify(pathToFileURL(file).href)}] });
+`,
+  );
+  return execFileSync(
+    process.execPath,
+    [
+      '--experimental-strip-types',
+      '--no-warnings',
+      '--import',
+      register,
+      '--test-reporter=tap',
+      file,
+    ],
+    {
+      encoding: 'utf8',
+      // Report as TAP, not as a child of the \`node --test\` running this
+      env: { ...process.env, NODE_TEST_CONTEXT: undefined },
+      stdio: ['ignore', 'pipe', 'ignore'],
+    },
+  );
+};
+
+test(
+  'the SES wrapper should lock down a CommonJS test file, keeping its require() and strictness',
+  {
+    skip: cannotStrip,
+  },
+  async () => {
+    const output = await runWithLoaderHooks(
+      resolve('test/fixture/commonjs/test/require.test.js'),
+    );
+
+    expect(output, 'to match', /^# pass 1$/m);
+    expect(output, 'to match', /^# fail 0$/m);
+  },
+);
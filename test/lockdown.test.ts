@@ -0,0 +1,80 @@
+import { expect } from 'bupkis';
+import { test } from 'node:test';
+
+import {
+  isLockdownProfile,
+  parseLockdownFlags,
+  resolveLockdownOptions,
+} from '../src/lockdown.js';
+
+test('resolveLockdownOptions should default to the dev profile', () => {
+  expect(resolveLockdownOptions(), 'to satisfy', {
+    consoleTaming: 'unsafe',
+    errorTaming: 'unsafe',
+    evalTaming: 'unsafe-eval',
+    overrideTaming: 'severe',
+    stackFiltering: 'verbose',
+  });
+});
+
+test('resolveLockdownOptions should set every option from a profile', () => {
+  expect(resolveLockdownOptions({ profile: 'strict' }), 'to satisfy', {
+    consoleTaming: 'safe',
+    domainTaming: 'safe',
+    errorTaming: 'safe',
+    evalTaming: 'safe-eval',
+    localeTaming: 'safe',
+    overrideTaming: 'min',
+    regExpTaming: 'safe',
+    stackFiltering: 'concise',
+  });
+});
+
+test('resolveLockdownOptions should apply options, then overrides', () => {
+  expect(
+    resolveLockdownOptions({
+      options: { errorTaming: 'unsafe', overrideTaming: 'moderate' },
+      overrides: { overrideTaming: 'severe' },
+      profile: 'strict',
+    }),
+    'to satisfy',
+    {
+      consoleTaming: 'safe',
+      errorTaming: 'unsafe',
+      overrideTaming: 'severe',
+    },
+  );
+});
+
+test('resolveLockdownOptions should reject an unknown profile', () => {
+  expect(
+    () => resolveLockdownOptions({ profile: 'lax' }),
+    'to throw',
+    /Unknown lockdown profile: lax/,
+  );
+});
+
+test('isLockdownProfile should only accept profile names', () => {
+  expect(isLockdownProfile('compat'), 'to be true');
+  expect(isLockdownProfile('toString'), 'to be false');
+});
+
+test('parseLockdownFlags should map flags to lockdown options', () => {
+  expect(
+    parseLockdownFlags({
+      'error-taming': 'unsafe-debug',
+      isolate: true,
+      'locale-taming': 'unsafe',
+    }),
+    'to equal',
+    { errorTaming: 'unsafe-debug', localeTaming: 'unsafe' },
+  );
+});
+
+test('parseLockdownFlags should reject values lockdown does not accept', () => {
+  expect(
+    () => parseLockdownFlags({ 'override-taming': 'extreme' }),
+    'to throw',
+    /Invalid value for --override-taming: extreme/,
+  );
+});
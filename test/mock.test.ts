@@ -0,0 +1,89 @@
+import 'ses';
+import { expect, expectAsync } from 'bupkis';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { test } from 'node:test';
+
+import { initializeSES, mock, runTestFile } from '../src/cli.js';
+
+initializeSES();
+
+const BAR_MOCK = {
+  barNumber: 1,
+  barObject: { compartment: 'mock' },
+  barValue: 'Hello from a mock!',
+};
+
+test('runTestFile should substitute modules imported transitively', async () => {
+  const result = await runTestFile('test/fixture/basic/src/index.js', {
+    modules: { bar: BAR_MOCK },
+  });
+
+  expect(result, 'to satisfy', {
+    namespace: {
+      appNumber: 10,
+      appValue: 'App says: Foo says: Hello from a mock!',
+    },
+  });
+});
+
+test('mock() should replace a module for the calling file only', async () => {
+  const mocked = (await runTestFile('test/fixture/basic/src/mocked.js')) as {
+    namespace: { loadFoo: () => Promise<unknown> };
+  };
+  const unmocked = await runTestFile('test/fixture/basic/src/index.js');
+
+  expect(await mocked.namespace.loadFoo(), 'to satisfy', {
+    fooNumber: 2,
+    fooValue: 'Foo says: Hello from a mock!',
+  });
+  expect(unmocked, 'to satisfy', {
+    namespace: { appValue: 'App says: Foo says: Hello from bar!' },
+  });
+});
+
+test('mock() should throw outside of a Compartment', () => {
+  expect(
+    () => mock('bar', BAR_MOCK),
+    'to throw',
+    /mock\(\) only works in test files run with --isolate/,
+  );
+});
+
+test("the cenobite module should only give the test file's own package mock() and clock", async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'cenobite-mock-'));
+  try {
+    await mkdir(join(dir, 'node_modules/snoop'), { recursive: true });
+    await writeFile(
+      join(dir, 'package.json'),
+      JSON.stringify({ dependencies: { snoop: '1.0.0' }, type: 'module' }),
+    );
+    await writeFile(
+      join(dir, 'node_modules/snoop/package.json'),
+      JSON.stringify({ name: 'snoop', type: 'module', version: '1.0.0' }),
+    );
+    await writeFile(
+      join(dir, 'node_modules/snoop/index.js'),
+      "export const snoop = () => import('cenobite');",
+    );
+    await writeFile(
+      join(dir, 'a.test.js'),
+      "import * as cenobite from 'cenobite';\nexport { snoop } from 'snoop';\nexport const names = Object.keys(cenobite).sort();\nexport const frozen = Object.isFrozen(cenobite.default);",
+    );
+
+    const { namespace } = (await runTestFile(join(dir, 'a.test.js'))) as {
+      namespace: { frozen: boolean; names: string[]; snoop: () => unknown };
+    };
+
+    expect(namespace.names, 'to equal', ['clock', 'default', 'mock']);
+    expect(namespace.frozen, 'to be true');
+    await expectAsync(
+      async () => namespace.snoop(),
+      'to reject with error satisfying',
+      /Only the test file's own package may import "cenobite"/,
+    );
+  } finally {
+    await rm(dir, { force: true, recursive: true });
+  }
+});
@@ -0,0 +1,105 @@
+import { expect } from 'bupkis';
+import { test } from 'node:test';
+
+import {
+  parseNodeTestFlags,
+  parsePassthrough,
+  shardFiles,
+  toProcessFlags,
+  toRunOptions,
+} from '../src/node-test-flags.js';
+
+test('parseNodeTestFlags should map flags to node:test options', () => {
+  expect(
+    parseNodeTestFlags(
+      {
+        isolate: true,
+        'test-name-pattern': ['^parses'],
+        'test-only': true,
+        'test-shard': '2/3',
+        'test-timeout': '500',
+      },
+      { 'test-name-pattern': ['/Formats/i'], 'test-timeout': '1000' },
+    ),
+    'to equal',
+    {
+      only: true,
+      shard: { index: 2, total: 3 },
+      testNamePatterns: ['^parses', '/Formats/i'],
+      timeout: 1000,
+    },
+  );
+});
+
+test('parseNodeTestFlags should reject values node --test does not accept', () => {
+  expect(
+    () => parseNodeTestFlags({ 'test-concurrency': '0' }),
+    'to throw',
+    /Invalid value for --test-concurrency: 0 \(expected a positive integer\)/,
+  );
+  expect(
+    () => parseNodeTestFlags({ 'test-shard': '4/3' }),
+    'to throw',
+    /Invalid value for --test-shard: 4\/3/,
+  );
+  expect(
+    () => parseNodeTestFlags({ 'test-skip-pattern': ['/(/'] }),
+    'to throw',
+    /Invalid value for --test-skip-pattern: \/\(\//,
+  );
+});
+
+test('parsePassthrough should split node:test flags from flags for Node', () => {
+  const { flags, values } = parsePassthrough([
+    '--test-name-pattern',
+    'adds',
+    '--inspect-port',
+    '9230',
+    '--test-only',
+    '--expose-gc',
+  ]);
+
+  expect(flags, 'to equal', ['--inspect-port', '9230', '--expose-gc']);
+  expect(parseNodeTestFlags(values), 'to equal', {
+    only: true,
+    testNamePatterns: ['adds'],
+  });
+});
+
+test('shardFiles should pick every total-th file, as node --test does', () => {
+  const files = ['a', 'b', 'c', 'd', 'e'];
+
+  expect(shardFiles(files, { index: 1, total: 2 }), 'to equal', [
+    'a',
+    'c',
+    'e',
+  ]);
+  expect(shardFiles(files, { index: 2, total: 2 }), 'to equal', ['b', 'd']);
+  expect(shardFiles(files, undefined), 'to equal', files);
+});
+
+test('test filters should be run options with process isolation only', () => {
+  const options = {
+    concurrency: 2,
+    only: true,
+    testNamePatterns: ['adds'],
+    timeout: 100,
+    updateSnapshots: true,
+  };
+
+  expect(toRunOptions(options, 'process'), 'to equal', {
+    concurrency: 2,
+    only: true,
+    testNamePatterns: ['adds'],
+    timeout: 100,
+  });
+  expect(toProcessFlags(options, 'process'), 'to equal', [
+    '--test-update-snapshots',
+  ]);
+  expect(toRunOptions(options, 'none'), 'to equal', { timeout: 100 });
+  expect(toProcessFlags(options, 'none'), 'to equal', [
+    '--test-update-snapshots',
+    '--test-only',
+    '--test-name-pattern=adds',
+  ]);
+});
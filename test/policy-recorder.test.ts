@@ -0,0 +1,72 @@
+import 'ses';
+import { expect } from 'bupkis';
+import { test } from 'node:test';
+
+import { initializeSES, runTestFile } from '../src/cli.js';
+import {
+  createPolicyRecorder,
+  diffPolicy,
+  formatPolicyDiff,
+} from '../src/policy-recorder.js';
+import { type CapabilityPolicy } from '../src/policy.js';
+
+initializeSES();
+
+test('createPolicyRecorder should record what each package uses', async () => {
+  const recorder = createPolicyRecorder();
+
+  await runTestFile('test/fixture/policy/allowed.js', { recorder });
+  await runTestFile('test/fixture/policy/denied.js', { recorder });
+
+  expect(recorder.toPolicy(), 'to equal', {
+    resources: {
+      spawner: { builtins: { 'node:child_process': true } },
+      stamp: { builtins: { 'node:path': true }, globals: { Date: true } },
+    },
+  });
+});
+
+test('createPolicyRecorder should record packages by canonical name', async () => {
+  const recorder = createPolicyRecorder();
+
+  await runTestFile('test/fixture/basic/src/index.js', { recorder });
+
+  expect(recorder.toPolicy(), 'to satisfy', {
+    resources: { foo: { packages: { 'foo>bar': true } } },
+  });
+});
+
+test('diffPolicy should list capabilities the existing policy lacks', () => {
+  const recorded: CapabilityPolicy = {
+    resources: {
+      foo: { builtins: { 'node:fs': true, 'node:net': true } },
+      'foo>bar': { globals: { Date: true } },
+    },
+  };
+  const existing: CapabilityPolicy = {
+    resources: {
+      foo: { builtins: { fs: true } },
+      'foo>bar': { globals: 'any' },
+    },
+  };
+
+  expect(diffPolicy(recorded, existing), 'to equal', [
+    { capability: 'builtins', name: 'node:net', packageName: 'foo' },
+  ]);
+});
+
+test('formatPolicyDiff should name each new capability', () => {
+  expect(
+    formatPolicyDiff(
+      [{ capability: 'builtins', name: 'node:net', packageName: 'foo' }],
+      'policy.json',
+    ),
+    'to equal',
+    '[cenobite] New capabilities compared to policy.json:\n  foo: builtin "node:net"',
+  );
+  expect(
+    formatPolicyDiff([], 'policy.json'),
+    'to equal',
+    '[cenobite] No new capabilities compared to policy.json',
+  );
+});
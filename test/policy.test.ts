@@ -0,0 +1,86 @@
+import 'ses';
+import { expect, expectAsync } from 'bupkis';
+import { test } from 'node:test';
+
+import { initializeSES, runTestFile } from '../src/cli.js';
+import { loadPolicy, resolvePolicy } from '../src/policy.js';
+
+initializeSES();
+
+const POLICY_PATH = 'test/fixture/policy/policy.json';
+
+test('resolvePolicy should trust the entry package by default', () => {
+  expect(resolvePolicy({ resources: {} }, 'test'), 'to satisfy', {
+    entry: { builtins: 'any', globals: 'any', packages: 'any' },
+  });
+});
+
+test('resolvePolicy should allow both forms of a builtin specifier', () => {
+  const { resources } = resolvePolicy(
+    { resources: { foo: { builtins: { fs: true, 'node:path': true } } } },
+    'test',
+  );
+
+  expect(resources.foo?.builtins, 'to satisfy', {
+    fs: true,
+    'node:fs': true,
+    'node:path': true,
+    path: true,
+  });
+});
+
+test('resolvePolicy should reject a malformed policy', () => {
+  expect(
+    () => resolvePolicy({}, 'policy.json'),
+    'to throw',
+    /Invalid policy in policy\.json: "resources" must be an object/,
+  );
+  expect(
+    () => resolvePolicy({ resources: { foo: { globals: true } } }, 'test'),
+    'to throw',
+    /"resources\["foo"\]"\.globals must be "any" or an object/,
+  );
+});
+
+test('loadPolicy should report a missing file', async () => {
+  await expectAsync(
+    async () => loadPolicy('test/fixture/policy/missing.json'),
+    'to reject with error satisfying',
+    /Failed to load policy from test\/fixture\/policy\/missing\.json/,
+  );
+});
+
+test('runTestFile should allow what the policy grants', async () => {
+  const policy = await loadPolicy(POLICY_PATH);
+
+  const result = await runTestFile('test/fixture/policy/allowed.js', {
+    policy,
+  });
+
+  expect(result, 'to satisfy', {
+    namespace: { stamped: expect.it('to match', /^ok@/) },
+  });
+});
+
+test('runTestFile should name the package denied a builtin', async () => {
+  const policy = await loadPolicy(POLICY_PATH);
+
+  await expectAsync(
+    async () => runTestFile('test/fixture/policy/denied.js', { policy }),
+    'to reject with error satisfying',
+    /Policy denies package "spawner" access to builtin "node:child_process"/,
+  );
+});
+
+test('runTestFile should deny packages the policy does not list', async () => {
+  const policy = resolvePolicy(
+    { entry: { packages: { spawner: true } }, resources: {} },
+    'test',
+  );
+
+  await expectAsync(
+    async () => runTestFile('test/fixture/policy/allowed.js', { policy }),
+    'to reject with error satisfying',
+    /Importing "stamp" in "policy-fixture-v1\.0\.0" was not allowed by packages policy/,
+  );
+});
@@ -0,0 +1,73 @@
+import { expect } from 'bupkis';
+import { test } from 'node:test';
+
+import {
+  createRandom,
+  deferRegistration,
+  flushShuffled,
+  shuffle,
+  shuffleChildren,
+  startShuffling,
+} from '../src/random.js';
+
+const ITEMS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+
+test('createRandom should produce the same numbers for the same seed', () => {
+  const first = createRandom(42);
+  const second = createRandom(42);
+  const numbers = Array.from({ length: 5 }, () => first());
+
+  expect(
+    Array.from({ length: 5 }, () => second()),
+    'to equal',
+    numbers,
+  );
+  for (const number of numbers) {
+    expect(number >= 0 && number < 1, 'to be true');
+  }
+});
+
+test('shuffle should reorder a copy of the items, reproducibly', () => {
+  const shuffled = shuffle(ITEMS, createRandom(7));
+
+  expect(shuffled, 'not to equal', ITEMS);
+  expect([...shuffled].sort(), 'to equal', ITEMS);
+  expect(shuffle(ITEMS, createRandom(7)), 'to equal', shuffled);
+  expect(ITEMS, 'to equal', ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']);
+});
+
+test('deferRegistration should register immediately unless shuffling', () => {
+  const registered: string[] = [];
+
+  deferRegistration(() => registered.push('a'));
+
+  expect(registered, 'to equal', ['a']);
+});
+
+test('deferRegistration should register in shuffled order when flushed', () => {
+  const registered: string[] = [];
+
+  startShuffling(7);
+  for (const item of ITEMS) {
+    deferRegistration(() => registered.push(item));
+  }
+  expect(registered, 'to be empty');
+  flushShuffled();
+
+  expect(registered, 'to equal', shuffle(ITEMS, createRandom(7)));
+});
+
+test('shuffleChildren should register the tests of a suite before it returns', () => {
+  const registered: string[] = [];
+  const suite = shuffleChildren(() => {
+    for (const item of ITEMS) {
+      deferRegistration(() => registered.push(item));
+    }
+  });
+
+  startShuffling(7);
+  suite();
+  flushShuffled();
+
+  expect([...registered].sort(), 'to equal', ITEMS);
+});
@@ -0,0 +1,155 @@
+import { expect, expectAsync } from 'bupkis';
+import { mkdtemp, readFile, realpath, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { afterEach, beforeEach, test } from 'node:test';
+import { pathToFileURL } from 'node:url';
+
+import { createIsolationRecorder } from '../src/isolation-report.js';
+import {
+  loadReporters,
+  pairReporters,
+  report,
+  reportsIsolation,
+  resolveDestination,
+  resolveReporter,
+} from '../src/reporters.js';
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await realpath(await mkdtemp(join(tmpdir(), 'cenobite-reporters-')));
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+/**
+ * The events of a run of one passing test
+ *
+ * @function
+ */
+const events = () =>
+  Readable.from([
+    {
+      data: {
+        details: { duration_ms: 1 },
+        name: 'passes',
+        nesting: 0,
+        testNumber: 1,
+      },
+      type: 'test:pass',
+    },
+  ]);
+
+test('pairReporters should pair each reporter with its destination', () => {
+  expect(pairReporters(['spec'], []), 'to equal', [
+    { destination: 'stdout', reporter: 'spec' },
+  ]);
+  expect(
+    pairReporters(['spec', 'junit'], ['stdout', '/a/junit.xml']),
+    'to equal',
+    [
+      { destination: 'stdout', reporter: 'spec' },
+      { destination: '/a/junit.xml', reporter: 'junit' },
+    ],
+  );
+  expect(
+    () => pairReporters(['spec', 'junit'], ['stdout']),
+    'to throw',
+    /2 reporter\(s\) and 1 destination\(s\)/,
+  );
+});
+
+test('resolveReporter and resolveDestination should resolve paths', () => {
+  expect(resolveReporter('tap', dir), 'to be', 'tap');
+  expect(
+    resolveReporter('./reporter.js', dir),
+    'to be',
+    pathToFileURL(join(dir, 'reporter.js')).href,
+  );
+  expect(
+    () => resolveReporter('no-such-reporter', dir),
+    'to throw',
+    /Unknown reporter: no-such-reporter/,
+  );
+  expect(resolveDestination('stderr', dir), 'to be', 'stderr');
+  expect(
+    resolveDestination('out/junit.xml', dir),
+    'to be',
+    join(dir, 'out/junit.xml'),
+  );
+});
+
+test('report should write each reporter to its destination', async () => {
+  await writeFile(
+    join(dir, 'generator.mjs'),
+    'export default async function* (source) { for await (const { data, type } of source) yield `${type} ${data.name}\\n`; }',
+  );
+  await writeFile(
+    join(dir, 'class.mjs'),
+    "import { Transform } from 'node:stream';\nexport default class extends Transform { constructor() { super({ writableObjectMode: true }); } _transform({ type }, _, callback) { callback(null, `[${type}]`); } }",
+  );
+  const reporters = await loadReporters(
+    ['generator.mjs', 'class.mjs'].map((name) => ({
+      destination: join(dir, 'out', `${name}.txt`),
+      reporter: pathToFileURL(join(dir, name)).href,
+    })),
+  );
+
+  await report(events(), reporters);
+
+  expect(
+    await readFile(join(dir, 'out/generator.mjs.txt'), 'utf8'),
+    'to be',
+    'test:pass passes\n',
+  );
+  expect(
+    await readFile(join(dir, 'out/class.mjs.txt'), 'utf8'),
+    'to be',
+    '[test:pass]',
+  );
+});
+
+test('loadReporters should reject a module which exports no reporter', async () => {
+  await writeFile(join(dir, 'empty.mjs'), 'export const a = 1;');
+
+  await expectAsync(
+    async () =>
+      loadReporters([
+        {
+          destination: 'stdout',
+          reporter: pathToFileURL(join(dir, 'empty.mjs')).href,
+        },
+      ]),
+    'to reject with error satisfying',
+    /has no default export/,
+  );
+});
+
+test('the cenobite reporter should follow the run with its isolation', async () => {
+  const destination = join(dir, 'cenobite.txt');
+  const targets = [{ destination, reporter: 'cenobite' }];
+  const isolation = createIsolationRecorder(['/project/test/a.test.js'], {
+    detectLeaks: false,
+    mode: 'ses-wrapper',
+  });
+
+  await report(events(), await loadReporters(targets, isolation));
+
+  const output = await readFile(destination, 'utf8');
+  expect(reportsIsolation(targets), 'to be true');
+  expect(output, 'to match', /✔ passes/);
+  expect(
+    output,
+    'to match',
+    /Isolation of 1 test file\(s\)\n.*a\.test\.js\n {2}mode: ses-wrapper/,
+  );
+  await expectAsync(
+    async () => report(events(), await loadReporters(targets)),
+    'to reject with error satisfying',
+    /needs the isolation of the run/,
+  );
+});
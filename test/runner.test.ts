@@ -0,0 +1,95 @@
+import { expect } from 'bupkis';
+import { execFileSync } from 'node:child_process';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { pathToFileURL } from 'node:url';
+
+const { stringify } = JSON;
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'cenobite-runner-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+/**
+ * Run test files in-process twice, as watch mode does, in a process of their
+ * own, since the first run locks it down
+ *
+ * @returns The names of the tests in each run, with why those which failed did
+ */
+const runTwice = async (files: string[], setup: string[]) => {
+  const script = join(dir, 'run.mjs');
+  await writeFile(
+    script,
+    `import { runTestsInProcess } from ${stringify(pathToFileURL(resolve('src/runner.js')).href)};
+
+// Not awaited at the top level: node:test finishes a run in this process once
+// the event loop empties
+const main = async () => {
+const runs = [];
+for (let run = 0; run < 2; run++) {
+  const results = [];
+  const stream = await runTestsInProcess({
+    files: ${stringify(files)},
+    setup: ${stringify(setup)},
+    verbose: false,
+  });
+  for await (const { data, type } of stream) {
+    if (type === 'test:pass') {
+      results.push(data.name);
+    } else if (type === 'test:fail') {
+      results.push(\`failed: \${data.name}: \${data.details.error.message}\`);
+    }
+  }
+  runs.push(results);
+}
+console.log(JSON.stringify(runs));
+};
+void main();
+`,
+  );
+  const output = execFileSync(process.execPath, ['--import', 'tsx', script], {
+    encoding: 'utf8',
+  });
+  return JSON.parse(output.trim().split('\n').at(-1)!) as string[][];
+};
+
+test('runTestsInProcess should run each test file in a Compartment of its own, in every run', async () => {
+  await writeFile(join(dir, 'package.json'), stringify({ type: 'module' }));
+  await writeFile(
+    join(dir, 'setup.js'),
+    'globalThis.setupImports = (globalThis.setupImports ?? 0) + 1;\nexport const setupImport = globalThis.setupImports;',
+  );
+  await writeFile(join(dir, 'ran.js'), 'export const ran = [];');
+  for (const name of ['a', 'b']) {
+    await writeFile(
+      join(dir, `${name}.test.js`),
+      `import { test } from 'node:test';
+import { ran } from './ran.js';
+ran.push('${name}');
+test(\`${name} after setup \${setupImport}\`, () => {
+  if (typeof process.exit === 'function' || ran.length > 1) {
+    throw new Error('not in a Compartment of its own');
+  }
+});`,
+    );
+  }
+
+  const runs = await runTwice(
+    [join(dir, 'a.test.js'), join(dir, 'b.test.js')],
+    [pathToFileURL(join(dir, 'setup.js')).href],
+  );
+
+  // Each run loads the test files afresh, and imports the setup modules again
+  expect(runs, 'to equal', [
+    ['a after setup 1', 'b after setup 1'],
+    ['a after setup 2', 'b after setup 2'],
+  ]);
+});
@@ -0,0 +1,64 @@
+import { expect, expectAsync } from 'bupkis';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+import { pathToFileURL } from 'node:url';
+
+import {
+  importPreLockdownModules,
+  importSetupModules,
+  resolveModuleSpecifier,
+} from '../src/setup.js';
+
+const FIXTURE = resolve('test/fixture/basic');
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'cenobite-setup-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+test('resolveModuleSpecifier should resolve paths and packages from a directory', () => {
+  expect(
+    resolveModuleSpecifier('./test/shims.js', FIXTURE),
+    'to be',
+    pathToFileURL(join(FIXTURE, 'test/shims.js')).href,
+  );
+  expect(
+    resolveModuleSpecifier('foo', FIXTURE),
+    'to be',
+    pathToFileURL(join(FIXTURE, 'node_modules/foo/index.js')).href,
+  );
+});
+
+test('importSetupModules should merge the named exports of each module in order', async () => {
+  const first = join(dir, 'first.mjs');
+  const second = join(dir, 'second.mjs');
+  await writeFile(first, 'export const a = 1;\nexport const b = 1;');
+  await writeFile(second, 'export const b = 2;\nexport default 3;');
+
+  expect(
+    await importSetupModules([
+      pathToFileURL(first).href,
+      pathToFileURL(second).href,
+    ]),
+    'to equal',
+    { a: 1, b: 2 },
+  );
+});
+
+test('importPreLockdownModules should say which module failed', async () => {
+  const shim = join(dir, 'shim.mjs');
+  await writeFile(shim, "throw new Error('boom');");
+
+  await expectAsync(
+    async () => importPreLockdownModules([pathToFileURL(shim).href]),
+    'to reject with error satisfying',
+    /Failed to import pre-lockdown module '.*shim\.mjs': boom/,
+  );
+});
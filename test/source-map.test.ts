@@ -0,0 +1,72 @@
+import { expect } from 'bupkis';
+import { SourceMap, type SourceMapPayload } from 'node:module';
+import { test } from 'node:test';
+
+import { wrapWithSourceMap } from '../src/source-map.js';
+
+const URL = 'file:///project/test/a.test.js';
+
+const WRAPPER = {
+  header: "\nimport 'ses';\nlockdown();\n",
+  trailer: '\nflush();\n',
+};
+
+/**
+ * Decode the inline source map of a wrapped module
+ *
+ * @function
+ */
+const readMap = (wrapped: string): SourceMap => {
+  const [, data = ''] =
+    /sourceMappingURL=data:application\/json;base64,(\S+)\s*$/.exec(wrapped) ??
+    [];
+  return new SourceMap(
+    JSON.parse(Buffer.from(data, 'base64').toString()) as SourceMapPayload,
+  );
+};
+
+test('wrapWithSourceMap should map each token back to the test file', () => {
+  const source =
+    "import { test } from 'node:test';\n\n  test('a', () => {});\n";
+  const wrapped = wrapWithSourceMap(source, URL, WRAPPER);
+  const map = readMap(wrapped);
+
+  expect(wrapped.startsWith(`${WRAPPER.header}${source}`), 'to be true');
+  // `test(` on the third line of the source, after the three-line header
+  expect(map.findEntry(5, 2), 'to satisfy', {
+    originalColumn: 2,
+    originalLine: 2,
+    originalSource: URL,
+  });
+  expect(map.findEntry(5, 12), 'to satisfy', {
+    originalColumn: 12,
+    originalLine: 2,
+  });
+  expect(map.findEntry(1, 0), 'to equal', {});
+  expect(map.payload.sourcesContent, 'to equal', [source]);
+});
+
+test("wrapWithSourceMap should compose with the source's own map", () => {
+  // Generated `foo();` on the second line is `foo()` at 4:2 of a.test.ts
+  const input = {
+    mappings: ';AAGE',
+    names: [],
+    sourceRoot: 'src',
+    sources: ['a.test.ts'],
+    sourcesContent: ['// a.test.ts'],
+    version: 3,
+  };
+  const source = `// compiled\nfoo();\n//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(input)).toString('base64')}\n`;
+  const wrapped = wrapWithSourceMap(source, URL, WRAPPER);
+  const map = readMap(wrapped);
+
+  expect(map.findEntry(4, 0), 'to satisfy', {
+    originalColumn: 2,
+    originalLine: 3,
+    originalSource: 'file:///project/test/src/a.test.ts',
+  });
+  // The compiled comment is not part of the input map, so stays unmapped
+  expect(map.findEntry(3, 3), 'to equal', {});
+  expect(map.payload.sourcesContent, 'to equal', ['// a.test.ts']);
+  expect(wrapped.match(/sourceMappingURL/g)?.length, 'to be', 1);
+});
@@ -0,0 +1,81 @@
+import { expect } from 'bupkis';
+import * as nodeModule from 'node:module';
+import { test } from 'node:test';
+
+import { stripTypes } from '../src/typescript.js';
+
+const decode = (bytes: Uint8Array): string => Buffer.from(bytes).toString();
+
+const cannotStrip =
+  !('stripTypeScriptTypes' in nodeModule) && 'Node cannot strip types';
+
+test(
+  'stripTypes should strip TypeScript, keeping every position',
+  {
+    skip: cannotStrip,
+  },
+  () => {
+    const source = 'const a: number = 1;\nexport const b = <T>(c: T) => c;\n';
+
+    for (const location of [
+      'file:///project/a.ts',
+      'file:///project/a.mts',
+      'file:///project/a.cts',
+    ]) {
+      const stripped = decode(stripTypes(location, Buffer.from(source)));
+
+      expect(
+        stripped,
+        'to equal',
+        'const a         = 1;\nexport const b =    (c   ) => c;\n',
+      );
+    }
+  },
+);
+
+test('stripTypes should leave JavaScript and other files alone', () => {
+  const bytes = Buffer.from('const a: number = 1;');
+
+  expect(stripTypes('file:///project/a.js', bytes), 'to be', bytes);
+  expect(stripTypes('file:///project/package.json', bytes), 'to be', bytes);
+});
+
+test(
+  'stripTypes should reject TypeScript Node cannot strip',
+  {
+    skip: cannotStrip,
+  },
+  () => {
+    expect(
+      () => stripTypes('file:///project/a.ts', Buffer.from('enum A { B }')),
+      'to throw',
+      /Failed to strip types from 'file:\/\/\/project\/a\.ts': TypeScript enum is not supported in strip-only mode/,
+    );
+  },
+);
+
+test('stripTypes should refuse TypeScript under node_modules, like Node', () => {
+  expect(
+    () =>
+      stripTypes(
+        'file:///project/node_modules/a/index.ts',
+        Buffer.from('const a: number = 1;'),
+      ),
+    'to throw',
+    /Stripping types is unsupported for 'file:\/\/\/project\/node_modules\/a\/index\.ts', under node_modules/,
+  );
+});
+
+test(
+  'stripTypes should say when Node cannot strip types',
+  {
+    skip: !cannotStrip,
+  },
+  () => {
+    expect(
+      () => stripTypes('file:///project/a.ts', Buffer.from('const a = 1;')),
+      'to throw',
+      /Cannot strip types from 'file:\/\/\/project\/a\.ts': Node v\S+ cannot strip types/,
+    );
+  },
+);
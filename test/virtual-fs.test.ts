@@ -0,0 +1,164 @@
+import 'ses';
+import { expect, expectAsync } from 'bupkis';
+import * as fs from 'node:fs';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, test } from 'node:test';
+
+import { initializeSES, runTestFile } from '../src/cli.js';
+import { createVirtualFs } from '../src/virtual-fs.js';
+
+initializeSES();
+
+type Fs = typeof fs;
+type Promises = typeof fs.promises;
+
+let dir: string;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'cenobite-virtual-fs-'));
+  await mkdir(join(dir, 'nested'));
+  await writeFile(join(dir, 'nested', 'seeded.txt'), 'from disk');
+});
+
+afterEach(async () => {
+  await rm(dir, { force: true, recursive: true });
+});
+
+test('createVirtualFs should keep writes in memory', () => {
+  const vfs = createVirtualFs().fs as unknown as Fs;
+  const file = join(process.cwd(), 'virtual-only.txt');
+
+  vfs.writeFileSync(file, 'hello');
+  vfs.appendFileSync(file, ', world');
+
+  expect(vfs.readFileSync(file, 'utf8'), 'to be', 'hello, world');
+  expect(fs.existsSync(file), 'to be false');
+  expect(vfs.existsSync(file), 'to be true');
+});
+
+test('createVirtualFs should give each volume its own files', () => {
+  const first = createVirtualFs().fs as unknown as Fs;
+  const second = createVirtualFs().fs as unknown as Fs;
+  const tmp = first.mkdtempSync(join(tmpdir(), 'test-'));
+
+  first.writeFileSync(join(tmp, 'a.txt'), 'a');
+
+  expect(second.existsSync(tmp), 'to be false');
+  expect(first.readdirSync(tmp), 'to equal', ['a.txt']);
+});
+
+test('createVirtualFs should copy a seed directory without writing back', () => {
+  const vfs = createVirtualFs(dir).fs as unknown as Fs;
+  const seeded = join(dir, 'nested', 'seeded.txt');
+
+  expect(vfs.readFileSync(seeded, 'utf8'), 'to be', 'from disk');
+  vfs.writeFileSync(seeded, 'changed');
+  vfs.rmSync(join(dir, 'nested'), { recursive: true });
+
+  expect(vfs.existsSync(seeded), 'to be false');
+  expect(fs.readFileSync(seeded, 'utf8'), 'to be', 'from disk');
+});
+
+test('createVirtualFs should read the seed directory again for each volume', async () => {
+  const seeded = join(dir, 'nested', 'seeded.txt');
+  const first = createVirtualFs(dir).fs as unknown as Fs;
+
+  await writeFile(seeded, 'changed on disk');
+  await writeFile(join(dir, 'added.txt'), 'added on disk');
+  const second = createVirtualFs(dir).fs as unknown as Fs;
+
+  expect(first.readFileSync(seeded, 'utf8'), 'to be', 'from disk');
+  expect(second.readFileSync(seeded, 'utf8'), 'to be', 'changed on disk');
+  expect(
+    second.readFileSync(join(dir, 'added.txt'), 'utf8'),
+    'to be',
+    'added on disk',
+  );
+});
+
+test('createVirtualFs should throw like node:fs', () => {
+  const vfs = createVirtualFs().fs as unknown as Fs;
+  const missing = join(process.cwd(), 'missing.txt');
+
+  expect(() => vfs.readFileSync(missing), 'to throw', { code: 'ENOENT' });
+  expect(() => vfs.mkdirSync(process.cwd()), 'to throw', {
+    code: 'EEXIST',
+  });
+  expect(() => vfs.openSync(missing, 'r'), 'to throw', {
+    code: 'ERR_METHOD_NOT_IMPLEMENTED',
+  });
+});
+
+test('createVirtualFs should back callbacks and promises with the volume', async () => {
+  const { fs: vfs, promises } = createVirtualFs() as unknown as {
+    fs: Fs;
+    promises: Promises;
+  };
+  const file = join(tmpdir(), 'async.txt');
+
+  await promises.writeFile(file, 'async');
+  const data = await new Promise<string>((resolve, reject) => {
+    vfs.readFile(file, 'utf8', (error, result) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+
+  expect(data, 'to be', 'async');
+  expect(vfs.promises, 'to be', promises);
+  await expectAsync(
+    async () => promises.readFile(join(tmpdir(), 'missing.txt')),
+    'to reject with error satisfying',
+    { code: 'ENOENT' },
+  );
+});
+
+test('runTestFile should substitute the volume for fs and fs/promises', async () => {
+  const file = join(dir, 'written.txt');
+  const result = (await runTestFile('test/fixture/basic/src/files.js', {
+    virtualFs: { seed: dir },
+  })) as {
+    namespace: { roundTrip: (path: string, data: string) => Promise<string> };
+  };
+
+  expect(await result.namespace.roundTrip(file, 'virtual'), 'to be', 'virtual');
+  expect(fs.existsSync(file), 'to be false');
+});
+
+test('runTestFile should give createRequire() and process the volume', async () => {
+  const file = join(dir, 'loaded.txt');
+  const result = (await runTestFile('test/fixture/basic/src/files.js', {
+    hostGlobals: ['process'],
+    virtualFs: { seed: dir },
+  })) as {
+    namespace: { writeLoaded: (path: string, data: string) => string };
+  };
+
+  expect(
+    result.namespace.writeLoaded(file, 'virtual'),
+    'to be',
+    'virtualvirtual',
+  );
+  expect(fs.existsSync(file), 'to be false');
+});
+
+test('runTestFile should not let a module the host evaluates reach the disk', async () => {
+  const file = join(dir, 'hosted.txt');
+  const result = (await runTestFile('test/fixture/basic/src/files.js', {
+    virtualFs: { seed: dir },
+  })) as {
+    namespace: { writeHosted: (path: string, data: string) => Promise<void> };
+  };
+
+  await expectAsync(
+    async () => result.namespace.writeHosted(file, 'real'),
+    'to reject with error satisfying',
+    /Cannot find external module "data:/,
+  );
+  expect(fs.existsSync(file), 'to be false');
+});
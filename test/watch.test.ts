@@ -0,0 +1,119 @@
+import 'ses';
+import { expect } from 'bupkis';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { basename, dirname, join, resolve } from 'node:path';
+import { test } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+
+import { initializeSES, runTestFile } from '../src/cli.js';
+import { findAffectedFiles, watchTests } from '../src/watch.js';
+
+initializeSES();
+
+test('findAffectedFiles should find the test files loaded from a change', () => {
+  const dependencies = new Map([
+    [
+      resolve('a.test.js'),
+      new Set([resolve('a.test.js'), resolve('src/a.js')]),
+    ],
+    [
+      resolve('b.test.js'),
+      new Set([resolve('b.test.js'), resolve('src/b.js')]),
+    ],
+    [
+      resolve('c.test.js'),
+      new Set([resolve('c.test.js'), resolve('src/a.js')]),
+    ],
+  ]);
+
+  expect(
+    findAffectedFiles(
+      ['c.test.js', 'b.test.js', 'a.test.js'],
+      dependencies,
+      new Set([resolve('src/a.js')]),
+    ),
+    'to equal',
+    ['c.test.js', 'a.test.js'],
+  );
+  expect(
+    findAffectedFiles(
+      ['a.test.js', 'b.test.js'],
+      dependencies,
+      new Set([resolve('src/other.js')]),
+    ),
+    'to equal',
+    [],
+  );
+});
+
+test('findAffectedFiles should rerun a test file which was never loaded', () => {
+  expect(
+    findAffectedFiles(
+      ['a.test.js', 'b.test.js'],
+      new Map(),
+      new Set([resolve('b.test.js')]),
+    ),
+    'to equal',
+    ['b.test.js'],
+  );
+});
+
+test('runTestFile should note the modules and packages it loads', async () => {
+  const dependencies = new Set<string>();
+
+  await runTestFile('test/fixture/basic/src/index.js', { dependencies });
+
+  const fixture = resolve('test/fixture/basic');
+  for (const path of [
+    'src/index.js',
+    'package.json',
+    'node_modules/foo/index.js',
+    'node_modules/bar/package.json',
+  ]) {
+    expect(dependencies.has(resolve(fixture, path)), 'to be true');
+  }
+});
+
+test('watchTests should keep watching what a failed run loaded', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'cenobite-watch-'));
+  t.after(() => rm(dir, { force: true, recursive: true }));
+  const file = join(dir, 'a.test.js');
+  // Each run loads a file from a directory not watched yet, then fails
+  const sources = [join(dir, 'a', 'a.js'), join(dir, 'b', 'b.js')];
+  for (const source of sources) {
+    await mkdir(dirname(source));
+    await writeFile(source, '');
+  }
+  const controller = new AbortController();
+  let runs = 0;
+
+  const watching = watchTests({
+    files: [file],
+    runFiles: async (_files, dependencies) => {
+      runs += 1;
+      dependencies.set(file, new Set([file, ...sources.slice(0, runs)]));
+      if (runs < 3) {
+        throw new Error(`Could not load ${basename(sources[runs - 1]!)}`);
+      }
+    },
+    signal: controller.signal,
+    verbose: false,
+  });
+
+  // Change a source until it has been rerun as many times, or give up
+  const rerunAfterChange = async (source: string, expected: number) => {
+    for (let tries = 0; runs < expected && tries < 20; tries++) {
+      await writeFile(source, `// ${runs}`);
+      await delay(250);
+    }
+  };
+  // The first run failed, and the file it loaded is watched
+  await rerunAfterChange(sources[0]!, 2);
+  // So is the one the failed rerun loaded
+  await rerunAfterChange(sources[1]!, 3);
+  controller.abort();
+  await watching;
+
+  expect(runs, 'to be', 3);
+});